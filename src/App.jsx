@@ -2,683 +2,1524 @@ import React, { useState, useRef, useEffect } from 'react';
 import { 
   Upload, Download, Image as ImageIcon, Layers, Zap, Palette, 
   Sliders, Activity, Monitor, Grid, ArrowDownUp, Scissors, Tv, PenTool, 
-  X, Save, FolderOpen, FlipHorizontal 
+  X, Save, FolderOpen, FlipHorizontal, GripVertical, Eye, EyeOff, Copy, Clock, Film,
+  Camera, Play, Pause, Circle, Square, Dices, Brush, Eraser, Feather, Contrast, Sun, ScanLine, Undo2, Redo2, History, Search, Link, Trash2, Files, FolderInput, Package,
+  FlipVertical, RotateCw, RotateCcw, Crop, ZoomIn, ZoomOut, Maximize, Pipette, Columns2,
+  Binary, Rows3, Shuffle, Blend, SlidersHorizontal, Plus, Type, FileText, Terminal, Globe, Check 
 } from 'lucide-react';
+import {
+  effects, effectRegistry, getEffectDefaults, scaleSettings, outlineToSvg, asciiToText, asciiToAnsi, blendModes, lfoWaves, isAnimated, resolveLayersAt, evaluateTrack, parsePaletteFile,
+  runPipeline, curveChannels, curveLut, rampLut, aspectRatios, defaultTransform, transformedSize, createMask, cloneMask, invertMask, featherMask, paintStroke, maskFromLuminance, maskFromEdges, encodeMask, decodeMask
+} from './effects/index.js';
+import { recordHistory, sameDoc, canUndo, canRedo } from './history.js';
+import { createZipWriter } from './export/zip.js';
+import { defaultNameTemplate, formatOutputName, uniqueName } from './export/naming.js';
+import {
+  presetVersion, createPresetId, migratePreset, searchPresets, parseTags, serializePresetFile, parsePresetFile, encodePresetHash, decodePresetHash
+} from './presets.js';
 
-// --- Helper: Color Utilities ---
-const hexToRgb = (hex) => {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  } : null;
+const createPipelineWorker = () => new Worker(new URL('./engine/pipeline.worker.js', import.meta.url), { type: 'module' });
+const createAnimationWorker = () => new Worker(new URL('./engine/animation.worker.js', import.meta.url), { type: 'module' });
+
+// Longest side of the preview proxy; exports go back to the original bitmap
+const previewMaxDim = 1200;
+// Video and webcam frames are processed live, so they get a smaller proxy
+const liveMaxDim = 720;
+const exportScales = [1, 2, 4];
+const maxSeed = 999999;
+const randomSeed = () => Math.floor(Math.random() * (maxSeed + 1));
+
+// Draws a mask as a red overlay, optionally only inside a dirty [x0, y0, x1, y1] rectangle
+const drawMaskOverlay = (canvas, mask, rect = null) => {
+  if (!canvas || !mask) return;
+  const { width: w, height: h, data } = mask;
+  const ctx = canvas.getContext('2d');
+  const [x0, y0, x1, y1] = rect || [0, 0, w - 1, h - 1];
+  const overlay = ctx.createImageData(x1 - x0 + 1, y1 - y0 + 1);
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const o = ((y - y0) * overlay.width + (x - x0)) * 4;
+      overlay.data[o] = 255; overlay.data[o+1] = 40; overlay.data[o+2] = 80;
+      overlay.data[o+3] = data[y * w + x] * 0.55;
+    }
+  }
+  ctx.putImageData(overlay, x0, y0);
+};
+
+// Only the masks that enabled layers reference are sent to the workers
+const masksForLayers = (masks, layers) => Object.fromEntries(masks
+  .filter(mask => layers.some(l => l.enabled && l.mask === mask.id))
+  .map(({ id, width, height, data }) => [id, { width, height, data }]));
+
+// --- Helper: Scale a size down to fit a maximum dimension ---
+// Rounded to whole pixels, so every canvas drawn at this size lines up
+const fitWithin = (w, h, maxDim) => {
+  if (w <= maxDim && h <= maxDim) return { w, h };
+  const ratio = w / h;
+  return w > h
+    ? { w: maxDim, h: Math.max(1, Math.round(maxDim / ratio)) }
+    : { w: Math.max(1, Math.round(maxDim * ratio)), h: maxDim };
+};
+
+// --- Viewport ---
+// The preview is drawn at its own resolution and scaled with CSS, so zooming never
+// re-renders. A view is { fit, scale, x, y }: (x, y) is the image center's offset
+// from the stage center in screen pixels.
+const minZoom = 0.1;
+const maxZoom = 32;
+const fitView = { fit: true, scale: 1, x: 0, y: 0 };
+
+// The view as currently on screen, read from the DOM so native listeners never see stale state
+const measureView = (stage, canvas) => {
+  const s = stage.getBoundingClientRect(), c = canvas.getBoundingClientRect();
+  return {
+    fit: false,
+    scale: c.width / canvas.width,
+    x: c.left + c.width / 2 - (s.left + s.width / 2),
+    y: c.top + c.height / 2 - (s.top + s.height / 2)
+  };
+};
+
+const stagePoint = (stage, e) => {
+  const s = stage.getBoundingClientRect();
+  return { x: e.clientX - (s.left + s.width / 2), y: e.clientY - (s.top + s.height / 2) };
+};
+
+// Zooms by `factor`, keeping the image point under `point` in place
+const zoomAt = (view, factor, point) => {
+  const scale = Math.max(minZoom, Math.min(maxZoom, view.scale * factor));
+  const k = scale / view.scale;
+  return { fit: false, scale, x: point.x - (point.x - view.x) * k, y: point.y - (point.y - view.y) * k };
+};
+
+// RGBA of one pixel of an ImageData, or null outside it
+const pixelAt = (image, x, y) => {
+  if (!image || x < 0 || y < 0 || x >= image.width || y >= image.height) return null;
+  const i = (y * image.width + x) * 4;
+  return Array.from(image.data.subarray(i, i + 4));
 };
 
-// --- Helper: Luminance ---
-const getLuminance = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
-
-// --- Helper: Bayer Matrix ---
-const bayerMatrix4x4 = [
-  [0, 8, 2, 10],
-  [12, 4, 14, 6],
-  [3, 11, 1, 9],
-  [15, 7, 13, 5]
-];
-
-// --- Helper: Vibrant Colors for Random Mode ---
-const vibrantColors = [
-    {r:255, g:0, b:100},   // Pink
-    {r:0, g:255, b:200},   // Cyan
-    {r:255, g:200, b:0},   // Yellow
-    {r:100, g:100, b:255}, // Purple
-    {r:50, g:255, b:50},   // Lime
-    {r:255, g:100, b:0}    // Orange
-];
+const toHex = (rgb) => `#${rgb.slice(0, 3).map(v => v.toString(16).padStart(2, '0')).join('')}`;
+
+// --- Helper: Draw an image into a fresh ImageData at the given size ---
+const drawSource = (img, w, h) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+// Encodes a pipeline result as a PNG blob
+const imageDataToPng = async (result) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = result.width;
+  canvas.height = result.height;
+  canvas.getContext('2d').putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) throw new Error(`${result.width}x${result.height} is too large for this browser`);
+  return blob;
+};
+
+const isImageFile = (file) => file.type.startsWith('image/') || /\.(png|jpe?g|gif|webp|bmp|avif)$/i.test(file.name);
+
+// Files from a drop, walking into dropped folders. Each file keeps its folder path.
+const collectDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || []).map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+  if (!entries.length) return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+  const files = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns the folder in batches until it comes back empty
+      for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!batch.length) break;
+        for (const child of batch) await walk(child);
+      }
+    }
+  };
+  for (const entry of entries) await walk(entry);
+  return files;
+};
+
+// Runs a single job on its own worker, so exports don't cancel the live preview
+const renderInWorker = (payload, onProgress) => new Promise((resolve, reject) => {
+  const worker = createPipelineWorker();
+  worker.onmessage = (e) => {
+    const { type } = e.data;
+    if (type === 'progress') return onProgress(e.data.progress);
+    worker.terminate();
+    if (type === 'done') resolve(e.data.result);
+    else reject(new Error(e.data.message));
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    reject(new Error(e.message));
+  };
+  worker.postMessage({ jobId: 0, ...payload }, [payload.source.data.buffer]);
+});
+
+// Renders the whole timeline; resolves with the GIF bytes, or hands raw frames to onFrame for WebM
+const renderAnimationInWorker = (payload, { onProgress, onFrame }) => new Promise((resolve, reject) => {
+  const worker = createAnimationWorker();
+  worker.onmessage = (e) => {
+    const { type } = e.data;
+    if (type === 'progress') return onProgress(e.data.progress);
+    if (type === 'frame') return onFrame(e.data.frame);
+    worker.terminate();
+    if (type === 'done') resolve(e.data.bytes);
+    else reject(new Error(e.data.message));
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    reject(new Error(e.message));
+  };
+  worker.postMessage(payload, [payload.source.data.buffer]);
+});
+
+// Best WebM flavour this browser's MediaRecorder can write, or null
+const pickWebmType = () => {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t)) || null;
+};
+
+// MediaRecorder records in real time, so the frames are played onto a canvas at the target rate
+const recordWebm = (frames, fps, onProgress) => new Promise((resolve, reject) => {
+  const mimeType = pickWebmType();
+  if (!mimeType) return reject(new Error('WebM recording is not supported in this browser'));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = frames[0].width;
+  canvas.height = frames[0].height;
+  const ctx = canvas.getContext('2d');
+  const draw = (i) => ctx.putImageData(new ImageData(frames[i].data, frames[i].width, frames[i].height), 0, 0);
+
+  const recorder = new MediaRecorder(canvas.captureStream(fps), { mimeType, videoBitsPerSecond: 8000000 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+  recorder.onerror = (e) => reject(e.error || new Error('Recording failed'));
+
+  draw(0);
+  recorder.start();
+  const start = performance.now();
+  let shown = 0;
+  const tick = () => {
+    const index = Math.floor((performance.now() - start) / 1000 * fps);
+    if (index >= frames.length) return recorder.stop();
+    if (index !== shown) {
+      draw(index);
+      shown = index;
+      onProgress(index / frames.length);
+    }
+    requestAnimationFrame(tick);
+  };
+  requestAnimationFrame(tick);
+});
+
+const downloadBlob = (blob, filename) => {
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = URL.createObjectURL(blob);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
+// --- Sidebar icon for each registered effect ---
+const effectIcons = {
+  pixel: Monitor,
+  dither: Layers,
+  bw: Palette,
+  grade: SlidersHorizontal,
+  chromatic: Activity,
+  crt: Tv,
+  halftone: Grid,
+  sort: ArrowDownUp,
+  edge: Scissors,
+  outline: PenTool,
+  ascii: Type,
+  jpeg: Binary,
+  tear: Rows3,
+  blocks: Shuffle,
+  channels: Blend,
+};
+
+// --- Helper: Layers ---
+const createLayerId = () => Math.random().toString(36).slice(2, 10);
+const createMaskId = () => `mask_${createLayerId()}`;
+
+const createLayer = (type, settings = {}) => ({
+  id: createLayerId(),
+  type,
+  enabled: true,
+  opacity: 100,
+  blend: 'normal',
+  settings: { ...getEffectDefaults(type), ...settings },
+  animation: {},
+  mask: null
+});
+
+// Stored preset layers (see ./presets.js) to live layers with fresh ids
+const presetToLayers = (preset) => preset.layers.map(l => ({
+  ...createLayer(l.type, l.settings),
+  enabled: l.enabled,
+  opacity: l.opacity,
+  blend: l.blend,
+  animation: l.animation,
+  mask: l.mask
+}));
+
+const presetLibraryKey = 'glitchPresetLibrary';
+
+// Reads the preset library, folding in the three slots older versions saved
+const loadPresetLibrary = () => {
+  try {
+    const saved = localStorage.getItem(presetLibraryKey);
+    if (saved) return JSON.parse(saved).map(migratePreset);
+    const slots = JSON.parse(localStorage.getItem('glitchPresets') || '[]');
+    return slots.map((slot, i) => slot && migratePreset({ name: `Slot ${i + 1}`, ...slot })).filter(Boolean);
+  } catch (err) {
+    console.error('Could not read presets:', err);
+    return [];
+  }
+};
+
+// Small JPEG of the current render for the preset list
+const captureThumbnail = (canvas, maxDim = 96) => {
+  if (!canvas?.width || !canvas.height) return null;
+  const { w, h } = fitWithin(canvas.width, canvas.height, maxDim);
+  const thumb = document.createElement('canvas');
+  thumb.width = w;
+  thumb.height = h;
+  thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+  return thumb.toDataURL('image/jpeg', 0.7);
+};
 
 export default function App() {
   // --- State ---
   const [originalImage, setOriginalImage] = useState(null);
-  const [previewUrl, setPreviewUrl] = useState(null);
+  const [previewSize, setPreviewSize] = useState(null); // { width, height } of the rendered preview
   const [isProcessing, setIsProcessing] = useState(false);
-  const [isFlipped, setIsFlipped] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [transform, setTransform] = useState(defaultTransform);
+  const [exportScale, setExportScale] = useState(1);
+  const [exportProgress, setExportProgress] = useState(null); // null when not exporting
+  const [copied, setCopied] = useState(false);
+
+  // Other ways in: files or links dropped on the stage, Ctrl+V, or an image URL
+  const [dropActive, setDropActive] = useState(false);
+  const [urlDraft, setUrlDraft] = useState(null); // null while the URL field is closed
+  const inputActionsRef = useRef(null);
+
+  // Live video / webcam source: { video, kind: 'file' | 'camera', w, h, url?, stream? }
+  const [videoSource, setVideoSource] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [videoTime, setVideoTime] = useState(0);
+  const [liveStats, setLiveStats] = useState({ fps: 0, dropped: 0 });
+  const [isRecording, setIsRecording] = useState(false);
+
+  // Painted / generated masks layers can reference: [{ id, name, width, height, data }]
+  const [masks, setMasks] = useState([]);
+  const [editingMaskId, setEditingMaskId] = useState(null);
+  const [maskTool, setMaskTool] = useState({ mode: 'brush', size: 40, hardness: 60, feather: 8 });
+  const [maskGen, setMaskGen] = useState({ low: 128, high: 255, softness: 16, edgeThreshold: 30 });
+  const overlayRef = useRef(null);
+  const strokeRef = useRef(null);
+
+  // Global seed for grain, random dither and other stochastic effects
+  const [seed, setSeed] = useState(randomSeed);
+
+  // Timeline for animated exports; playhead is in seconds
+  const [timeline, setTimeline] = useState({ fps: 12, duration: 2 });
+  const [playhead, setPlayhead] = useState(0);
   
-  const [activeModes, setActiveModes] = useState(['pixel']); 
+  // Ordered effect stack; layers render top to bottom
+  const [layers, setLayers] = useState(() => [createLayer('pixel')]);
+  const dragIndexRef = useRef(null);
+
+  // Channel shown in curve editors, and the curve point being dragged: { layerId, index, points }
+  const [curveChannel, setCurveChannel] = useState('rgb');
+  const curveDragRef = useRef(null);
   
-  // Presets State
-  const [presets, setPresets] = useState(() => {
-    try {
-      const saved = localStorage.getItem('glitchPresets');
-      return saved ? JSON.parse(saved) : [null, null, null];
-    } catch (e) {
-      return [null, null, null];
-    }
-  });
+  // Output naming template and the batch queue: [{ id, file, path, status, progress, error }]
+  const [nameTemplate, setNameTemplate] = useState(defaultNameTemplate);
+  const [batch, setBatch] = useState([]);
+  const [batchRunning, setBatchRunning] = useState(false);
+  const batchCancelRef = useRef(false);
+  const batchFilesRef = useRef(null);
+  const batchFolderRef = useRef(null);
 
-  // Filter Settings
-  const [settings, setSettings] = useState({
-    // Pixel Art
-    pixelSize: 4,
-    
-    // Dither
-    ditherAlgo: 'floyd', 
-    ditherType: 'bw',    
-    ditherThreshold: 128,
-    ditherPixelSize: 2, 
-    colorA: '#000000',   
-    colorB: '#ffffff',   
-    
-    // BW Artistic
-    contrast: 20,
-    brightness: 10,
-    grain: 0,
-
-    // Chromatic
-    offset: 5,
-    direction: 'horizontal',
-
-    // CRT
-    scanlineIntensity: 50, 
-    scanlineThickness: 2,
-    vignette: 50,
-
-    // Halftone
-    dotSize: 8,
-    invertHalftone: false,
-
-    // Pixel Sort
-    sortThreshold: 50, 
-    sortDirection: 'horizontal',
-    
-    // Edge Detection
-    edgeThreshold: 30,
-    edgeColor: '#00ff00', 
-    edgeMode: 'color', 
-
-    // Outline / Blueprint
-    outlineContrast: 50,  
-    outlineLevels: 3,     
-    outlineThickness: 2,
-    outlineBg: '#1a1a1a',
-    outlineColor: '#ffffff',
-    outlineOffsetCount: 0, 
-    outlineOffsetX: 10,
-    outlineOffsetY: 10,
-    outlineOffsetColor: '#ff0055'
-  });
+  // Preset library (see ./presets.js)
+  const [presets, setPresets] = useState(loadPresetLibrary);
+  const [presetQuery, setPresetQuery] = useState('');
+  const [presetDraft, setPresetDraft] = useState({ name: '', tags: '' });
+  const presetFileRef = useRef(null);
+
+  // Viewport: zoom / pan, before-after split and pixel inspector
+  const [view, setView] = useState(fitView);
+  const [stageSize, setStageSize] = useState({ width: 0, height: 0 });
+  const [compare, setCompare] = useState(false);
+  const [split, setSplit] = useState(0.5);
+  const [inspecting, setInspecting] = useState(false);
+  const [inspected, setInspected] = useState(null); // { x, y, after, before }
+  const stageRef = useRef(null);
+  const beforeCanvasRef = useRef(null);
+  const resultRef = useRef(null);
+  const beforeRef = useRef(null);
+  const panRef = useRef(null);
 
   // Refs
   const canvasRef = useRef(null);
   const fileInputRef = useRef(null);
+  const workerRef = useRef(null);
+  const liveParamsRef = useRef({ layers: [], transform: defaultTransform, timeline: null, version: 0 });
+  const recorderRef = useRef(null);
+  const jobIdRef = useRef(0);
+  const busyRef = useRef(false);
+
+  // Undo history of the editable document; see ./history.js
+  const [history, setHistory] = useState(null);
+  const historyLabelRef = useRef(null);
+  const pointerDownRef = useRef(false);
+  const historyActionsRef = useRef(null);
 
   // --- Handlers ---
-  const toggleMode = (modeId) => {
-    setActiveModes(prev => {
-      if (prev.includes(modeId)) {
-        return prev.filter(m => m !== modeId);
-      } else {
-        return [...prev, modeId];
-      }
+  const addLayer = (type) => {
+    setLayers(prev => [...prev, createLayer(type)]);
+  };
+
+  const removeLayer = (layerId) => {
+    setLayers(prev => prev.filter(l => l.id !== layerId));
+  };
+
+  const duplicateLayer = (layerId) => {
+    setLayers(prev => {
+      const index = prev.findIndex(l => l.id === layerId);
+      if (index === -1) return prev;
+      const copy = { ...prev[index], id: createLayerId(), settings: { ...prev[index].settings } };
+      return [...prev.slice(0, index + 1), copy, ...prev.slice(index + 1)];
+    });
+  };
+
+  const toggleLayer = (layerId) => {
+    setLayers(prev => prev.map(l => l.id === layerId ? { ...l, enabled: !l.enabled } : l));
+  };
+
+  const moveLayer = (from, to) => {
+    setLayers(prev => {
+      if (from === to || from < 0 || to < 0 || from >= prev.length || to >= prev.length) return prev;
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
     });
   };
 
-  const updateSetting = (key, value) => {
-    setSettings(prev => ({ ...prev, [key]: value }));
+  const updateLayer = (layerId, key, value) => {
+    setLayers(prev => prev.map(l => l.id === layerId ? { ...l, [key]: value } : l));
+  };
+
+  const updateLayerSetting = (layerId, key, value) => {
+    setLayers(prev => prev.map(l => l.id === layerId ? { ...l, settings: { ...l.settings, [key]: value } } : l));
+  };
+
+  const updateTransform = (key, value) => {
+    setTransform(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Sets or (with null) removes the animation track driving one param
+  const updateLayerAnimation = (layerId, key, track) => {
+    setLayers(prev => prev.map(l => {
+      if (l.id !== layerId) return l;
+      const animation = { ...l.animation };
+      if (track) animation[key] = track;
+      else delete animation[key];
+      return { ...l, animation };
+    }));
+  };
+
+  // --- Presets ---
+  const persistPresets = (next) => {
+    try {
+      localStorage.setItem(presetLibraryKey, JSON.stringify(next));
+      setPresets(next);
+    } catch (err) {
+      alert(`Could not save presets (${err.message}). Large masks and thumbnails may not fit in browser storage.`);
+    }
+  };
+
+  // The current look in the stored preset schema
+  const currentPreset = () => ({
+    layers: layers.map(({ type, enabled, opacity, blend, settings, animation, mask }) => ({ type, enabled, opacity, blend, settings, animation, mask })),
+    masks: masks.map(({ id, name, ...mask }) => ({ id, name, ...encodeMask(mask) })),
+    transform,
+    seed,
+    timeline
+  });
+
+  const savePreset = () => {
+    const now = Date.now();
+    const preset = {
+      version: presetVersion,
+      id: createPresetId(),
+      name: presetDraft.name.trim() || `Preset ${presets.length + 1}`,
+      tags: parseTags(presetDraft.tags),
+      thumbnail: captureThumbnail(canvasRef.current),
+      createdAt: now,
+      updatedAt: now,
+      ...currentPreset()
+    };
+    persistPresets([preset, ...presets]);
+    setPresetDraft({ name: '', tags: '' });
+  };
+
+  const overwritePreset = (id) => {
+    persistPresets(presets.map(p => p.id === id
+      ? { ...p, ...currentPreset(), thumbnail: captureThumbnail(canvasRef.current) || p.thumbnail, updatedAt: Date.now() }
+      : p));
+  };
+
+  const deletePreset = (id) => {
+    persistPresets(presets.filter(p => p.id !== id));
+  };
+
+  const loadPreset = (preset) => {
+    historyLabelRef.current = `Load "${preset.name}"`;
+    setLayers(presetToLayers(preset));
+    setTransform(preset.transform);
+    setSeed(preset.seed);
+    setTimeline(preset.timeline);
+    setMasks(preset.masks.map(({ id, name, ...encoded }) => ({ id, name, ...decodeMask(encoded) })));
+    setEditingMaskId(null);
+  };
+
+  const exportPresets = (list, filename) => {
+    downloadBlob(new Blob([serializePresetFile(list)], { type: 'application/json' }), filename);
+  };
+
+  const importPresets = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text()
+      .then(text => {
+        // Imported presets get new ids so they never replace existing ones
+        const imported = parsePresetFile(text).map(p => ({ ...p, id: createPresetId() }));
+        persistPresets([...imported, ...presets]);
+      })
+      .catch(err => alert(`Could not import presets: ${err.message}`));
+  };
+
+  const sharePreset = async () => {
+    try {
+      const code = await encodePresetHash(currentPreset());
+      const url = `${location.origin}${location.pathname}#look=${code}`;
+      window.history.replaceState(null, '', `#look=${code}`);
+      await navigator.clipboard.writeText(url);
+      alert(masks.length ? 'Link copied. Masks are not included in share links.' : 'Link copied to the clipboard.');
+    } catch (err) {
+      alert(`Could not create a share link: ${err.message}`);
+    }
+  };
+
+  // --- History ---
+  const restoreHistory = (index) => {
+    const { doc } = history.entries[index];
+    setHistory(h => ({ ...h, index }));
+    if (doc.originalImage && videoSource) setVideoSource(null);
+    if (!doc.originalImage) setPreviewSize(null);
+    setOriginalImage(doc.originalImage);
+    setLayers(doc.layers);
+    setMasks(doc.masks);
+    setTransform(doc.transform);
+    setSeed(doc.seed);
+    setTimeline(doc.timeline);
+  };
+
+  // A change that hasn't been recorded yet is undone first
+  const undo = () => {
+    if (!history) return;
+    const live = { originalImage, layers, masks, transform, seed, timeline };
+    if (!sameDoc(live, history.entries[history.index].doc)) restoreHistory(history.index);
+    else if (canUndo(history)) restoreHistory(history.index - 1);
+  };
+
+  const redo = () => {
+    if (canRedo(history)) restoreHistory(history.index + 1);
+  };
+
+  // --- Masks ---
+  // Masks live at preview-proxy resolution and are resampled by the pipeline
+  const maskSize = () => transformedSize(originalImage.w, originalImage.h, transform);
+
+  const addMask = (name, mask) => {
+    const id = createMaskId();
+    setMasks(prev => [...prev, { id, name, ...mask }]);
+    return id;
+  };
+
+  const newPaintedMask = () => {
+    if (!originalImage) return;
+    const { width, height } = maskSize();
+    setEditingMaskId(addMask(`Mask ${masks.length + 1}`, createMask(width, height)));
+  };
+
+  // Generated masks follow the preview geometry, so they're built from the transformed source
+  const maskSource = () => {
+    const { img, w, h } = originalImage;
+    return runPipeline(drawSource(img, w, h), [], { transform });
   };
 
-  const savePreset = (index) => {
-    const newPresets = [...presets];
-    newPresets[index] = {
-      activeModes,
-      settings,
-      isFlipped, 
-      timestamp: Date.now()
+  const generateLuminanceMask = () => {
+    if (!originalImage) return;
+    const { low, high, softness } = maskGen;
+    addMask(`Luma ${low}-${high}`, maskFromLuminance(maskSource(), low, high, softness));
+  };
+
+  const generateEdgeMask = () => {
+    if (!originalImage) return;
+    addMask('Edges', maskFromEdges(maskSource(), maskGen.edgeThreshold));
+  };
+
+  const updateMask = (id, change) => {
+    setMasks(prev => prev.map(m => m.id === id ? { ...m, ...change(m) } : m));
+  };
+
+  const removeMask = (id) => {
+    setMasks(prev => prev.filter(m => m.id !== id));
+    setLayers(prev => prev.map(l => l.mask === id ? { ...l, mask: null } : l));
+    if (editingMaskId === id) setEditingMaskId(null);
+  };
+
+  const editingMask = masks.find(m => m.id === editingMaskId) || null;
+
+  const maskPoint = (e) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    return [(e.clientX - rect.left) * editingMask.width / rect.width, (e.clientY - rect.top) * editingMask.height / rect.height];
+  };
+
+  // Strokes paint into a working copy; the mask state is only updated when the stroke ends
+  const paintAt = (from, to) => {
+    const { mask } = strokeRef.current;
+    const scale = mask.width / overlayRef.current.getBoundingClientRect().width;
+    const radius = Math.max(1, maskTool.size / 2 * scale);
+    paintStroke(mask, from[0], from[1], to[0], to[1], { radius, value: maskTool.mode === 'brush' ? 255 : 0, hardness: maskTool.hardness / 100 });
+    const clampX = (v) => Math.max(0, Math.min(mask.width - 1, Math.round(v)));
+    const clampY = (v) => Math.max(0, Math.min(mask.height - 1, Math.round(v)));
+    drawMaskOverlay(overlayRef.current, mask, [
+      clampX(Math.min(from[0], to[0]) - radius - 1), clampY(Math.min(from[1], to[1]) - radius - 1),
+      clampX(Math.max(from[0], to[0]) + radius + 1), clampY(Math.max(from[1], to[1]) + radius + 1)
+    ]);
+  };
+
+  const handleMaskPointerDown = (e) => {
+    if (!editingMask || e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = maskPoint(e);
+    strokeRef.current = { mask: cloneMask(editingMask), last: point };
+    paintAt(point, point);
+  };
+
+  const handleMaskPointerMove = (e) => {
+    if (!strokeRef.current) return;
+    const point = maskPoint(e);
+    paintAt(strokeRef.current.last, point);
+    strokeRef.current.last = point;
+  };
+
+  const handleMaskPointerUp = () => {
+    if (!strokeRef.current) return;
+    const { data } = strokeRef.current.mask;
+    strokeRef.current = null;
+    updateMask(editingMaskId, () => ({ data }));
+  };
+
+  // --- Viewport ---
+  const stillReady = !!previewSize && !videoSource;
+  const fitScale = previewSize && stageSize.width
+    ? Math.min(1, (stageSize.width - 96) / previewSize.width, (stageSize.height - 96) / previewSize.height)
+    : 1;
+  const viewScale = view.fit ? Math.max(minZoom, fitScale) : view.scale;
+  const viewX = view.fit ? 0 : view.x;
+  const viewY = view.fit ? 0 : view.y;
+
+  const zoomBy = (factor) => {
+    setView(zoomAt({ scale: viewScale, x: viewX, y: viewY }, factor, { x: 0, y: 0 }));
+  };
+
+  // Left-drag pans (middle-drag while painting a mask)
+  const handleStagePointerDown = (e) => {
+    if (!previewSize || !(e.button === 1 || (e.button === 0 && !editingMask))) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    panRef.current = { x: e.clientX, y: e.clientY, view: measureView(stageRef.current, canvasRef.current) };
+  };
+
+  const handleStagePointerMove = (e) => {
+    const pan = panRef.current;
+    if (pan) setView({ ...pan.view, x: pan.view.x + e.clientX - pan.x, y: pan.view.y + e.clientY - pan.y });
+    if (!inspecting || !previewSize) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) / rect.width * previewSize.width);
+    const y = Math.floor((e.clientY - rect.top) / rect.height * previewSize.height);
+    const after = pixelAt(resultRef.current, x, y);
+    setInspected(after ? { x, y, after, before: stillReady ? pixelAt(beforeRef.current, x, y) : null } : null);
+  };
+
+  const handleStagePointerUp = () => {
+    panRef.current = null;
+  };
+
+  const handleSplitPointerDown = (e) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handleSplitPointerMove = (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    setSplit(Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)));
+  };
+
+  // Remote images are requested with CORS so their pixels stay readable
+  const loadImage = (src, name, { crossOrigin = false } = {}) => {
+    const img = new Image();
+    if (crossOrigin) img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      const { w, h } = fitWithin(img.width, img.height, previewMaxDim);
+      setVideoSource(null);
+      setView(fitView);
+      setOriginalImage({ img, w, h, name });
     };
-    setPresets(newPresets);
-    localStorage.setItem('glitchPresets', JSON.stringify(newPresets));
+    img.onerror = () => alert(crossOrigin
+      ? 'Could not load that image. It must be on this site or allow cross-origin (CORS) access.'
+      : 'This image format is not supported by your browser.');
+    img.src = src;
   };
 
-  const loadPreset = (index) => {
-    const p = presets[index];
-    if (p) {
-      setActiveModes(p.activeModes);
-      setSettings(p.settings);
-      setIsFlipped(p.isFlipped || false);
+  const loadFile = (file) => {
+    if (file.type.startsWith('video/')) return loadVideo(file);
+    if (!isImageFile(file)) return alert(`${file.name || 'That file'} is not an image or video.`);
+    const reader = new FileReader();
+    reader.onload = (event) => loadImage(event.target.result, file.name || 'pasted-image.png');
+    reader.readAsDataURL(file);
+  };
+
+  const loadUrl = (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url.trim(), location.href);
+    } catch {
+      return alert('That is not a valid URL.');
     }
+    const name = decodeURIComponent(parsed.pathname.split('/').pop() || '') || 'image';
+    loadImage(parsed.href, name, { crossOrigin: parsed.origin !== location.origin && parsed.protocol !== 'data:' && parsed.protocol !== 'blob:' });
   };
 
   const handleImageUpload = (e) => {
     const file = e.target.files[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const img = new Image();
-      img.onload = () => {
-        const maxDim = 1200;
-        let w = img.width;
-        let h = img.height;
-        if (w > maxDim || h > maxDim) {
-          const ratio = w / h;
-          if (w > h) { w = maxDim; h = maxDim / ratio; } 
-          else { h = maxDim; w = maxDim * ratio; }
-        }
-        setOriginalImage({ img, w, h });
-      };
-      img.src = event.target.result;
+    e.target.value = '';
+    loadFile(file);
+  };
+
+  const handleUrlSubmit = (e) => {
+    e.preventDefault();
+    if (urlDraft.trim()) loadUrl(urlDraft);
+    setUrlDraft(null);
+  };
+
+  // Only drags that carry files or links light up the stage; layer reordering doesn't
+  const isInputDrag = (e) => ['Files', 'text/uri-list'].some(type => e.dataTransfer.types.includes(type));
+  const handleStageDragOver = (e) => {
+    if (!isInputDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropActive(true);
+  };
+  const handleStageDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDropActive(false);
+  };
+  const handleStageDrop = (e) => {
+    if (!isInputDrag(e)) return;
+    e.preventDefault();
+    setDropActive(false);
+    const file = e.dataTransfer.files[0];
+    if (file) return loadFile(file);
+    const url = e.dataTransfer.getData('text/uri-list').split('\n').find(line => line && !line.startsWith('#'));
+    if (url) loadUrl(url);
+  };
+
+  // --- Video & Webcam Input ---
+  const startVideoSource = (video, kind, extra) => {
+    const { w, h } = fitWithin(video.videoWidth, video.videoHeight, liveMaxDim);
+    jobIdRef.current++; // drop any still-image render that is in flight
+    setOriginalImage(null);
+    setIsProcessing(false);
+    setPreviewSize(null);
+    setView(fitView);
+    setVideoTime(0);
+    setVideoSource({ video, kind, w, h, ...extra });
+    video.play().then(() => setIsPlaying(true)).catch(() => setIsPlaying(false));
+  };
+
+  const loadVideo = (file) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.onloadedmetadata = () => startVideoSource(video, 'file', { url });
+    video.onerror = () => {
+      URL.revokeObjectURL(url);
+      alert('This video format is not supported by your browser.');
     };
-    reader.readAsDataURL(file);
+    video.src = url;
   };
 
-  const downloadImage = () => {
-    if (!canvasRef.current) return;
-    const link = document.createElement('a');
-    link.download = `glitch_combo_${Date.now()}.png`;
-    link.href = canvasRef.current.toDataURL('image/png');
-    link.click();
+  const toggleCamera = async () => {
+    if (videoSource?.kind === 'camera') return setVideoSource(null);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = stream;
+      video.onloadedmetadata = () => startVideoSource(video, 'camera', { stream });
+    } catch (err) {
+      alert(`Could not open the camera: ${err.message}`);
+    }
   };
 
-  // --- PIPELINE ENGINE ---
-  useEffect(() => {
-    if (!originalImage || !canvasRef.current) return;
-    
-    setIsProcessing(true);
+  const togglePlayback = () => {
+    const video = videoSource?.video;
+    if (!video) return;
+    if (video.paused) video.play().then(() => setIsPlaying(true));
+    else { video.pause(); setIsPlaying(false); }
+  };
 
-    const processTimer = setTimeout(() => {
-      const ctx = canvasRef.current.getContext('2d', { willReadFrequently: true });
-      const { img, w, h } = originalImage;
-      
-      canvasRef.current.width = w;
-      canvasRef.current.height = h;
-
-      // 1. Base Draw & Transformation
-      ctx.filter = 'none';
-      ctx.globalCompositeOperation = 'source-over';
-
-      // Handle Flip
-      ctx.save(); 
-      if (isFlipped) {
-        ctx.translate(w, 0);
-        ctx.scale(-1, 1);
+  const seekVideo = (time) => {
+    if (!videoSource) return;
+    videoSource.video.currentTime = time;
+    setVideoTime(time);
+  };
+
+  const startRecording = () => {
+    const mimeType = pickWebmType();
+    if (!mimeType) return alert('WebM recording is not supported in this browser');
+    const recorder = new MediaRecorder(canvasRef.current.captureStream(30), { mimeType, videoBitsPerSecond: 8000000 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    recorder.onstop = () => downloadBlob(new Blob(chunks, { type: 'video/webm' }), `glitch_video_${Date.now()}.webm`);
+    recorder.start();
+    recorderRef.current = recorder;
+    setIsRecording(true);
+  };
+
+  const stopRecording = () => {
+    recorderRef.current?.stop();
+    recorderRef.current = null;
+    setIsRecording(false);
+  };
+
+  // Re-runs the stack on the original-resolution bitmap instead of saving the preview proxy
+  const renderExportPng = async () => {
+    const { img, w } = originalImage;
+    const source = drawSource(img, Math.round(img.naturalWidth * exportScale), Math.round(img.naturalHeight * exportScale));
+    const result = await renderInWorker(
+      { source, layers, transform, seed, masks: masksForLayers(masks, layers), scale: source.width / w },
+      setExportProgress
+    );
+    return imageDataToPng(result);
+  };
+
+  const downloadImage = async () => {
+    if (!originalImage || exportProgress !== null) return;
+    setExportProgress(0);
+    try {
+      const blob = await renderExportPng();
+      downloadBlob(blob, `${formatOutputName(nameTemplate, { name: originalImage.name })}.png`);
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert(`Export failed: ${err.message}`);
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
+  // The clipboard item is created right away with a pending PNG, since some browsers
+  // only allow clipboard writes during the click itself
+  const copyImage = async () => {
+    if (!originalImage || exportProgress !== null) return;
+    if (!navigator.clipboard?.write || typeof ClipboardItem === 'undefined') return alert('This browser cannot copy images to the clipboard.');
+    setExportProgress(0);
+    try {
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': renderExportPng() })]);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error('Copy failed:', err);
+      alert(`Could not copy the image: ${err.message}`);
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
+  // Vector and text exports of the last visible Blueprint or ASCII layer. The layers above it
+  // are rendered at export size first; the layer's own opacity, blend and mask don't apply.
+  const lastLayerIndex = (type) => layers.findLastIndex(l => l.enabled && l.type === type);
+  const svgLayerIndex = lastLayerIndex('outline');
+  const asciiLayerIndex = lastLayerIndex('ascii');
+  const exportLayerAs = async (index, toBlob, extension) => {
+    if (!originalImage || exportProgress !== null || index === -1) return;
+    const { img, w } = originalImage;
+    const layer = layers[index];
+    const before = layers.slice(0, index);
+
+    setExportProgress(0);
+    try {
+      const source = drawSource(img, Math.round(img.naturalWidth * exportScale), Math.round(img.naturalHeight * exportScale));
+      const scale = source.width / w;
+      const input = await renderInWorker(
+        { source, layers: before, transform, seed, masks: masksForLayers(masks, before), scale },
+        setExportProgress
+      );
+      const settings = scaleSettings(layer.type, { ...getEffectDefaults(layer.type), ...layer.settings }, scale);
+      downloadBlob(toBlob(input, settings), `${formatOutputName(nameTemplate, { name: originalImage.name })}.${extension}`);
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert(`Export failed: ${err.message}`);
+    } finally {
+      setExportProgress(null);
+    }
+  };
+  const downloadSvg = () => exportLayerAs(svgLayerIndex, (input, settings) => new Blob([outlineToSvg(input, settings)], { type: 'image/svg+xml' }), 'svg');
+  const downloadText = () => exportLayerAs(asciiLayerIndex, (input, settings) => new Blob([asciiToText(input, settings)], { type: 'text/plain' }), 'txt');
+  const downloadAnsi = () => exportLayerAs(asciiLayerIndex, (input, settings) => new Blob([asciiToAnsi(input, settings)], { type: 'text/plain' }), 'ans');
+
+  // --- Batch Processing ---
+  const addBatchFiles = (files) => {
+    const items = files
+      .filter(({ file }) => isImageFile(file))
+      .map(({ file, path }) => ({ id: createLayerId(), file, path, status: 'queued', progress: 0, error: null }));
+    setBatch(prev => [...prev, ...items]);
+  };
+
+  const handleBatchInput = (e) => {
+    addBatchFiles(Array.from(e.target.files).map(file => ({ file, path: file.webkitRelativePath || file.name })));
+    e.target.value = '';
+  };
+
+  const handleBatchDrop = async (e) => {
+    e.preventDefault();
+    if (batchRunning) return;
+    addBatchFiles(await collectDroppedFiles(e.dataTransfer));
+  };
+
+  const updateBatchItem = (id, patch) => setBatch(prev => prev.map(item => item.id === id ? { ...item, ...patch } : item));
+
+  // Renders every queued file at full resolution, one at a time, into a single ZIP.
+  // Effect sizes are scaled as if each file had been loaded as the preview.
+  const runBatch = async () => {
+    const queue = batch.filter(item => item.status !== 'done');
+    if (!queue.length || batchRunning) return;
+    batchCancelRef.current = false;
+    setBatchRunning(true);
+    const zip = createZipWriter();
+    const usedNames = new Set();
+    const workerMasks = masksForLayers(masks, layers);
+    let added = 0;
+
+    for (const [index, item] of queue.entries()) {
+      if (batchCancelRef.current) break;
+      updateBatchItem(item.id, { status: 'processing', progress: 0, error: null });
+      try {
+        const bitmap = await createImageBitmap(item.file);
+        const { w } = fitWithin(bitmap.width, bitmap.height, previewMaxDim);
+        const source = drawSource(bitmap, Math.round(bitmap.width * exportScale), Math.round(bitmap.height * exportScale));
+        bitmap.close();
+        const result = await renderInWorker(
+          { source, layers, transform, seed, masks: workerMasks, scale: source.width / w },
+          (progress) => updateBatchItem(item.id, { progress })
+        );
+        const png = await imageDataToPng(result);
+        const folder = item.path.slice(0, item.path.lastIndexOf('/') + 1);
+        const name = formatOutputName(nameTemplate, { name: item.file.name, index: index + 1, count: queue.length });
+        zip.addFile(uniqueName(`${folder}${name}.png`, usedNames), new Uint8Array(await png.arrayBuffer()));
+        added++;
+        updateBatchItem(item.id, { status: 'done', progress: 1 });
+      } catch (err) {
+        console.error(`Batch item ${item.path} failed:`, err);
+        updateBatchItem(item.id, { status: 'error', error: err.message });
       }
-      ctx.drawImage(img, 0, 0, w, h);
-      ctx.restore(); 
-
-      // Define fixed order of operations for logic consistency
-      const pipelineOrder = [
-        'pixel',    // 1. Resizing/Pixelation first
-        'bw',       // 2. Color adjustments
-        'sort',     // 3. Glitch geometry
-        'outline',  // 4. Generative replacements (Outline replaces content)
-        'edge',     // 5. Edge detection (Additive or Replacement)
-        'halftone', // 6. Pattern generators
-        'dither',   // 7. Dither (Needs final brightness values)
-        'chromatic',// 8. Channel shifting
-        'crt'       // 9. Overlay/Screen effects last
-      ];
-
-      // Run Pipeline
-      pipelineOrder.forEach(mode => {
-        if (!activeModes.includes(mode)) return;
-
-        const currentW = canvasRef.current.width;
-        const currentH = canvasRef.current.height;
-        const currentImageData = ctx.getImageData(0, 0, currentW, currentH);
-        const data = currentImageData.data;
-
-        // --- PIXEL ART ---
-        if (mode === 'pixel') {
-          const factor = Math.max(1, settings.pixelSize);
-          const tinyW = Math.floor(currentW / factor);
-          const tinyH = Math.floor(currentH / factor);
-          
-          ctx.imageSmoothingEnabled = false;
-          const tempCanvas = document.createElement('canvas');
-          tempCanvas.width = tinyW;
-          tempCanvas.height = tinyH;
-          const tempCtx = tempCanvas.getContext('2d');
-          tempCtx.drawImage(canvasRef.current, 0, 0, tinyW, tinyH);
-          
-          ctx.clearRect(0, 0, currentW, currentH);
-          ctx.drawImage(tempCanvas, 0, 0, currentW, currentH);
-        }
+    }
 
-        // --- BW ---
-        else if (mode === 'bw') {
-          const contrastFactor = (259 * (settings.contrast + 255)) / (255 * (259 - settings.contrast));
-          for (let i = 0; i < data.length; i += 4) {
-            const r = data[i], g = data[i+1], b = data[i+2];
-            let gray = getLuminance(r, g, b);
-            gray += settings.brightness;
-            gray = contrastFactor * (gray - 128) + 128;
-            if (settings.grain > 0) gray += (Math.random() - 0.5) * settings.grain;
-            gray = Math.min(255, Math.max(0, gray));
-            data[i] = data[i+1] = data[i+2] = gray;
-          }
-          ctx.putImageData(currentImageData, 0, 0);
-        }
+    if (added) downloadBlob(zip.finish(), `${formatOutputName('glitch_batch_{date}_{time}')}.zip`);
+    setBatchRunning(false);
+  };
 
-        // --- PIXEL SORT ---
-        else if (mode === 'sort') {
-          const thresh = settings.sortThreshold;
-          const sortRow = (arr) => arr.sort((a, b) => getLuminance(a.r, a.g, a.b) - getLuminance(b.r, b.g, b.b));
-
-          if (settings.sortDirection === 'horizontal') {
-            for (let y = 0; y < currentH; y++) {
-              let rowPixels = [];
-              for (let x = 0; x < currentW; x++) {
-                const i = (y * currentW + x) * 4;
-                rowPixels.push({ r: data[i], g: data[i+1], b: data[i+2], a: data[i+3] });
-              }
-              let start = 0;
-              while (start < currentW) {
-                const lum = getLuminance(rowPixels[start].r, rowPixels[start].g, rowPixels[start].b);
-                if (lum > thresh) {
-                  let end = start + 1;
-                  while (end < currentW && getLuminance(rowPixels[end].r, rowPixels[end].g, rowPixels[end].b) > thresh) end++;
-                  const span = rowPixels.slice(start, end);
-                  sortRow(span);
-                  for (let k = 0; k < span.length; k++) rowPixels[start + k] = span[k];
-                  start = end;
-                } else start++;
-              }
-              for (let x = 0; x < currentW; x++) {
-                const i = (y * currentW + x) * 4;
-                data[i] = rowPixels[x].r; data[i+1] = rowPixels[x].g; data[i+2] = rowPixels[x].b;
-              }
-            }
-          } else {
-             // Vertical simplified
-             for (let x = 0; x < currentW; x++) {
-               let colPixels = [];
-               for (let y = 0; y < currentH; y++) {
-                 const i = (y * currentW + x) * 4;
-                 colPixels.push({ r: data[i], g: data[i+1], b: data[i+2], a: data[i+3] });
-               }
-               let start = 0;
-               while (start < currentH) {
-                 const lum = getLuminance(colPixels[start].r, colPixels[start].g, colPixels[start].b);
-                 if (lum > thresh) {
-                   let end = start + 1;
-                   while (end < currentH && getLuminance(colPixels[end].r, colPixels[end].g, colPixels[end].b) > thresh) end++;
-                   const span = colPixels.slice(start, end);
-                   sortRow(span);
-                   for (let k = 0; k < span.length; k++) colPixels[start + k] = span[k];
-                   start = end;
-                 } else start++;
-               }
-               for (let y = 0; y < currentH; y++) {
-                 const i = (y * currentW + x) * 4;
-                 data[i] = colPixels[y].r; data[i+1] = colPixels[y].g; data[i+2] = colPixels[y].b;
-               }
-             }
-          }
-          ctx.putImageData(currentImageData, 0, 0);
-        }
+  // Renders every frame of the timeline at preview size, as a GIF or a WebM video
+  const exportAnimation = async (format) => {
+    if (!originalImage || exportProgress !== null) return;
+    const { img, w, h } = originalImage;
+    const { fps, duration } = timeline;
 
-        // --- OUTLINE ---
-        else if (mode === 'outline') {
-          const contrast = settings.outlineContrast;
-          const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
-          const levels = Math.max(2, settings.outlineLevels);
-          const levelStep = 255 / (levels - 1);
-          const map = new Uint8ClampedArray(currentW * currentH);
-
-          for (let i = 0; i < data.length; i += 4) {
-            let gray = getLuminance(data[i], data[i+1], data[i+2]);
-            gray = contrastFactor * (gray - 128) + 128;
-            gray = Math.max(0, Math.min(255, gray));
-            map[i/4] = Math.round(gray / levelStep);
-          }
-
-          const edgeMap = new Uint8ClampedArray(currentW * currentH);
-          for (let y = 0; y < currentH; y++) {
-            for (let x = 0; x < currentW; x++) {
-              const i = y * currentW + x;
-              const cur = map[i];
-              if ((x < currentW - 1 && map[i+1] !== cur) || (y < currentH - 1 && map[i+currentW] !== cur)) {
-                edgeMap[i] = 1;
-              }
-            }
-          }
-
-          const offCanvas = document.createElement('canvas');
-          offCanvas.width = currentW;
-          offCanvas.height = currentH;
-          const offCtx = offCanvas.getContext('2d');
-          const offData = offCtx.createImageData(currentW, currentH);
-          const lineCol = hexToRgb(settings.outlineColor);
-          const thickness = settings.outlineThickness;
-
-          for (let i = 0; i < edgeMap.length; i++) {
-            if (edgeMap[i] === 1) {
-              const y = Math.floor(i / currentW);
-              const x = i % currentW;
-              const range = Math.ceil(thickness / 2);
-              for (let dy = -range; dy <= range; dy++) {
-                 for (let dx = -range; dx <= range; dx++) {
-                    const ni = ((y+dy) * currentW + (x+dx)) * 4;
-                    if (ni >= 0 && ni < offData.data.length) {
-                       offData.data[ni] = lineCol.r; offData.data[ni+1] = lineCol.g; offData.data[ni+2] = lineCol.b; offData.data[ni+3] = 255; 
-                    }
-                 }
-              }
-            }
-          }
-          offCtx.putImageData(offData, 0, 0);
-
-          ctx.fillStyle = settings.outlineBg;
-          ctx.fillRect(0, 0, currentW, currentH);
-          
-          // Offsets
-          if (settings.outlineOffsetCount > 0) {
-             const echoC = document.createElement('canvas');
-             echoC.width = currentW; echoC.height = currentH;
-             const echoCtx = echoC.getContext('2d');
-             echoCtx.drawImage(offCanvas, 0, 0);
-             echoCtx.globalCompositeOperation = 'source-in';
-             echoCtx.fillStyle = settings.outlineOffsetColor;
-             echoCtx.fillRect(0, 0, currentW, currentH);
-             ctx.globalAlpha = 0.6; 
-             for (let k = settings.outlineOffsetCount; k > 0; k--) {
-                ctx.drawImage(echoC, settings.outlineOffsetX * k, settings.outlineOffsetY * k);
-             }
-             ctx.globalAlpha = 1.0;
-          }
-          ctx.drawImage(offCanvas, 0, 0);
-        }
+    setExportProgress(0);
+    try {
+      const source = drawSource(img, w, h);
+      const frames = [];
+      // WebM spends the second half of its progress recording in real time
+      const share = format === 'webm' ? 0.5 : 1;
+      const bytes = await renderAnimationInWorker(
+        { source, layers, transform, seed, masks: masksForLayers(masks, layers), fps, duration, format },
+        { onProgress: (p) => setExportProgress(p * share), onFrame: (frame) => frames.push(frame) }
+      );
+      const blob = format === 'gif'
+        ? new Blob([bytes], { type: 'image/gif' })
+        : await recordWebm(frames, fps, (p) => setExportProgress(0.5 + p * 0.5));
+      downloadBlob(blob, `glitch_anim_${Date.now()}.${format}`);
+    } catch (err) {
+      console.error('Animation export failed:', err);
+      alert(`Animation export failed: ${err.message}`);
+    } finally {
+      setExportProgress(null);
+    }
+  };
 
-        // --- EDGE DETECTION ---
-        else if (mode === 'edge') {
-          const grayscale = new Uint8ClampedArray(currentW * currentH);
-          for (let i = 0; i < data.length; i+=4) grayscale[i/4] = getLuminance(data[i], data[i+1], data[i+2]);
-          
-          const output = ctx.createImageData(currentW, currentH);
-          const out = output.data;
-          const thresh = settings.edgeThreshold;
-          const neon = hexToRgb(settings.edgeColor);
-          const getP = (x, y) => (x<0||x>=currentW||y<0||y>=currentH) ? 0 : grayscale[y*currentW+x];
-
-          for (let y = 0; y < currentH; y++) {
-            for (let x = 0; x < currentW; x++) {
-              const gx = -1*getP(x-1,y-1) + getP(x+1,y-1) - 2*getP(x-1,y) + 2*getP(x+1,y) - getP(x-1,y+1) + getP(x+1,y+1);
-              const gy = -1*getP(x-1,y-1) - 2*getP(x,y-1) - getP(x+1,y-1) + getP(x-1,y+1) + 2*getP(x,y+1) + getP(x+1,y+1);
-              const i = (y*currentW+x)*4;
-              if (Math.sqrt(gx*gx + gy*gy) > thresh) {
-                if (settings.edgeMode === 'color') { out[i]=neon.r; out[i+1]=neon.g; out[i+2]=neon.b; } 
-                else { out[i]=255; out[i+1]=255; out[i+2]=255; }
-                out[i+3]=255;
-              } else {
-                out[i]=0; out[i+1]=0; out[i+2]=0; out[i+3]=255;
-              }
-            }
-          }
-          ctx.putImageData(output, 0, 0);
-        }
+  // --- PIPELINE ENGINE (Web Worker) ---
+  const spawnWorker = () => {
+    const worker = createPipelineWorker();
+    worker.onmessage = (e) => {
+      const { type, jobId } = e.data;
+      if (jobId !== jobIdRef.current) return; // stale job
+      if (type === 'progress') {
+        setProgress(e.data.progress);
+      } else if (type === 'done') {
+        const { result } = e.data;
+        const canvas = canvasRef.current;
+        canvas.width = result.width;
+        canvas.height = result.height;
+        canvas.getContext('2d').putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+        resultRef.current = result;
+        busyRef.current = false;
+        setPreviewSize(size => size?.width === result.width && size?.height === result.height ? size : { width: result.width, height: result.height });
+        setIsProcessing(false);
+      } else if (type === 'error') {
+        console.error('Pipeline failed:', e.data.message);
+        busyRef.current = false;
+        setIsProcessing(false);
+      }
+    };
+    return worker;
+  };
 
-        // --- HALFTONE ---
-        else if (mode === 'halftone') {
-           const tempC = document.createElement('canvas');
-           tempC.width = currentW; tempC.height = currentH;
-           const tempCtx = tempC.getContext('2d');
-           
-           tempCtx.fillStyle = settings.invertHalftone ? '#000000' : '#ffffff';
-           tempCtx.fillRect(0, 0, currentW, currentH);
-           tempCtx.fillStyle = settings.invertHalftone ? '#ffffff' : '#000000';
-           const step = Math.max(4, settings.dotSize);
-
-           for (let y = 0; y < currentH; y += step) {
-             for (let x = 0; x < currentW; x += step) {
-               const i = (Math.min(currentH-1, Math.floor(y + step/2)) * currentW + Math.min(currentW-1, Math.floor(x + step/2))) * 4;
-               const lum = getLuminance(data[i], data[i+1], data[i+2]) / 255;
-               const radius = settings.invertHalftone ? (lum * step / 2) : ((1 - lum) * step / 2);
-               if (radius > 0.5) {
-                 tempCtx.beginPath();
-                 tempCtx.arc(x + step/2, y + step/2, radius, 0, Math.PI * 2);
-                 tempCtx.fill();
-               }
-             }
-           }
-           ctx.drawImage(tempC, 0, 0);
-        }
+  useEffect(() => () => workerRef.current?.terminate(), []);
 
-        // --- DITHER ---
-        else if (mode === 'dither') {
-          const grayBuffer = new Float32Array(currentW * currentH);
-          for (let i = 0; i < currentW * currentH; i++) {
-              grayBuffer[i] = getLuminance(data[i*4], data[i*4+1], data[i*4+2]);
-          }
-          const dark = hexToRgb(settings.colorA);
-          const light = hexToRgb(settings.colorB);
-          const threshold = settings.ditherThreshold;
-
-          for (let y = 0; y < currentH; y++) {
-            for (let x = 0; x < currentW; x++) {
-              const i = y * currentW + x;
-              let isLight = false;
-              
-              if (settings.ditherAlgo === 'bayer') {
-                 const map = Math.floor((grayBuffer[i] / 255) * 17);
-                 isLight = map > bayerMatrix4x4[y % 4][x % 4];
-              } 
-              else if (settings.ditherAlgo === 'threshold') {
-                 isLight = grayBuffer[i] > threshold;
-              }
-              else {
-                 const oldVal = grayBuffer[i];
-                 const newVal = oldVal > threshold ? 255 : 0;
-                 const error = oldVal - newVal;
-                 isLight = newVal === 255;
-                 
-                 if (settings.ditherAlgo === 'floyd') {
-                    if (x+1<currentW) grayBuffer[i+1]+=error*7/16;
-                    if (y+1<currentH&&x-1>=0) grayBuffer[i+currentW-1]+=error*3/16;
-                    if (y+1<currentH) grayBuffer[i+currentW]+=error*5/16;
-                    if (y+1<currentH&&x+1<currentW) grayBuffer[i+currentW+1]+=error*1/16;
-                 } else { // Atkinson
-                    const f = 1/8;
-                    if (x+1<currentW) grayBuffer[i+1]+=error*f;
-                    if (x+2<currentW) grayBuffer[i+2]+=error*f;
-                    if (x-1>=0&&y+1<currentH) grayBuffer[i+currentW-1]+=error*f;
-                    if (y+1<currentH) grayBuffer[i+currentW]+=error*f;
-                    if (x+1<currentW&&y+1<currentH) grayBuffer[i+currentW+1]+=error*f;
-                    if (y+2<currentH) grayBuffer[i+currentW*2]+=error*f;
-                 }
-              }
-
-              const idx = i * 4;
-              if (settings.ditherType === 'random' && isLight) {
-                 const hash = Math.floor(Math.abs(Math.sin(x * 12.9898 + y * 78.233) * 43758.5453));
-                 const col = vibrantColors[hash % vibrantColors.length];
-                 data[idx]=col.r; data[idx+1]=col.g; data[idx+2]=col.b;
-              } else {
-                 const t = isLight ? light : dark;
-                 if (settings.ditherType === 'bw') { const v = isLight?255:0; data[idx]=v; data[idx+1]=v; data[idx+2]=v; }
-                 else { data[idx]=t.r; data[idx+1]=t.g; data[idx+2]=t.b; }
-              }
-              data[idx+3] = 255;
-            }
-          }
-          ctx.putImageData(currentImageData, 0, 0);
-        }
+  // Record document changes once they settle. Slider drags and brush strokes
+  // only commit after the pointer is released, so a drag is a single step.
+  useEffect(() => {
+    const doc = { originalImage, layers, masks, transform, seed, timeline };
+    let timer = null;
+    const commit = () => {
+      if (pointerDownRef.current) return;
+      const label = historyLabelRef.current;
+      historyLabelRef.current = null;
+      setHistory(h => recordHistory(h, doc, label));
+    };
+    const onPointerUp = () => {
+      clearTimeout(timer);
+      timer = setTimeout(commit, 0);
+    };
+    timer = setTimeout(commit, 300);
+    window.addEventListener('pointerup', onPointerUp);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('pointerup', onPointerUp);
+    };
+  }, [originalImage, layers, masks, transform, seed, timeline]);
 
-        // --- CHROMATIC ---
-        else if (mode === 'chromatic') {
-           const off = settings.offset;
-           const temp = ctx.createImageData(currentW, currentH);
-           const tData = temp.data;
-           for(let y=0;y<currentH;y++){
-             for(let x=0;x<currentW;x++){
-               const i = (y*currentW+x)*4;
-               let rx = x + off, ry = y;
-               let bx = x - off, by = y;
-               if(settings.direction === 'vertical'){ rx=x; ry=y+off; bx=x; by=y-off; }
-               rx = Math.min(currentW-1, Math.max(0, rx)); ry = Math.min(currentH-1, Math.max(0, ry));
-               bx = Math.min(currentW-1, Math.max(0, bx)); by = Math.min(currentH-1, Math.max(0, by));
-               const ri = (ry*currentW+rx)*4;
-               const bi = (by*currentW+bx)*4;
-               tData[i] = data[ri]; tData[i+1] = data[i+1]; tData[i+2] = data[bi+2]; tData[i+3] = 255;
-             }
-           }
-           ctx.putImageData(temp, 0, 0);
-        }
+  useEffect(() => {
+    const onDown = () => { pointerDownRef.current = true; };
+    const onUp = () => { pointerDownRef.current = false; };
+    window.addEventListener('pointerdown', onDown, true);
+    window.addEventListener('pointerup', onUp, true);
+    window.addEventListener('pointercancel', onUp, true);
+    return () => {
+      window.removeEventListener('pointerdown', onDown, true);
+      window.removeEventListener('pointerup', onUp, true);
+      window.removeEventListener('pointercancel', onUp, true);
+    };
+  }, []);
+
+  // Open a look shared as #look=... once on startup
+  useEffect(() => {
+    const match = /^#look=([\w-]+)$/.exec(location.hash);
+    if (!match) return;
+    decodePresetHash(match[1])
+      .then(preset => historyActionsRef.current.loadPreset(preset))
+      .catch(err => console.error('Could not open the shared look:', err));
+  }, []);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); text fields keep their own undo
+  useEffect(() => {
+    historyActionsRef.current = { undo, redo, loadPreset };
+  });
+
+  // Ctrl+V with an image (or an image link) on the clipboard opens it, unless a text field has focus
+  useEffect(() => {
+    inputActionsRef.current = { loadFile, loadUrl };
+  });
+
+  useEffect(() => {
+    const onPaste = (e) => {
+      if (e.target.closest?.('textarea, input')) return;
+      const file = Array.from(e.clipboardData.files).find(f => isImageFile(f) || f.type.startsWith('video/'));
+      const text = e.clipboardData.getData('text/plain').trim();
+      if (file) inputActionsRef.current.loadFile(file);
+      else if (/^(https?:|data:image\/)\S+$/i.test(text)) inputActionsRef.current.loadUrl(text);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('paste', onPaste);
+    return () => window.removeEventListener('paste', onPaste);
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.('textarea, input[type="text"], input[type="number"], input[type="search"], input[type="url"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) historyActionsRef.current.undo();
+      else if ((key === 'z' && e.shiftKey) || key === 'y') historyActionsRef.current.redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Repaint the whole overlay whenever the edited mask changes outside a stroke
+  useEffect(() => {
+    drawMaskOverlay(overlayRef.current, editingMask);
+  }, [editingMask]);
+
+  // Scroll to zoom around the cursor; registered natively so the page doesn't scroll too
+  useEffect(() => {
+    const stage = stageRef.current;
+    const onWheel = (e) => {
+      const canvas = canvasRef.current;
+      if (!canvas?.width) return;
+      e.preventDefault();
+      setView(zoomAt(measureView(stage, canvas), Math.exp(-e.deltaY * 0.002), stagePoint(stage, e)));
+    };
+    const observer = new ResizeObserver(([entry]) => setStageSize({ width: entry.contentRect.width, height: entry.contentRect.height }));
+    stage.addEventListener('wheel', onWheel, { passive: false });
+    observer.observe(stage);
+    return () => {
+      stage.removeEventListener('wheel', onWheel);
+      observer.disconnect();
+    };
+  }, []);
+
+  // The transformed source without any effects, for the split view and the inspector
+  useEffect(() => {
+    if (!originalImage || !(compare || inspecting)) return;
+    const { img, w, h } = originalImage;
+    const before = runPipeline(drawSource(img, w, h), [], { transform });
+    beforeRef.current = before;
+    const canvas = beforeCanvasRef.current;
+    if (!canvas) return;
+    canvas.width = before.width;
+    canvas.height = before.height;
+    canvas.getContext('2d').putImageData(new ImageData(before.data, before.width, before.height), 0, 0);
+  }, [originalImage, transform, compare, inspecting, previewSize]);
 
-        // --- CRT ---
-        else if (mode === 'crt') {
-           const cx = currentW/2; const cy = currentH/2;
-           const maxD = Math.sqrt(cx*cx + cy*cy);
-           const vig = settings.vignette/100;
-           const scanA = settings.scanlineIntensity/100;
-           const thick = settings.scanlineThickness;
-           
-           for(let y=0;y<currentH;y++){
-              // Scanline factor
-              const isScan = (y % thick) === 0;
-              for(let x=0;x<currentW;x++){
-                 const i = (y*currentW+x)*4;
-                 // Vignette
-                 const d = Math.sqrt((x-cx)**2 + (y-cy)**2);
-                 const dim = 1 - ((d/maxD)*vig);
-                 // Combine
-                 let mult = dim;
-                 if(isScan) mult *= (1-scanA);
-                 
-                 data[i]*=mult; data[i+1]*=mult; data[i+2]*=mult;
-              }
-           }
-           ctx.putImageData(currentImageData, 0, 0);
+  // Let the live loop read the latest stack without restarting it
+  useEffect(() => {
+    const prev = liveParamsRef.current;
+    liveParamsRef.current = { layers, masks: masksForLayers(masks, layers), transform, seed, timeline, version: prev.version + 1 };
+  }, [layers, masks, transform, seed, timeline]);
+
+  // Release the old video source (camera tracks, object URL, recording) when it changes
+  useEffect(() => {
+    if (!videoSource) return;
+    return () => {
+      recorderRef.current?.stop();
+      recorderRef.current = null;
+      setIsRecording(false);
+      setIsPlaying(false);
+      videoSource.video.pause();
+      videoSource.stream?.getTracks().forEach(track => track.stop());
+      if (videoSource.url) URL.revokeObjectURL(videoSource.url);
+    };
+  }, [videoSource]);
+
+  // --- LIVE PIPELINE: one frame in flight at a time; frames that arrive meanwhile are dropped ---
+  useEffect(() => {
+    if (!videoSource) return;
+    const { video, w, h } = videoSource;
+    const worker = createPipelineWorker();
+    const grab = document.createElement('canvas');
+    grab.width = w;
+    grab.height = h;
+    const grabCtx = grab.getContext('2d', { willReadFrequently: true });
+
+    let busy = false;
+    let frameHandle = null;
+    let lastVideoTime = -1;
+    let renderedVersion = -1;
+    let rendered = 0, dropped = 0, frame = 0;
+
+    worker.onmessage = (e) => {
+      if (e.data.type === 'done') {
+        const { result } = e.data;
+        const canvas = canvasRef.current;
+        if (canvas.width !== result.width || canvas.height !== result.height) {
+          canvas.width = result.width;
+          canvas.height = result.height;
+          setPreviewSize({ width: result.width, height: result.height });
         }
+        canvas.getContext('2d').putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+        resultRef.current = result;
+        rendered++;
+        busy = false;
+      } else if (e.data.type === 'error') {
+        console.error('Live pipeline failed:', e.data.message);
+        busy = false;
+      }
+    };
+
+    const loop = () => {
+      frameHandle = requestAnimationFrame(loop);
+      if (video.readyState < 2) return;
+      const params = liveParamsRef.current;
+      const newFrame = video.currentTime !== lastVideoTime || videoSource.kind === 'camera';
+      if (!newFrame && params.version === renderedVersion) return;
+      if (busy) {
+        if (newFrame) dropped++;
+        return;
+      }
+
+      lastVideoTime = video.currentTime;
+      renderedVersion = params.version;
+      busy = true;
+      grabCtx.drawImage(video, 0, 0, w, h);
+      const source = grabCtx.getImageData(0, 0, w, h);
+      const animated = isAnimated(params.layers);
+      const time = (performance.now() / 1000) % params.timeline.duration;
+      worker.postMessage({
+        jobId: 0,
+        source,
+        layers: animated ? resolveLayersAt(params.layers, time) : params.layers,
+        transform: params.transform,
+        seed: params.seed,
+        masks: params.masks,
+        frame: frame++
+      }, [source.data.buffer]);
+    };
+    frameHandle = requestAnimationFrame(loop);
+
+    const statsTimer = setInterval(() => {
+      setLiveStats({ fps: rendered, dropped });
+      setVideoTime(video.currentTime);
+      rendered = 0;
+    }, 1000);
+
+    return () => {
+      cancelAnimationFrame(frameHandle);
+      clearInterval(statsTimer);
+      worker.terminate();
+    };
+  }, [videoSource]);
+
+  useEffect(() => {
+    if (!originalImage || !canvasRef.current) return;
+
+    const processTimer = setTimeout(() => {
+      const { img, w, h } = originalImage;
+
+      // A busy worker can't see new messages, so cancel a running render by replacing the worker
+      if (busyRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+      if (!workerRef.current) workerRef.current = spawnWorker();
 
-      });
+      const source = drawSource(img, w, h);
 
-      setPreviewUrl(canvasRef.current.toDataURL('image/png'));
-      setIsProcessing(false);
+      // Animated stacks preview the frame under the playhead, seeded like the export
+      const animated = isAnimated(layers);
+      const frameLayers = animated ? resolveLayersAt(layers, playhead) : layers;
+      const frame = animated ? Math.round(playhead * timeline.fps) : 0;
+
+      const jobId = ++jobIdRef.current;
+      busyRef.current = true;
+      setProgress(0);
+      setIsProcessing(true);
+      workerRef.current.postMessage({ jobId, source, layers: frameLayers, transform, seed, frame, masks: masksForLayers(masks, layers) }, [source.data.buffer]);
     }, 20);
 
     return () => clearTimeout(processTimer);
 
-  }, [originalImage, activeModes, settings, isFlipped]);
-
-  const menuItems = [
-    { id: 'pixel', icon: Monitor, label: 'Pixel' },
-    { id: 'dither', icon: Layers, label: 'Dither' },
-    { id: 'bw', icon: Palette, label: 'Mono' },
-    { id: 'chromatic', icon: Activity, label: 'RGB' },
-    { id: 'crt', icon: Tv, label: 'CRT' },
-    { id: 'halftone', icon: Grid, label: 'Dot' },
-    { id: 'sort', icon: ArrowDownUp, label: 'Sort' },
-    { id: 'edge', icon: Scissors, label: 'Edge' },
-    { id: 'outline', icon: PenTool, label: 'Blueprint' },
-  ];
-
-  // Renders settings for a specific mode
-  const renderSettings = (mode) => {
-     if (mode === 'pixel') return (
-       <div key="pixel" className="space-y-2 animate-in fade-in pt-2 border-t border-neutral-800 first:border-0 first:pt-0">
-          <div className="flex justify-between text-xs font-bold text-indigo-400"><span>Pixel Art Settings</span></div>
-          <div className="flex justify-between text-xs"><span>Size</span><span className="text-neutral-400">{settings.pixelSize}px</span></div>
-          <input type="range" min="2" max="64" step="2" value={settings.pixelSize} onChange={(e) => updateSetting('pixelSize', parseInt(e.target.value))} className="w-full h-2 bg-neutral-800 rounded-lg accent-indigo-500" />
-       </div>
-     );
-     if (mode === 'dither') return (
-        <div key="dither" className="space-y-3 animate-in fade-in pt-2 border-t border-neutral-800">
-          <div className="flex justify-between text-xs font-bold text-indigo-400"><span>Dither Settings</span></div>
-           <div className="space-y-2">
-            <select value={settings.ditherAlgo} onChange={(e) => updateSetting('ditherAlgo', e.target.value)} className="w-full bg-neutral-800 border border-neutral-700 rounded p-1 text-xs text-white">
-              <option value="floyd">Floyd-Steinberg</option>
-              <option value="atkinson">Atkinson</option>
-              <option value="bayer">Bayer 4x4</option>
-            </select>
-            <select value={settings.ditherType} onChange={(e) => updateSetting('ditherType', e.target.value)} className="w-full bg-neutral-800 border border-neutral-700 rounded p-1 text-xs text-white">
-              <option value="bw">Black & White</option>
-              <option value="duotone">Duotone</option>
-              <option value="random">Random</option>
-            </select>
-          </div>
-          <input type="range" min="0" max="255" value={settings.ditherThreshold} onChange={(e) => updateSetting('ditherThreshold', parseInt(e.target.value))} className="w-full h-2 bg-neutral-800 rounded-lg accent-indigo-500" />
-          {settings.ditherType === 'duotone' && (
-             <div className="flex gap-2">
-                <input type="color" value={settings.colorA} onChange={(e)=>updateSetting('colorA', e.target.value)} className="flex-1 bg-transparent h-6" />
-                <input type="color" value={settings.colorB} onChange={(e)=>updateSetting('colorB', e.target.value)} className="flex-1 bg-transparent h-6" />
-             </div>
-          )}
+  }, [originalImage, layers, masks, transform, seed, playhead, timeline.fps]);
+
+  const menuItems = effects.map(effect => ({ id: effect.id, icon: effectIcons[effect.id] || Layers, label: effect.label }));
+
+  // --- Param animation ---
+  const toggleParamAnimation = (layer, param) => {
+    if (layer.animation?.[param.key]) return updateLayerAnimation(layer.id, param.key, null);
+    updateLayerAnimation(layer.id, param.key, { type: 'lfo', wave: 'sine', rate: 1, depth: Math.round((param.max - param.min) / 4) });
+  };
+
+  // Writes a keyframe at the playhead, replacing one that sits on the same frame
+  const setKeyframe = (layer, key, value) => {
+    const track = layer.animation[key];
+    const halfFrame = 0.5 / timeline.fps;
+    const keyframes = track.keyframes.filter(k => Math.abs(k.time - playhead) > halfFrame);
+    updateLayerAnimation(layer.id, key, { ...track, keyframes: [...keyframes, { time: playhead, value }].sort((x, y) => x.time - y.time) });
+  };
+
+  const renderTrack = (param, layer, track) => {
+     const setTrack = (changes) => updateLayerAnimation(layer.id, param.key, { ...track, ...changes });
+     return (
+        <div className="pl-2 border-l border-indigo-900 space-y-1">
+           <div className="flex gap-1">
+              <select value={track.type} onChange={(e) => updateLayerAnimation(layer.id, param.key, e.target.value === 'lfo'
+                    ? { type: 'lfo', wave: 'sine', rate: 1, depth: Math.round((param.max - param.min) / 4) }
+                    : { type: 'keyframes', keyframes: [{ time: playhead, value: layer.settings[param.key] }] })}
+                 className="flex-1 bg-neutral-800 border border-neutral-700 rounded p-0.5 text-[10px] text-white">
+                 <option value="lfo">LFO</option>
+                 <option value="keyframes">Keyframes</option>
+              </select>
+              {track.type === 'lfo' && (
+                 <select value={track.wave} onChange={(e) => setTrack({ wave: e.target.value })} className="flex-1 bg-neutral-800 border border-neutral-700 rounded p-0.5 text-[10px] text-white">
+                    {Object.keys(lfoWaves).map(w => <option key={w} value={w}>{w[0].toUpperCase() + w.slice(1)}</option>)}
+                 </select>
+              )}
+           </div>
+           {track.type === 'lfo' ? (
+              <>
+                 <div className="flex gap-2 items-center text-[10px]"><span className="w-10">Rate</span><input type="range" min="0.1" max="10" step="0.1" value={track.rate} onChange={(e) => setTrack({ rate: parseFloat(e.target.value) })} className="flex-1 h-1 accent-indigo-500" /><span className="w-10 text-right text-neutral-400">{track.rate}Hz</span></div>
+                 <div className="flex gap-2 items-center text-[10px]"><span className="w-10">Depth</span><input type="range" min="0" max={param.max - param.min} step={param.step || 1} value={track.depth} onChange={(e) => setTrack({ depth: parseFloat(e.target.value) })} className="flex-1 h-1 accent-indigo-500" /><span className="w-10 text-right text-neutral-400">±{track.depth}</span></div>
+              </>
+           ) : (
+              <div className="flex flex-wrap gap-1">
+                 {track.keyframes.map(k => (
+                    <span key={k.time} className="flex items-center gap-1 bg-neutral-800 rounded px-1 text-[10px] text-neutral-300">
+                       <button onClick={() => setPlayhead(k.time)} title="Jump to keyframe">{k.time.toFixed(2)}s: {k.value}</button>
+                       <button onClick={() => setTrack({ keyframes: track.keyframes.filter(x => x !== k) })} className="text-neutral-500 hover:text-red-400"><X size={8} /></button>
+                    </span>
+                 ))}
+                 <span className="text-[10px] text-neutral-500">Move the slider to key the playhead</span>
+              </div>
+           )}
         </div>
      );
-     if (mode === 'outline') return (
-        <div key="outline" className="space-y-3 animate-in fade-in pt-2 border-t border-neutral-800">
-           <div className="flex justify-between text-xs font-bold text-indigo-400"><span>Blueprint Settings</span></div>
-           <div className="flex gap-2"><span className="text-xs w-16">Contrast</span><input type="range" className="flex-1 h-1" min="0" max="200" value={settings.outlineContrast} onChange={(e)=>updateSetting('outlineContrast', parseInt(e.target.value))} /></div>
-           <div className="flex gap-2"><span className="text-xs w-16">Levels</span><input type="range" className="flex-1 h-1" min="2" max="6" value={settings.outlineLevels} onChange={(e)=>updateSetting('outlineLevels', parseInt(e.target.value))} /></div>
-           <div className="flex gap-2"><span className="text-xs w-16">Offsets</span><input type="range" className="flex-1 h-1" min="0" max="5" value={settings.outlineOffsetCount} onChange={(e)=>updateSetting('outlineOffsetCount', parseInt(e.target.value))} /></div>
-           <div className="flex gap-2">
-              <input type="color" value={settings.outlineBg} onChange={(e)=>updateSetting('outlineBg', e.target.value)} className="flex-1 h-6 bg-transparent" />
-              <input type="color" value={settings.outlineColor} onChange={(e)=>updateSetting('outlineColor', e.target.value)} className="flex-1 h-6 bg-transparent" />
-              {settings.outlineOffsetCount > 0 && <input type="color" value={settings.outlineOffsetColor} onChange={(e)=>updateSetting('outlineOffsetColor', e.target.value)} className="flex-1 h-6 bg-transparent" />}
+  };
+
+  // Curve editor: click adds a point, drag moves it between its neighbours, double-click removes it
+  const renderCurve = (param, layer) => {
+     const curves = layer.settings[param.key];
+     const points = curves[curveChannel] || [[0, 0], [255, 255]];
+     const lut = curveLut(points);
+     const setPoints = (next) => updateLayerSetting(layer.id, param.key, { ...curves, [curveChannel]: next });
+     const toCurve = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const clamp = (v) => Math.min(255, Math.max(0, Math.round(v)));
+        return [clamp((e.clientX - rect.left) / rect.width * 255), clamp(255 - (e.clientY - rect.top) / rect.height * 255)];
+     };
+     const nearest = (x, y) => points.findIndex(p => Math.abs(p[0] - x) <= 10 && Math.abs(p[1] - y) <= 10);
+     const handleDown = (e) => {
+        if (e.button !== 0) return;
+        const [x, y] = toCurve(e);
+        let index = nearest(x, y);
+        let next = points;
+        if (index === -1) {
+           if (points.some(p => p[0] === x)) return;
+           next = [...points, [x, y]].sort((a, b) => a[0] - b[0]);
+           index = next.findIndex(p => p[0] === x);
+           setPoints(next);
+        }
+        e.currentTarget.setPointerCapture(e.pointerId);
+        curveDragRef.current = { layerId: layer.id, index, points: next };
+     };
+     const handleMove = (e) => {
+        const drag = curveDragRef.current;
+        if (!drag || drag.layerId !== layer.id) return;
+        const [x, y] = toCurve(e);
+        const { index, points: pts } = drag;
+        const low = index > 0 ? pts[index - 1][0] + 1 : 0;
+        const high = index < pts.length - 1 ? pts[index + 1][0] - 1 : 255;
+        drag.points = pts.map((p, i) => i === index ? [Math.min(high, Math.max(low, x)), y] : p);
+        setPoints(drag.points);
+     };
+     const handleDoubleClick = (e) => {
+        const index = nearest(...toCurve(e));
+        if (index > 0 && index < points.length - 1) setPoints(points.filter((_, i) => i !== index));
+     };
+     const stroke = { rgb: '#e5e5e5', r: '#f87171', g: '#4ade80', b: '#60a5fa' }[curveChannel];
+     const path = Array.from({ length: 65 }, (_, k) => Math.min(255, k * 4)).map((x, k) => `${k ? 'L' : 'M'}${x},${255 - lut[x]}`).join(' ');
+     return (
+        <div key={param.key} className="space-y-1">
+           <div className="flex items-center gap-1">
+              <div className="flex flex-1 bg-neutral-800 rounded p-0.5">
+                 {curveChannels.map(channel => (
+                    <button key={channel} onClick={() => setCurveChannel(channel)} className={`flex-1 text-[10px] py-0.5 rounded uppercase ${curveChannel === channel ? 'bg-neutral-600 text-white' : 'text-neutral-400'}`}>{channel}</button>
+                 ))}
+              </div>
+              <button onClick={() => setPoints([[0, 0], [255, 255]])} title="Reset channel" className="p-1 text-neutral-500 hover:text-white"><RotateCcw size={12} /></button>
            </div>
+           <svg viewBox="0 0 255 255" preserveAspectRatio="none" onPointerDown={handleDown} onPointerMove={handleMove} onPointerUp={() => { curveDragRef.current = null; }} onDoubleClick={handleDoubleClick} className="w-full aspect-square bg-neutral-950 rounded border border-neutral-800 touch-none cursor-crosshair">
+              {[64, 128, 192].map(v => <path key={v} d={`M${v},0 V255 M0,${v} H255`} stroke="#262626" vectorEffect="non-scaling-stroke" />)}
+              <path d="M0,255 L255,0" stroke="#404040" strokeDasharray="4 4" vectorEffect="non-scaling-stroke" />
+              <path d={path} fill="none" stroke={stroke} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+              {points.map(([x, y], i) => <circle key={i} cx={x} cy={255 - y} r="4" fill="#171717" stroke={stroke} vectorEffect="non-scaling-stroke" />)}
+           </svg>
         </div>
      );
-     if (mode === 'crt') return (
-        <div key="crt" className="space-y-2 animate-in fade-in pt-2 border-t border-neutral-800">
-           <div className="flex justify-between text-xs font-bold text-indigo-400"><span>CRT Settings</span></div>
-           <input type="range" min="0" max="100" value={settings.scanlineIntensity} onChange={(e)=>updateSetting('scanlineIntensity', parseInt(e.target.value))} className="w-full h-2 bg-neutral-800 rounded-lg accent-indigo-500" />
-           <input type="range" min="0" max="100" value={settings.vignette} onChange={(e)=>updateSetting('vignette', parseInt(e.target.value))} className="w-full h-2 bg-neutral-800 rounded-lg accent-indigo-500" />
+  };
+
+  // Gradient map stops; a new stop splits the widest gap with the color already there
+  const renderGradient = (param, layer) => {
+     const stops = layer.settings[param.key];
+     const setStops = (next) => updateLayerSetting(layer.id, param.key, next);
+     const sorted = [...stops].sort((a, b) => a.at - b.at);
+     const addStop = () => {
+        let gap = 0;
+        for (let i = 1; i < sorted.length - 1; i++) if (sorted[i + 1].at - sorted[i].at > sorted[gap + 1].at - sorted[gap].at) gap = i;
+        const at = sorted.length > 1 ? Math.round((sorted[gap].at + sorted[gap + 1].at) / 2) : 100;
+        const ramp = rampLut(stops), t = Math.round(at / 100 * 255) * 3;
+        setStops([...stops, { at, color: toHex([ramp[t], ramp[t + 1], ramp[t + 2]].map(Math.round)) }]);
+     };
+     return (
+        <div key={param.key} className="space-y-1">
+           <div className="h-4 rounded border border-neutral-700" style={{ background: `linear-gradient(to right, ${sorted.map(s => `${s.color} ${s.at}%`).join(', ')})` }} />
+           {stops.map((stop, i) => (
+              <div key={i} className="flex items-center gap-2 text-[10px]">
+                 <input type="color" value={stop.color} onChange={(e) => setStops(stops.map((s, j) => j === i ? { ...s, color: e.target.value } : s))} className="w-6 h-5 bg-transparent" />
+                 <input type="range" min="0" max="100" value={stop.at} onChange={(e) => setStops(stops.map((s, j) => j === i ? { ...s, at: parseFloat(e.target.value) } : s))} className="flex-1 h-1 accent-indigo-500" />
+                 <span className="w-7 text-right text-neutral-400">{stop.at}%</span>
+                 <button onClick={() => setStops(stops.filter((_, j) => j !== i))} disabled={stops.length <= 2} title="Remove stop" className="text-neutral-500 hover:text-white disabled:opacity-30"><X size={10} /></button>
+              </div>
+           ))}
+           <button onClick={addStop} className="flex items-center justify-center gap-1 text-[10px] w-full bg-neutral-800 py-1 rounded border border-neutral-700 hover:bg-neutral-700"><Plus size={10} /> Add Stop</button>
         </div>
      );
-     if (mode === 'sort') return (
-        <div key="sort" className="space-y-2 animate-in fade-in pt-2 border-t border-neutral-800">
-           <div className="flex justify-between text-xs font-bold text-indigo-400"><span>Pixel Sort</span></div>
-           <div className="flex justify-between text-xs"><span>Threshold</span><span className="text-neutral-400">{settings.sortThreshold}</span></div>
-           <input type="range" min="0" max="255" value={settings.sortThreshold} onChange={(e)=>updateSetting('sortThreshold', parseInt(e.target.value))} className="w-full h-2 bg-neutral-800 rounded-lg accent-indigo-500" />
-           <div className="flex bg-neutral-800 rounded p-0.5">
-              <button onClick={()=>updateSetting('sortDirection', 'horizontal')} className={`flex-1 text-[10px] py-1 rounded ${settings.sortDirection==='horizontal'?'bg-neutral-600 text-white':'text-neutral-400'}`}>Horizontal</button>
-              <button onClick={()=>updateSetting('sortDirection', 'vertical')} className={`flex-1 text-[10px] py-1 rounded ${settings.sortDirection==='vertical'?'bg-neutral-600 text-white':'text-neutral-400'}`}>Vertical</button>
+  };
+
+  // Reads a palette file and hands its colors to `onColors`
+  const importPalette = (e, onColors) => {
+     const file = e.target.files[0];
+     e.target.value = '';
+     if (!file) return;
+     file.arrayBuffer()
+        .then(buffer => onColors(parsePaletteFile(file.name, new Uint8Array(buffer))))
+        .catch(err => alert(`Could not import palette: ${err.message}`));
+  };
+
+  // Renders one control from an effect's parameter schema
+  const renderParam = (param, layer) => {
+     const { settings } = layer;
+     const updateSetting = (key, value) => updateLayerSetting(layer.id, key, value);
+     const value = settings[param.key];
+     if (param.type === 'range') {
+        const track = layer.animation?.[param.key];
+        // Keyframed sliders show and edit the value under the playhead; LFO sliders set the center
+        const isKeyed = track?.type === 'keyframes';
+        const shown = isKeyed ? Math.round(evaluateTrack(track, value, playhead) / (param.step || 1)) * (param.step || 1) : value;
+        return (
+           <div key={param.key} className="space-y-1">
+              <div className="flex justify-between items-center text-xs">
+                 <span>{param.label}</span>
+                 <span className="flex items-center gap-1 text-neutral-400">
+                    {shown}{param.unit || ''}
+                    <button onClick={() => toggleParamAnimation(layer, param)} title={track ? 'Stop animating' : 'Animate'} className={track ? 'text-indigo-400' : 'text-neutral-600 hover:text-white'}><Clock size={10} /></button>
+                 </span>
+              </div>
+              <input type="range" min={param.min} max={param.max} step={param.step || 1} value={shown} onChange={(e) => isKeyed ? setKeyframe(layer, param.key, parseFloat(e.target.value)) : updateSetting(param.key, parseFloat(e.target.value))} className="w-full h-2 bg-neutral-800 rounded-lg accent-indigo-500" />
+              {track && renderTrack(param, layer, track)}
            </div>
-        </div>
+        );
+     }
+     if (param.type === 'select') return (
+        <select key={param.key} value={value} title={param.label} onChange={(e) => updateSetting(param.key, e.target.value)} className="w-full bg-neutral-800 border border-neutral-700 rounded p-1 text-xs text-white">
+           {param.options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
      );
-     if (mode === 'edge') return (
-        <div key="edge" className="space-y-2 animate-in fade-in pt-2 border-t border-neutral-800">
-           <div className="flex justify-between text-xs font-bold text-indigo-400"><span>Edge Detection</span></div>
-           <input type="range" min="5" max="100" value={settings.edgeThreshold} onChange={(e)=>updateSetting('edgeThreshold', parseInt(e.target.value))} className="w-full h-2 bg-neutral-800 rounded-lg accent-indigo-500" />
-           <div className="flex gap-2">
-              <input type="color" value={settings.edgeColor} onChange={(e)=>updateSetting('edgeColor', e.target.value)} className="h-6 w-6 bg-transparent" />
-              <select value={settings.edgeMode} onChange={(e)=>updateSetting('edgeMode', e.target.value)} className="flex-1 bg-neutral-800 text-[10px] rounded border border-neutral-700">
-                 <option value="color">Neon</option>
-                 <option value="white">White</option>
-              </select>
-           </div>
+     if (param.type === 'segmented') return (
+        <div key={param.key} className="flex bg-neutral-800 rounded p-0.5">
+           {param.options.map(o => (
+              <button key={o.value} onClick={() => updateSetting(param.key, o.value)} className={`flex-1 text-[10px] py-1 rounded ${value === o.value ? 'bg-neutral-600 text-white' : 'text-neutral-400'}`}>{o.label}</button>
+           ))}
         </div>
      );
-     if (mode === 'halftone') return (
-        <div key="halftone" className="space-y-2 animate-in fade-in pt-2 border-t border-neutral-800">
-           <div className="flex justify-between text-xs font-bold text-indigo-400"><span>Halftone</span></div>
-           <div className="flex justify-between text-xs"><span>Dot Size</span><span className="text-neutral-400">{settings.dotSize}px</span></div>
-           <input type="range" min="4" max="30" value={settings.dotSize} onChange={(e)=>updateSetting('dotSize', parseInt(e.target.value))} className="w-full h-2 bg-neutral-800 rounded-lg accent-indigo-500" />
-           <button onClick={()=>updateSetting('invertHalftone', !settings.invertHalftone)} className="text-[10px] w-full bg-neutral-800 py-1 rounded border border-neutral-700 hover:bg-neutral-700">{settings.invertHalftone ? 'Invert: ON' : 'Invert: OFF'}</button>
-        </div>
+     if (param.type === 'toggle') return (
+        <button key={param.key} onClick={() => updateSetting(param.key, !value)} className="text-[10px] w-full bg-neutral-800 py-1 rounded border border-neutral-700 hover:bg-neutral-700">{param.label}: {value ? 'ON' : 'OFF'}</button>
      );
-     if (mode === 'chromatic') return (
-        <div key="chromatic" className="pt-2 border-t border-neutral-800 animate-in fade-in">
-           <div className="text-xs font-bold text-indigo-400 mb-2">Chromatic RGB</div>
-           <input type="range" min="0" max="50" value={settings.offset} onChange={(e)=>updateSetting('offset',parseInt(e.target.value))} className="w-full h-2 bg-neutral-800 accent-indigo-500"/>
-           <div className="flex bg-neutral-800 rounded p-0.5 mt-2">
-              <button onClick={()=>updateSetting('direction', 'horizontal')} className={`flex-1 text-[10px] py-1 rounded ${settings.direction==='horizontal'?'bg-neutral-600 text-white':'text-neutral-400'}`}>Horiz</button>
-              <button onClick={()=>updateSetting('direction', 'vertical')} className={`flex-1 text-[10px] py-1 rounded ${settings.direction==='vertical'?'bg-neutral-600 text-white':'text-neutral-400'}`}>Vert</button>
+     if (param.type === 'palette') return (
+        <div key={param.key} className="space-y-1">
+           <div className="flex flex-wrap gap-0.5">
+              {value.map((color, i) => <span key={i} title={color} className="w-3 h-3 rounded-sm border border-neutral-700" style={{ backgroundColor: color }} />)}
+              {!value.length && <span className="text-[10px] text-neutral-500">No palette imported</span>}
            </div>
+           <label className="block text-center text-[10px] w-full bg-neutral-800 py-1 rounded border border-neutral-700 hover:bg-neutral-700 cursor-pointer">
+              Import .gpl / .hex / .ase
+              <input type="file" accept=".gpl,.hex,.txt,.ase" className="hidden" onChange={(e) => importPalette(e, updateSetting.bind(null, param.key))} />
+           </label>
         </div>
      );
-     if (mode === 'bw') return (
-        <div key="bw" className="pt-2 border-t border-neutral-800 animate-in fade-in">
-           <div className="text-xs font-bold text-indigo-400 mb-2">Mono Art</div>
-           <div className="flex justify-between text-[10px] text-neutral-500"><span>Contrast</span><span>Bright</span><span>Grain</span></div>
-           <div className="space-y-1">
-              <input type="range" min="-50" max="100" value={settings.contrast} onChange={(e)=>updateSetting('contrast',parseInt(e.target.value))} className="w-full h-1 bg-neutral-800 accent-indigo-500"/>
-              <input type="range" min="-100" max="100" value={settings.brightness} onChange={(e)=>updateSetting('brightness',parseInt(e.target.value))} className="w-full h-1 bg-neutral-800 accent-indigo-500"/>
-              <input type="range" min="0" max="100" value={settings.grain} onChange={(e)=>updateSetting('grain',parseInt(e.target.value))} className="w-full h-1 bg-neutral-800 accent-indigo-500"/>
-           </div>
+     if (param.type === 'text') return (
+        <div key={param.key} className="space-y-1">
+           <span className="text-xs">{param.label}</span>
+           <input type="text" value={value} onChange={(e) => updateSetting(param.key, e.target.value)} className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-white font-mono" />
         </div>
      );
+     if (param.type === 'curve') return renderCurve(param, layer);
+     if (param.type === 'gradient') return renderGradient(param, layer);
+     if (param.type === 'color') return (
+        <input key={param.key} type="color" title={param.label} value={value} onChange={(e) => updateSetting(param.key, e.target.value)} className="flex-1 h-6 bg-transparent" />
+     );
      return null;
   };
 
+  // Renders settings for a single layer in the stack, generated from the effect registry
+  const renderSettings = (layer) => {
+     const { settings } = layer;
+     const params = effectRegistry[layer.type].params.filter(p => !p.visibleIf || p.visibleIf(settings));
+
+     // Consecutive color pickers share a row
+     const rows = [];
+     params.forEach(param => {
+        const last = rows[rows.length - 1];
+        if (param.type === 'color' && Array.isArray(last)) last.push(param);
+        else rows.push(param.type === 'color' ? [param] : param);
+     });
+
+     return (
+        <div className="space-y-2 animate-in fade-in">
+           {rows.map(row => Array.isArray(row)
+              ? <div key={row[0].key} className="flex gap-2">{row.map(p => renderParam(p, layer))}</div>
+              : renderParam(row, layer))}
+        </div>
+     );
+  };
+
+  // Slider for one numeric transform field
+  const renderTransformRange = (key, label, min, max, unit = '', step = 1) => (
+     <div key={key} className="space-y-1">
+        <div className="flex justify-between text-[10px]"><span>{label}</span><span className="text-neutral-400">{transform[key]}{unit}</span></div>
+        <input type="range" min={min} max={max} step={step} value={transform[key]} onChange={(e) => updateTransform(key, parseFloat(e.target.value))} className="w-full h-1 bg-neutral-800 accent-indigo-500" />
+     </div>
+  );
+
+  const aspectOptions = Object.keys(aspectRatios);
+  const exportSize = originalImage && transformedSize(Math.round(originalImage.img.naturalWidth * exportScale), Math.round(originalImage.img.naturalHeight * exportScale), transform);
+
   return (
     <div className="min-h-screen bg-neutral-950 text-neutral-200 font-sans selection:bg-indigo-500 selection:text-white flex flex-col md:flex-row overflow-hidden">
       
@@ -692,82 +1533,421 @@ export default function App() {
           
           {/* Presets Section */}
           <div className="space-y-3">
-            <label className="text-xs font-bold uppercase tracking-wider text-neutral-500">Presets</label>
-            <div className="grid grid-cols-3 gap-2">
-              {[0, 1, 2].map(idx => {
-                 const hasPreset = !!presets[idx];
-                 return (
-                    <div key={idx} className="flex flex-col gap-1">
-                       <button onClick={() => loadPreset(idx)} disabled={!hasPreset} className={`flex items-center justify-center gap-1 py-2 rounded-lg border text-[10px] font-medium transition-colors ${hasPreset ? 'bg-neutral-800 border-neutral-700 hover:bg-neutral-700 text-white' : 'bg-neutral-900 border-neutral-800 text-neutral-600 cursor-not-allowed'}`}>
-                          <FolderOpen size={12} /> Load {idx + 1}
-                       </button>
-                       <button onClick={() => savePreset(idx)} className="flex items-center justify-center gap-1 py-2 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-indigo-600 hover:border-indigo-500 hover:text-white text-neutral-400 text-[10px] transition-colors">
-                          <Save size={12} /> Save {idx + 1}
-                       </button>
+            <div className="flex items-center gap-1">
+              <label className="flex-1 text-xs font-bold uppercase tracking-wider text-neutral-500">Presets</label>
+              <button onClick={() => presetFileRef.current.click()} title="Import presets (.json)" className="p-1 text-neutral-500 hover:text-white"><Upload size={12} /></button>
+              <button onClick={() => exportPresets(presets, 'glitch_presets.json')} disabled={!presets.length} title="Export all presets" className="p-1 text-neutral-500 hover:text-white disabled:text-neutral-700"><Download size={12} /></button>
+              <button onClick={sharePreset} title="Copy a share link for the current look" className="p-1 text-neutral-500 hover:text-white"><Link size={12} /></button>
+              <input type="file" ref={presetFileRef} onChange={importPresets} accept=".json,application/json" className="hidden" />
+            </div>
+            <div className="space-y-1">
+              <input type="text" value={presetDraft.name} onChange={(e) => setPresetDraft(d => ({ ...d, name: e.target.value }))} placeholder="Preset name" className="w-full bg-neutral-800 border border-neutral-700 rounded-lg px-3 py-1.5 text-xs text-white focus:outline-none focus:border-indigo-500" />
+              <div className="flex gap-1">
+                <input type="text" value={presetDraft.tags} onChange={(e) => setPresetDraft(d => ({ ...d, tags: e.target.value }))} placeholder="Tags, comma separated" className="flex-1 min-w-0 bg-neutral-800 border border-neutral-700 rounded-lg px-3 py-1.5 text-xs text-white focus:outline-none focus:border-indigo-500" />
+                <button onClick={savePreset} className="flex items-center gap-1 px-3 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-indigo-600 hover:border-indigo-500 text-neutral-300 hover:text-white text-[10px] transition-colors"><Save size={12} /> Save</button>
+              </div>
+            </div>
+            {presets.length > 0 && (
+              <div className="relative">
+                <Search size={12} className="absolute left-2.5 top-2 text-neutral-500" />
+                <input type="search" value={presetQuery} onChange={(e) => setPresetQuery(e.target.value)} placeholder="Search names and tags" className="w-full bg-neutral-900 border border-neutral-800 rounded-lg pl-7 pr-3 py-1.5 text-xs text-white focus:outline-none focus:border-indigo-500" />
+              </div>
+            )}
+            <div className="max-h-64 overflow-y-auto custom-scrollbar space-y-1">
+              {searchPresets(presets, presetQuery).map(preset => (
+                <div key={preset.id} className="group flex items-center gap-2 rounded-lg border border-neutral-800 bg-neutral-900 hover:border-neutral-700 p-1">
+                  <button onClick={() => loadPreset(preset)} title="Load preset" className="flex flex-1 min-w-0 items-center gap-2 text-left">
+                    {preset.thumbnail
+                      ? <img src={preset.thumbnail} alt="" className="w-10 h-10 object-cover rounded" />
+                      : <div className="w-10 h-10 rounded bg-neutral-800 flex items-center justify-center"><FolderOpen size={14} className="text-neutral-600" /></div>}
+                    <div className="min-w-0">
+                      <div className="text-xs text-white truncate">{preset.name}</div>
+                      <div className="flex flex-wrap gap-1">
+                        {preset.tags.map(tag => <span key={tag} className="text-[9px] px-1 rounded bg-neutral-800 text-neutral-400">#{tag}</span>)}
+                        {!preset.tags.length && <span className="text-[9px] text-neutral-600">{preset.layers.length} layers</span>}
+                      </div>
                     </div>
-                 );
-              })}
+                  </button>
+                  <div className="flex flex-col opacity-0 group-hover:opacity-100">
+                    <button onClick={() => overwritePreset(preset.id)} title="Overwrite with the current look" className="p-0.5 text-neutral-500 hover:text-white"><Save size={10} /></button>
+                    <button onClick={() => exportPresets([preset], `${preset.name.replace(/[^\w-]+/g, '_')}.json`)} title="Export preset" className="p-0.5 text-neutral-500 hover:text-white"><Download size={10} /></button>
+                    <button onClick={() => deletePreset(preset.id)} title="Delete preset" className="p-0.5 text-neutral-500 hover:text-red-400"><Trash2 size={10} /></button>
+                  </div>
+                </div>
+              ))}
+              {!presets.length && <p className="text-[10px] text-neutral-600">No presets yet. Name the current look and save it.</p>}
             </div>
           </div>
 
-          {/* Active Modes Grid */}
+          {/* Seed */}
+          <div className="space-y-2 border-t border-neutral-800 pt-4">
+            <label className="text-xs font-bold uppercase tracking-wider text-neutral-500">Seed</label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                max={maxSeed}
+                value={seed}
+                onChange={(e) => setSeed(Math.max(0, Math.min(maxSeed, parseInt(e.target.value, 10) || 0)))}
+                className="flex-1 min-w-0 bg-neutral-800 border border-neutral-700 rounded-lg px-3 py-2 text-xs text-white font-mono focus:outline-none focus:border-indigo-500"
+              />
+              <button onClick={() => setSeed(randomSeed())} title="Reroll seed" className="flex items-center gap-1 px-3 py-2 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-indigo-600 hover:border-indigo-500 text-neutral-300 hover:text-white text-xs transition-colors">
+                <Dices size={14} /> Reroll
+              </button>
+            </div>
+          </div>
+
+          {/* Transform: geometry applied to the source before the stack */}
+          <div className="space-y-3 border-t border-neutral-800 pt-4">
+            <div className="flex items-center gap-1">
+              <label className="flex-1 text-xs font-bold uppercase tracking-wider text-neutral-500">Transform</label>
+              <button onClick={() => updateTransform('flipH', !transform.flipH)} title="Flip horizontal" className={`p-1 ${transform.flipH ? 'text-indigo-400' : 'text-neutral-500 hover:text-white'}`}><FlipHorizontal size={14} /></button>
+              <button onClick={() => updateTransform('flipV', !transform.flipV)} title="Flip vertical" className={`p-1 ${transform.flipV ? 'text-indigo-400' : 'text-neutral-500 hover:text-white'}`}><FlipVertical size={14} /></button>
+              <button onClick={() => updateTransform('rotation', (transform.rotation + 270) % 360)} title="Rotate 90° left" className="p-1 text-neutral-500 hover:text-white"><RotateCcw size={14} /></button>
+              <button onClick={() => updateTransform('rotation', (transform.rotation + 90) % 360)} title="Rotate 90° right" className="p-1 text-neutral-500 hover:text-white"><RotateCw size={14} /></button>
+              <button onClick={() => setTransform(defaultTransform)} title="Reset transform" className="p-1 text-neutral-500 hover:text-white"><X size={14} /></button>
+            </div>
+            {renderTransformRange('angle', 'Rotation', -180, 180, '°', 0.5)}
+            <div className="space-y-2">
+              <div className="flex items-center gap-1 text-[10px] text-neutral-400"><Crop size={10} /> Crop</div>
+              <div className="flex bg-neutral-800 rounded p-0.5">
+                {['none', 'free', ...aspectOptions].map(aspect => (
+                  <button key={aspect} onClick={() => updateTransform('cropAspect', aspect)} className={`flex-1 text-[10px] py-1 rounded ${transform.cropAspect === aspect ? 'bg-neutral-600 text-white' : 'text-neutral-400'}`}>{aspect === 'none' ? 'Off' : aspect === 'free' ? 'Free' : aspect}</button>
+                ))}
+              </div>
+              {transform.cropAspect === 'free' && (
+                <div className="grid grid-cols-2 gap-3">
+                  {renderTransformRange('cropWidth', 'Width', 1, 100, '%')}
+                  {renderTransformRange('cropHeight', 'Height', 1, 100, '%')}
+                </div>
+              )}
+              {transform.cropAspect !== 'none' && transform.cropAspect !== 'free' && renderTransformRange('cropSize', 'Size', 10, 100, '%')}
+              {transform.cropAspect !== 'none' && (
+                <div className="grid grid-cols-2 gap-3">
+                  {renderTransformRange('cropX', 'Position X', 0, 100, '%')}
+                  {renderTransformRange('cropY', 'Position Y', 0, 100, '%')}
+                </div>
+              )}
+            </div>
+            <div className="space-y-2">
+              <div className="text-[10px] text-neutral-400">Canvas</div>
+              <div className="flex bg-neutral-800 rounded p-0.5">
+                {['none', ...aspectOptions].map(aspect => (
+                  <button key={aspect} onClick={() => updateTransform('canvasAspect', aspect)} className={`flex-1 text-[10px] py-1 rounded ${transform.canvasAspect === aspect ? 'bg-neutral-600 text-white' : 'text-neutral-400'}`}>{aspect === 'none' ? 'Fit' : aspect}</button>
+                ))}
+              </div>
+              <div className="flex items-end gap-2">
+                <div className="flex-1">{renderTransformRange('canvasMargin', 'Padding', 0, 50, '%')}</div>
+                <input type="color" title="Padding color" value={transform.canvasColor} onChange={(e) => updateTransform('canvasColor', e.target.value)} className="w-8 h-6 bg-transparent" />
+              </div>
+            </div>
+          </div>
+
+          {/* Add Layer Grid */}
           <div className="space-y-3 border-t border-neutral-800 pt-4">
             <label className="text-xs font-bold uppercase tracking-wider text-neutral-500">Effect Layers</label>
             <div className="grid grid-cols-3 gap-2">
               {menuItems.map((item) => {
-                const isActive = activeModes.includes(item.id);
+                const count = layers.filter(l => l.type === item.id).length;
                 return (
                   <button
                     key={item.id}
-                    onClick={() => toggleMode(item.id)}
-                    className={`flex flex-col items-center justify-center p-3 rounded-xl border transition-all duration-200 ${
-                      isActive
+                    onClick={() => addLayer(item.id)}
+                    title={`Add ${item.label} layer`}
+                    className={`relative flex flex-col items-center justify-center p-3 rounded-xl border transition-all duration-200 ${
+                      count > 0
                         ? 'bg-indigo-600 border-indigo-500 text-white shadow-lg shadow-indigo-900/20'
                         : 'bg-neutral-800 border-transparent hover:bg-neutral-700 text-neutral-400'
                     }`}
                   >
+                    {count > 1 && <span className="absolute top-1 right-1.5 text-[9px] font-bold">{count}</span>}
                     <item.icon size={18} className="mb-1" />
                     <span className="text-[10px] font-medium">{item.label}</span>
                   </button>
                 );
               })}
             </div>
-            {activeModes.length > 0 && (
-               <button onClick={() => setActiveModes([])} className="text-xs text-neutral-500 hover:text-red-400 flex items-center gap-1 w-full justify-center mt-2">
+            {layers.length > 0 && (
+               <button onClick={() => setLayers([])} className="text-xs text-neutral-500 hover:text-red-400 flex items-center gap-1 w-full justify-center mt-2">
                   <X size={12}/> Clear All Effects
                </button>
             )}
           </div>
 
-          {/* Dynamic Settings Stack */}
-          {activeModes.length > 0 && (
+          {/* Layer Stack: drag to reorder, renders top to bottom */}
+          {layers.length > 0 && (
             <div className="space-y-4 animate-in fade-in slide-in-from-left-4 duration-300 pt-2 border-t border-neutral-800">
               <div className="flex items-center space-x-2 mb-2">
                 <Sliders size={16} className="text-indigo-500" />
                 <span className="text-sm font-semibold text-white">Adjustments</span>
+                <span className="text-[10px] text-neutral-500">(top renders first)</span>
               </div>
-              <div className="space-y-4">
-                 {menuItems.map(item => activeModes.includes(item.id) && renderSettings(item.id))}
+              <div className="space-y-2">
+                 {layers.map((layer, index) => {
+                    const item = menuItems.find(m => m.id === layer.type);
+                    return (
+                       <div
+                          key={layer.id}
+                          onDragOver={(e) => e.preventDefault()}
+                          onDrop={(e) => {
+                            // Only drags that started on a layer grip reorder; dropped files and links don't
+                            if (dragIndexRef.current === null) return;
+                            e.preventDefault();
+                            moveLayer(dragIndexRef.current, index);
+                            dragIndexRef.current = null;
+                          }}
+                          className={`rounded-lg border border-neutral-800 bg-neutral-900 p-2 space-y-2 ${layer.enabled ? '' : 'opacity-50'}`}
+                       >
+                          <div draggable onDragStart={() => { dragIndexRef.current = index; }} onDragEnd={() => { dragIndexRef.current = null; }} className="flex items-center gap-1 text-xs">
+                             <GripVertical size={14} className="text-neutral-600 cursor-grab" />
+                             <item.icon size={14} className="text-indigo-400" />
+                             <span className="flex-1 font-bold text-indigo-400">{item.label}</span>
+                             <button onClick={() => toggleLayer(layer.id)} title={layer.enabled ? 'Hide layer' : 'Show layer'} className="p-1 text-neutral-500 hover:text-white">
+                                {layer.enabled ? <Eye size={12} /> : <EyeOff size={12} />}
+                             </button>
+                             <button onClick={() => duplicateLayer(layer.id)} title="Duplicate layer" className="p-1 text-neutral-500 hover:text-white"><Copy size={12} /></button>
+                             <button onClick={() => removeLayer(layer.id)} title="Remove layer" className="p-1 text-neutral-500 hover:text-red-400"><X size={12} /></button>
+                          </div>
+                          {layer.enabled && (
+                             <div className="flex gap-2 items-center">
+                                <select value={layer.blend} onChange={(e) => updateLayer(layer.id, 'blend', e.target.value)} className="bg-neutral-800 border border-neutral-700 rounded p-0.5 text-[10px] text-white">
+                                   {Object.keys(blendModes).map(m => <option key={m} value={m}>{m[0].toUpperCase() + m.slice(1)}</option>)}
+                                </select>
+                                <input type="range" min="0" max="100" value={layer.opacity} onChange={(e) => updateLayer(layer.id, 'opacity', parseInt(e.target.value))} className="flex-1 h-1 bg-neutral-800 accent-indigo-500" title="Opacity" />
+                                <span className="text-[10px] text-neutral-400 w-8 text-right">{layer.opacity}%</span>
+                             </div>
+                          )}
+                          {layer.enabled && masks.length > 0 && (
+                             <select value={layer.mask || ''} onChange={(e) => updateLayer(layer.id, 'mask', e.target.value || null)} title="Mask" className="w-full bg-neutral-800 border border-neutral-700 rounded p-0.5 text-[10px] text-white">
+                                <option value="">No mask (whole image)</option>
+                                {masks.map(m => <option key={m.id} value={m.id}>Mask: {m.name}</option>)}
+                             </select>
+                          )}
+                          {layer.enabled && renderSettings(layer)}
+                       </div>
+                    );
+                 })}
+              </div>
+            </div>
+          )}
+
+          {/* Masks: confine layers to painted or generated regions */}
+          {originalImage && (
+            <div className="space-y-3 border-t border-neutral-800 pt-4">
+              <label className="text-xs font-bold uppercase tracking-wider text-neutral-500">Masks</label>
+              <div className="grid grid-cols-3 gap-2">
+                <button onClick={newPaintedMask} className="flex flex-col items-center gap-1 py-2 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-neutral-700 text-[10px] text-white"><Brush size={14} /> Paint</button>
+                <button onClick={generateLuminanceMask} className="flex flex-col items-center gap-1 py-2 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-neutral-700 text-[10px] text-white"><Sun size={14} /> Luminance</button>
+                <button onClick={generateEdgeMask} className="flex flex-col items-center gap-1 py-2 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-neutral-700 text-[10px] text-white"><ScanLine size={14} /> Edges</button>
+              </div>
+              <div className="space-y-1 text-[10px] text-neutral-400">
+                <div className="flex items-center gap-2">
+                  <span className="w-16">Luma {maskGen.low}-{maskGen.high}</span>
+                  <input type="range" min="0" max="255" value={maskGen.low} onChange={(e) => setMaskGen(g => ({ ...g, low: Math.min(parseInt(e.target.value), g.high) }))} className="flex-1 h-1 bg-neutral-800 accent-indigo-500" title="Lower bound" />
+                  <input type="range" min="0" max="255" value={maskGen.high} onChange={(e) => setMaskGen(g => ({ ...g, high: Math.max(parseInt(e.target.value), g.low) }))} className="flex-1 h-1 bg-neutral-800 accent-indigo-500" title="Upper bound" />
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="w-16">Softness {maskGen.softness}</span>
+                  <input type="range" min="0" max="64" value={maskGen.softness} onChange={(e) => setMaskGen(g => ({ ...g, softness: parseInt(e.target.value) }))} className="flex-1 h-1 bg-neutral-800 accent-indigo-500" />
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="w-16">Edges {maskGen.edgeThreshold}</span>
+                  <input type="range" min="5" max="100" value={maskGen.edgeThreshold} onChange={(e) => setMaskGen(g => ({ ...g, edgeThreshold: parseInt(e.target.value) }))} className="flex-1 h-1 bg-neutral-800 accent-indigo-500" />
+                </div>
+              </div>
+              {masks.map(mask => (
+                <div key={mask.id} className={`flex items-center gap-1 rounded-lg border px-2 py-1 text-xs ${mask.id === editingMaskId ? 'border-indigo-500 bg-indigo-500/10' : 'border-neutral-800 bg-neutral-900'}`}>
+                  <button onClick={() => setEditingMaskId(mask.id === editingMaskId ? null : mask.id)} title={mask.id === editingMaskId ? 'Stop painting' : 'Paint this mask'} className={`p-1 ${mask.id === editingMaskId ? 'text-indigo-400' : 'text-neutral-500 hover:text-white'}`}><Brush size={12} /></button>
+                  <span className="flex-1 truncate text-white">{mask.name}</span>
+                  <button onClick={() => updateMask(mask.id, invertMask)} title="Invert" className="p-1 text-neutral-500 hover:text-white"><Contrast size={12} /></button>
+                  <button onClick={() => updateMask(mask.id, m => featherMask(m, maskTool.feather))} title={`Feather (${maskTool.feather}px)`} className="p-1 text-neutral-500 hover:text-white"><Feather size={12} /></button>
+                  <button onClick={() => removeMask(mask.id)} title="Delete mask" className="p-1 text-neutral-500 hover:text-red-400"><X size={12} /></button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Timeline: animated GIF / WebM export */}
+          <div className="space-y-3 border-t border-neutral-800 pt-4">
+            <div className="flex items-center space-x-2">
+              <Film size={16} className="text-indigo-500" />
+              <span className="text-sm font-semibold text-white">Timeline</span>
+            </div>
+            <div className="space-y-1">
+              <div className="flex justify-between text-xs"><span>Playhead</span><span className="text-neutral-400">{playhead.toFixed(2)}s / {timeline.duration}s</span></div>
+              <input type="range" min="0" max={timeline.duration} step={1 / timeline.fps} value={playhead} onChange={(e) => setPlayhead(parseFloat(e.target.value))} className="w-full h-2 bg-neutral-800 rounded-lg accent-indigo-500" />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-1">
+                <div className="flex justify-between text-[10px]"><span>FPS</span><span className="text-neutral-400">{timeline.fps}</span></div>
+                <input type="range" min="1" max="30" value={timeline.fps} onChange={(e) => setTimeline(t => ({ ...t, fps: parseInt(e.target.value) }))} className="w-full h-1 bg-neutral-800 accent-indigo-500" />
+              </div>
+              <div className="space-y-1">
+                <div className="flex justify-between text-[10px]"><span>Duration</span><span className="text-neutral-400">{timeline.duration}s</span></div>
+                <input type="range" min="0.5" max="10" step="0.5" value={timeline.duration} onChange={(e) => {
+                  const duration = parseFloat(e.target.value);
+                  setTimeline(t => ({ ...t, duration }));
+                  setPlayhead(p => Math.min(p, duration));
+                }} className="w-full h-1 bg-neutral-800 accent-indigo-500" />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <button onClick={() => exportAnimation('gif')} disabled={!stillReady || exportProgress !== null} className="text-xs py-2 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-neutral-700 disabled:text-neutral-600 text-white">Export GIF</button>
+              <button onClick={() => exportAnimation('webm')} disabled={!stillReady || exportProgress !== null} className="text-xs py-2 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-neutral-700 disabled:text-neutral-600 text-white">Export WebM</button>
+            </div>
+            <p className="text-[10px] text-neutral-500">Use the clock next to any slider to keyframe it or drive it with an LFO. Animations render at preview size.</p>
+          </div>
+
+          {/* Batch: run the current stack over many files into one ZIP */}
+          <div
+            className="space-y-3 border-t border-neutral-800 pt-4"
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={handleBatchDrop}
+          >
+            <div className="flex items-center gap-2">
+              <Package size={16} className="text-indigo-500" />
+              <span className="flex-1 text-sm font-semibold text-white">Batch</span>
+              {batch.length > 0 && (
+                <span className="text-[10px] text-neutral-500">{batch.filter(item => item.status === 'done').length}/{batch.length} done</span>
+              )}
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <button onClick={() => batchFilesRef.current.click()} disabled={batchRunning} className="flex items-center justify-center gap-1.5 text-xs py-2 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-neutral-700 disabled:text-neutral-600 text-white"><Files size={12} /> Add Files</button>
+              <button onClick={() => batchFolderRef.current.click()} disabled={batchRunning} className="flex items-center justify-center gap-1.5 text-xs py-2 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-neutral-700 disabled:text-neutral-600 text-white"><FolderInput size={12} /> Add Folder</button>
+              <input type="file" ref={batchFilesRef} onChange={handleBatchInput} accept="image/*" multiple className="hidden" />
+              <input type="file" ref={batchFolderRef} onChange={handleBatchInput} webkitdirectory="" multiple className="hidden" />
+            </div>
+            {batch.length === 0 ? (
+              <p className="text-[10px] text-neutral-500 border border-dashed border-neutral-700 rounded-lg p-3 text-center">Drop images or folders here</p>
+            ) : (
+              <div className="max-h-48 overflow-y-auto custom-scrollbar space-y-1">
+                {batch.map(item => (
+                  <div key={item.id} className="text-[10px] bg-neutral-800/50 rounded px-2 py-1" title={item.error || item.path}>
+                    <div className="flex items-center gap-2">
+                      <span className="flex-1 truncate text-neutral-300">{item.path}</span>
+                      <span className={item.status === 'error' ? 'text-red-400' : item.status === 'done' ? 'text-green-400' : 'text-neutral-500'}>
+                        {item.status === 'processing' ? `${Math.round(item.progress * 100)}%` : item.status}
+                      </span>
+                      {!batchRunning && (
+                        <button onClick={() => setBatch(prev => prev.filter(other => other.id !== item.id))} title="Remove from queue" className="text-neutral-500 hover:text-red-400"><X size={10} /></button>
+                      )}
+                    </div>
+                    {item.status === 'processing' && (
+                      <div className="h-0.5 mt-1 bg-neutral-700 rounded"><div className="h-full bg-indigo-500 rounded" style={{ width: `${item.progress * 100}%` }} /></div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              {batchRunning ? (
+                <button onClick={() => { batchCancelRef.current = true; }} className="text-xs py-2 rounded-lg bg-red-900/40 border border-red-900 hover:bg-red-900/60 text-white">Cancel</button>
+              ) : (
+                <button onClick={runBatch} disabled={!batch.some(item => item.status !== 'done')} className="text-xs py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:bg-neutral-800 disabled:text-neutral-600 text-white">Run Batch</button>
+              )}
+              <button onClick={() => setBatch([])} disabled={batchRunning || !batch.length} className="text-xs py-2 rounded-lg bg-neutral-800 border border-neutral-700 hover:bg-neutral-700 disabled:text-neutral-600 text-white">Clear</button>
+            </div>
+            <p className="text-[10px] text-neutral-500">Files render one at a time at the export scale below and download as a single ZIP. Cancel stops after the current file.</p>
+          </div>
+
+          {/* History: undo / redo and jump to any earlier state */}
+          {history && (
+            <div className="space-y-2 border-t border-neutral-800 pt-4">
+              <div className="flex items-center gap-2">
+                <History size={16} className="text-indigo-500" />
+                <span className="flex-1 text-sm font-semibold text-white">History</span>
+                <button onClick={undo} disabled={!canUndo(history)} title="Undo (Ctrl+Z)" className="p-1 text-neutral-400 hover:text-white disabled:text-neutral-700"><Undo2 size={14} /></button>
+                <button onClick={redo} disabled={!canRedo(history)} title="Redo (Ctrl+Shift+Z)" className="p-1 text-neutral-400 hover:text-white disabled:text-neutral-700"><Redo2 size={14} /></button>
+              </div>
+              <div className="max-h-40 overflow-y-auto custom-scrollbar space-y-0.5">
+                {history.entries.map((entry, i) => (
+                  <button
+                    key={i}
+                    onClick={() => restoreHistory(i)}
+                    className={`w-full text-left text-[10px] px-2 py-1 rounded ${i === history.index ? 'bg-indigo-600 text-white' : i > history.index ? 'text-neutral-600 hover:bg-neutral-800' : 'text-neutral-400 hover:bg-neutral-800'}`}
+                  >
+                    {entry.label}
+                  </button>
+                )).reverse()}
               </div>
             </div>
           )}
         </div>
         
         <div className="p-6 border-t border-neutral-800 bg-neutral-900">
+           <div className="flex items-center gap-2 mb-3">
+              <span className="text-[10px] uppercase tracking-wider text-neutral-500">Export</span>
+              <div className="flex flex-1 bg-neutral-800 rounded p-0.5">
+                 {exportScales.map(scale => (
+                    <button key={scale} onClick={() => setExportScale(scale)} className={`flex-1 text-[10px] py-1 rounded ${exportScale === scale ? 'bg-neutral-600 text-white' : 'text-neutral-400'}`}>{scale}x</button>
+                 ))}
+              </div>
+              {originalImage && (
+                 <span className="text-[10px] text-neutral-500">{exportSize.width}×{exportSize.height}</span>
+              )}
+           </div>
+           <div className="flex items-center gap-2 mb-3">
+              <span className="text-[10px] uppercase tracking-wider text-neutral-500">Name</span>
+              <input
+                type="text"
+                value={nameTemplate}
+                onChange={(e) => setNameTemplate(e.target.value)}
+                placeholder={defaultNameTemplate}
+                title="Tokens: {name} {index} {date} {time} {timestamp}"
+                className="flex-1 min-w-0 bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-[10px] text-white font-mono"
+              />
+              <span className="text-[10px] text-neutral-500">.png</span>
+           </div>
+           <div className="flex gap-2">
            <button 
               onClick={downloadImage}
-              disabled={!previewUrl || isProcessing}
-              className="w-full flex items-center justify-center space-x-2 bg-indigo-600 hover:bg-indigo-500 disabled:bg-neutral-800 disabled:text-neutral-600 text-white py-3 rounded-xl font-medium transition-all duration-200 shadow-lg shadow-indigo-900/20"
+              disabled={!stillReady || exportProgress !== null}
+              className="flex-1 flex items-center justify-center space-x-2 bg-indigo-600 hover:bg-indigo-500 disabled:bg-neutral-800 disabled:text-neutral-600 text-white py-3 rounded-xl font-medium transition-all duration-200 shadow-lg shadow-indigo-900/20"
             >
               <Download size={18} />
-              <span>Save Image</span>
+              <span>{exportProgress !== null ? `Exporting... ${Math.round(exportProgress * 100)}%` : 'Save Image'}</span>
                
             </button>
+            <button
+              onClick={copyImage}
+              disabled={!stillReady || exportProgress !== null}
+              title="Copy the full-size PNG to the clipboard"
+              className="flex items-center justify-center gap-1.5 px-4 bg-neutral-800 hover:bg-neutral-700 disabled:text-neutral-600 text-neutral-200 rounded-xl text-xs border border-neutral-700"
+            >
+              {copied ? <Check size={16} /> : <Copy size={16} />}
+              <span>{copied ? 'Copied' : 'Copy'}</span>
+            </button>
+           </div>
+            {svgLayerIndex !== -1 && (
+              <button
+                onClick={downloadSvg}
+                disabled={!stillReady || exportProgress !== null}
+                title="Blueprint contours as vector paths"
+                className="w-full mt-2 flex items-center justify-center gap-2 bg-neutral-800 hover:bg-neutral-700 disabled:text-neutral-600 text-neutral-300 py-2 rounded-xl text-xs border border-neutral-700"
+              >
+                <PenTool size={14} /> Save Blueprint SVG
+              </button>
+            )}
+            {asciiLayerIndex !== -1 && (
+              <div className="flex gap-2 mt-2">
+                <button onClick={downloadText} disabled={!stillReady || exportProgress !== null} title="ASCII layer as plain text" className="flex-1 flex items-center justify-center gap-2 bg-neutral-800 hover:bg-neutral-700 disabled:text-neutral-600 text-neutral-300 py-2 rounded-xl text-xs border border-neutral-700">
+                  <FileText size={14} /> Save Text
+                </button>
+                <button onClick={downloadAnsi} disabled={!stillReady || exportProgress !== null} title="ASCII layer as 24-bit ANSI colored text" className="flex-1 flex items-center justify-center gap-2 bg-neutral-800 hover:bg-neutral-700 disabled:text-neutral-600 text-neutral-300 py-2 rounded-xl text-xs border border-neutral-700">
+                  <Terminal size={14} /> Save ANSI
+                </button>
+              </div>
+            )}
             <br />
         </div>
       </aside>
 
-      <main className="flex-1 relative bg-[#0a0a0a] overflow-hidden flex flex-col">
+      <main onDragOver={handleStageDragOver} onDragLeave={handleStageDragLeave} onDrop={handleStageDrop} className="flex-1 relative bg-[#0a0a0a] overflow-hidden flex flex-col">
+        {dropActive && (
+          <div className="absolute inset-4 z-30 flex items-center justify-center rounded-3xl border-2 border-dashed border-indigo-500 bg-indigo-950/40 pointer-events-none">
+            <span className="flex items-center gap-2 text-indigo-200 text-sm font-medium"><Upload size={18} /> Drop to open</span>
+          </div>
+        )}
         <header className="absolute top-0 left-0 right-0 p-6 flex justify-between items-start pointer-events-none z-20">
           <div className="pointer-events-auto flex gap-2">
              <button 
@@ -777,43 +1957,189 @@ export default function App() {
                <Upload size={18} className="group-hover:-translate-y-0.5 transition-transform" />
                <span className="text-sm font-medium">Upload New</span>
              </button>
+
+             {urlDraft === null ? (
+               <button
+                  onClick={() => setUrlDraft('')}
+                  className="flex items-center space-x-2 bg-neutral-900/80 backdrop-blur-md border border-neutral-800 text-neutral-400 hover:text-white px-4 py-2.5 rounded-xl transition-all duration-300"
+                  title="Open an image URL"
+               >
+                 <Globe size={18} />
+               </button>
+             ) : (
+               <form onSubmit={handleUrlSubmit} className="flex items-center bg-neutral-900/80 backdrop-blur-md border border-indigo-500 rounded-xl pl-3 pr-1">
+                 <Globe size={16} className="text-neutral-500" />
+                 <input
+                    autoFocus
+                    type="url"
+                    value={urlDraft}
+                    onChange={(e) => setUrlDraft(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Escape') setUrlDraft(null); }}
+                    onBlur={() => { if (!urlDraft) setUrlDraft(null); }}
+                    placeholder="https://… (needs CORS)"
+                    className="w-64 bg-transparent px-2 py-2.5 text-sm text-white outline-none"
+                 />
+                 <button type="submit" className="px-3 py-1.5 text-xs bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white">Open</button>
+               </form>
+             )}
+
+             <button 
+                onClick={toggleCamera}
+                className={`flex items-center space-x-2 backdrop-blur-md border px-4 py-2.5 rounded-xl transition-all duration-300 ${videoSource?.kind === 'camera' ? 'bg-indigo-600 border-indigo-500 text-white' : 'bg-neutral-900/80 border-neutral-800 text-neutral-400 hover:text-white'}`}
+                title={videoSource?.kind === 'camera' ? 'Stop Camera' : 'Use Camera'}
+             >
+               <Camera size={18} />
+             </button>
              
              {/* Flip Toggle Button */}
              <button 
-                onClick={() => setIsFlipped(!isFlipped)}
-                className={`flex items-center space-x-2 backdrop-blur-md border px-4 py-2.5 rounded-xl transition-all duration-300 ${isFlipped ? 'bg-indigo-600 border-indigo-500 text-white' : 'bg-neutral-900/80 border-neutral-800 text-neutral-400 hover:text-white'}`}
+                onClick={() => updateTransform('flipH', !transform.flipH)}
+                className={`flex items-center space-x-2 backdrop-blur-md border px-4 py-2.5 rounded-xl transition-all duration-300 ${transform.flipH ? 'bg-indigo-600 border-indigo-500 text-white' : 'bg-neutral-900/80 border-neutral-800 text-neutral-400 hover:text-white'}`}
                 title="Flip Horizontal"
              >
                <FlipHorizontal size={18} />
              </button>
 
-             <input type="file" ref={fileInputRef} onChange={handleImageUpload} accept="image/*" className="hidden" />
+             <input type="file" ref={fileInputRef} onChange={handleImageUpload} accept="image/*,video/*" className="hidden" />
           </div>
           
           {isProcessing && (
             <div className="flex items-center space-x-2 px-4 py-2 bg-neutral-900/80 backdrop-blur border border-neutral-800 rounded-full">
               <div className="w-4 h-4 border-2 border-indigo-500 border-t-transparent rounded-full animate-spin"></div>
-              <span className="text-xs font-medium text-indigo-400">Rendering...</span>
+              <span className="text-xs font-medium text-indigo-400">Rendering... {Math.round(progress * 100)}%</span>
             </div>
           )}
         </header>
 
-        <div className="flex-1 flex items-center justify-center p-8 md:p-12 overflow-auto">
-          <div className={`relative transition-all duration-500 ${originalImage ? 'scale-100 opacity-100' : 'scale-95 opacity-0'}`}>
-            <canvas ref={canvasRef} className="hidden" />
-            {previewUrl ? (
-               <img src={previewUrl} alt="Processed Preview" className="max-w-full max-h-[80vh] shadow-2xl shadow-black rounded-sm border border-neutral-800 object-contain" style={{ imageRendering: 'pixelated' }} />
-            ) : <div className="hidden"></div>}
+        <div
+          ref={stageRef}
+          onPointerDown={handleStagePointerDown}
+          onPointerMove={handleStagePointerMove}
+          onPointerUp={handleStagePointerUp}
+          onPointerCancel={handleStagePointerUp}
+          onPointerLeave={() => setInspected(null)}
+          onMouseDown={(e) => { if (e.button === 1) e.preventDefault(); }}
+          onDoubleClick={(e) => { if (!editingMask && e.target === canvasRef.current) setView(fitView); }}
+          className={`flex-1 relative overflow-hidden touch-none ${editingMask ? '' : previewSize ? 'cursor-grab active:cursor-grabbing' : ''}`}
+        >
+          <div
+            className={`absolute transition-opacity duration-500 ${previewSize ? 'opacity-100' : 'opacity-0'}`}
+            style={previewSize ? {
+              width: previewSize.width * viewScale,
+              height: previewSize.height * viewScale,
+              left: `calc(50% + ${viewX - previewSize.width * viewScale / 2}px)`,
+              top: `calc(50% + ${viewY - previewSize.height * viewScale / 2}px)`
+            } : undefined}
+          >
+            {/* Stills and live video both render into this canvas; CSS scales it with nearest-neighbour sampling */}
+            <canvas ref={canvasRef} className="block w-full h-full" style={{ imageRendering: 'pixelated' }} />
+            {compare && stillReady && (
+              <>
+                <canvas ref={beforeCanvasRef} className="absolute inset-0 w-full h-full pointer-events-none" style={{ imageRendering: 'pixelated', clipPath: `inset(0 ${(1 - split) * 100}% 0 0)` }} />
+                <div className="absolute inset-y-0 w-0.5 -ml-px bg-white/80 pointer-events-none" style={{ left: `${split * 100}%` }} />
+              </>
+            )}
+            {editingMask && stillReady && (
+               <canvas
+                  ref={overlayRef}
+                  width={editingMask.width}
+                  height={editingMask.height}
+                  onPointerDown={handleMaskPointerDown}
+                  onPointerMove={handleMaskPointerMove}
+                  onPointerUp={handleMaskPointerUp}
+                  onPointerCancel={handleMaskPointerUp}
+                  className="absolute inset-0 w-full h-full cursor-crosshair touch-none"
+               />
+            )}
           </div>
-          {!originalImage && (
+          {/* The split handle stays a constant size at any zoom */}
+          {compare && stillReady && (
+            <div
+              onPointerDown={handleSplitPointerDown}
+              onPointerMove={handleSplitPointerMove}
+              className="absolute z-10 flex items-center gap-1 -translate-x-1/2 -translate-y-1/2 cursor-ew-resize select-none"
+              style={{ left: `calc(50% + ${viewX + (split - 0.5) * previewSize.width * viewScale}px)`, top: '50%' }}
+            >
+              <span className="text-[9px] uppercase tracking-wider text-white/70">Before</span>
+              <span className="w-6 h-6 rounded-full bg-white text-black flex items-center justify-center shadow-lg"><Columns2 size={12} /></span>
+              <span className="text-[9px] uppercase tracking-wider text-white/70">After</span>
+            </div>
+          )}
+          {!originalImage && !videoSource && (
             <div className="absolute inset-0 flex items-center justify-center z-0">
               <div className="text-center space-y-4 animate-in fade-in duration-700">
                 <div className="w-24 h-24 bg-neutral-900 rounded-3xl border border-neutral-800 flex items-center justify-center mx-auto shadow-2xl rotate-3"><ImageIcon size={40} className="text-neutral-700" /></div>
-                <div><h2 className="text-2xl font-bold text-white">No Image Loaded</h2><p className="text-neutral-500 mt-2 max-w-xs mx-auto">Upload an image to start glitching.</p></div>
+                <div><h2 className="text-2xl font-bold text-white">No Image Loaded</h2><p className="text-neutral-500 mt-2 max-w-xs mx-auto">Upload, drop or paste an image or video, or turn on the camera, to start glitching.</p></div>
               </div>
             </div>
           )}
         </div>
+
+        {/* Viewport toolbar */}
+        {previewSize && (
+          <div className={`absolute right-6 ${videoSource ? 'bottom-20' : 'bottom-6'} flex items-center gap-1 bg-neutral-900/90 backdrop-blur border border-neutral-800 rounded-xl px-2 py-1.5 z-20 text-[10px] text-neutral-400`}>
+            <button onClick={() => zoomBy(1 / 1.5)} title="Zoom out" className="p-1.5 rounded hover:bg-neutral-800 hover:text-white"><ZoomOut size={14} /></button>
+            <span className="w-10 text-center tabular-nums">{Math.round(viewScale * 100)}%</span>
+            <button onClick={() => zoomBy(1.5)} title="Zoom in (scroll to zoom, up to 3200%)" className="p-1.5 rounded hover:bg-neutral-800 hover:text-white"><ZoomIn size={14} /></button>
+            <button onClick={() => setView(fitView)} title="Fit to screen (double-click)" className={`p-1.5 rounded hover:bg-neutral-800 hover:text-white ${view.fit ? 'text-indigo-400' : ''}`}><Maximize size={14} /></button>
+            <button onClick={() => setView({ fit: false, scale: 1, x: 0, y: 0 })} title="Actual pixels" className="px-1.5 py-1 rounded hover:bg-neutral-800 hover:text-white">1:1</button>
+            <span className="w-px h-4 bg-neutral-700 mx-1" />
+            <button onClick={() => setCompare(c => !c)} disabled={!stillReady} title="Before / after split" className={`p-1.5 rounded hover:bg-neutral-800 disabled:text-neutral-700 ${compare ? 'text-indigo-400' : 'hover:text-white'}`}><Columns2 size={14} /></button>
+            <button onClick={() => { setInspecting(i => !i); setInspected(null); }} title="Pixel inspector" className={`p-1.5 rounded hover:bg-neutral-800 ${inspecting ? 'text-indigo-400' : 'hover:text-white'}`}><Pipette size={14} /></button>
+          </div>
+        )}
+
+        {/* Pixel inspector readout */}
+        {inspecting && inspected && (
+          <div className={`absolute left-6 ${videoSource ? 'bottom-20' : 'bottom-6'} bg-neutral-900/90 backdrop-blur border border-neutral-800 rounded-xl px-3 py-2 z-20 text-[10px] text-neutral-400 font-mono space-y-1 pointer-events-none`}>
+            <div className="text-neutral-500">x {inspected.x} · y {inspected.y}</div>
+            {[['After', inspected.after], ['Before', inspected.before]].filter(([, rgba]) => rgba).map(([label, rgba]) => (
+              <div key={label} className="flex items-center gap-2">
+                <span className="w-3 h-3 rounded-sm border border-neutral-700" style={{ backgroundColor: toHex(rgba) }} />
+                <span className="w-10 text-neutral-500">{label}</span>
+                <span className="text-white">{rgba[0]} {rgba[1]} {rgba[2]}</span>
+                <span>{toHex(rgba)}</span>
+                {rgba[3] !== 255 && <span>α {rgba[3]}</span>}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Mask painting tools */}
+        {editingMask && stillReady && (
+          <div className="absolute bottom-6 left-1/2 -translate-x-1/2 flex items-center gap-3 bg-neutral-900/90 backdrop-blur border border-neutral-800 rounded-xl px-4 py-2 z-20 text-[10px] text-neutral-400">
+            <div className="flex bg-neutral-800 rounded p-0.5">
+              <button onClick={() => setMaskTool(t => ({ ...t, mode: 'brush' }))} title="Brush" className={`p-1.5 rounded ${maskTool.mode === 'brush' ? 'bg-neutral-600 text-white' : ''}`}><Brush size={14} /></button>
+              <button onClick={() => setMaskTool(t => ({ ...t, mode: 'erase' }))} title="Eraser" className={`p-1.5 rounded ${maskTool.mode === 'erase' ? 'bg-neutral-600 text-white' : ''}`}><Eraser size={14} /></button>
+            </div>
+            <label className="flex items-center gap-1">Size <input type="range" min="2" max="200" value={maskTool.size} onChange={(e) => setMaskTool(t => ({ ...t, size: parseInt(e.target.value) }))} className="w-20 h-1 accent-indigo-500" /></label>
+            <label className="flex items-center gap-1">Hardness <input type="range" min="0" max="100" value={maskTool.hardness} onChange={(e) => setMaskTool(t => ({ ...t, hardness: parseInt(e.target.value) }))} className="w-16 h-1 accent-indigo-500" /></label>
+            <label className="flex items-center gap-1">Feather <input type="range" min="1" max="64" value={maskTool.feather} onChange={(e) => setMaskTool(t => ({ ...t, feather: parseInt(e.target.value) }))} className="w-16 h-1 accent-indigo-500" /></label>
+            <button onClick={() => updateMask(editingMaskId, m => featherMask(m, maskTool.feather))} title="Feather edges" className="p-1.5 rounded bg-neutral-800 hover:bg-neutral-700 text-white"><Feather size={14} /></button>
+            <button onClick={() => updateMask(editingMaskId, invertMask)} title="Invert" className="p-1.5 rounded bg-neutral-800 hover:bg-neutral-700 text-white"><Contrast size={14} /></button>
+            <button onClick={() => setEditingMaskId(null)} className="px-2 py-1.5 rounded bg-indigo-600 hover:bg-indigo-500 text-white">Done</button>
+          </div>
+        )}
+
+        {/* Playback & recording controls for live sources */}
+        {videoSource && (
+          <div className="absolute bottom-0 left-0 right-0 p-4 flex items-center gap-3 bg-neutral-900/80 backdrop-blur border-t border-neutral-800 z-20">
+            {videoSource.kind === 'file' && (
+              <>
+                <button onClick={togglePlayback} className="p-2 rounded-lg bg-neutral-800 hover:bg-neutral-700 text-white" title={isPlaying ? 'Pause' : 'Play'}>
+                  {isPlaying ? <Pause size={16} /> : <Play size={16} />}
+                </button>
+                <input type="range" min="0" max={videoSource.video.duration || 0} step="0.01" value={videoTime} onChange={(e) => seekVideo(parseFloat(e.target.value))} className="flex-1 h-1 bg-neutral-800 accent-indigo-500" />
+                <span className="text-[10px] text-neutral-400 w-20 text-right">{videoTime.toFixed(1)}s / {(videoSource.video.duration || 0).toFixed(1)}s</span>
+              </>
+            )}
+            {videoSource.kind === 'camera' && <span className="flex-1 text-xs text-neutral-400">Live camera</span>}
+            <span className="text-[10px] text-neutral-500 w-28 text-right">{liveStats.fps} fps · {liveStats.dropped} dropped</span>
+            <button onClick={isRecording ? stopRecording : startRecording} className={`flex items-center gap-1 px-3 py-2 rounded-lg text-xs ${isRecording ? 'bg-red-600 text-white' : 'bg-neutral-800 hover:bg-neutral-700 text-white'}`}>
+              {isRecording ? <><Square size={12} /> Stop</> : <><Circle size={12} className="text-red-500" /> Record</>}
+            </button>
+          </div>
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,53 @@
+// --- Animation: keyframed and LFO-driven numeric params ---
+// A layer may carry `animation: { [paramKey]: track }` where a track is either
+//   { type: 'keyframes', keyframes: [{ time, value }] }   (time in seconds)
+//   { type: 'lfo', wave, rate, depth }                     (rate in Hz, swings around the base value)
+import { effectRegistry } from './registry.js';
+
+const wrap = (phase) => ((phase % 1) + 1) % 1;
+
+// Each wave maps a phase (in cycles) to -1..1, starting at 0 and rising like sine
+export const lfoWaves = {
+  sine: (phase) => Math.sin(phase * Math.PI * 2),
+  triangle: (phase) => 4 * Math.abs(wrap(phase - 0.25) - 0.5) - 1,
+  square: (phase) => wrap(phase) < 0.5 ? 1 : -1,
+  saw: (phase) => 2 * wrap(phase + 0.5) - 1,
+};
+
+export const evaluateTrack = (track, baseValue, time) => {
+  if (track.type === 'lfo') {
+    const wave = lfoWaves[track.wave] || lfoWaves.sine;
+    return baseValue + wave(time * track.rate) * track.depth;
+  }
+
+  const keys = [...(track.keyframes || [])].sort((a, b) => a.time - b.time);
+  if (keys.length === 0) return baseValue;
+  if (time <= keys[0].time) return keys[0].value;
+  const last = keys[keys.length - 1];
+  if (time >= last.time) return last.value;
+  const next = keys.findIndex(k => k.time > time);
+  const a = keys[next - 1], b = keys[next];
+  return a.value + (b.value - a.value) * ((time - a.time) / (b.time - a.time));
+};
+
+// Snaps an animated value back onto the param's slider range and step
+const fitToParam = (param, value) => {
+  const step = param.step || 1;
+  const snapped = param.min + Math.round((value - param.min) / step) * step;
+  return Math.min(param.max, Math.max(param.min, snapped));
+};
+
+export const isAnimated = (layers) => layers.some(l => l.animation && Object.keys(l.animation).length > 0);
+
+// Returns the stack with every animated param replaced by its value at `time`
+export const resolveLayersAt = (layers, time) => layers.map(layer => {
+  if (!layer.animation || !effectRegistry[layer.type]) return layer;
+  const params = effectRegistry[layer.type].params;
+  const settings = { ...layer.settings };
+  Object.entries(layer.animation).forEach(([key, track]) => {
+    const param = params.find(p => p.key === key);
+    if (!param || param.type !== 'range') return;
+    settings[key] = fitToParam(param, evaluateTrack(track, settings[key], time));
+  });
+  return { ...layer, settings };
+});
@@ -0,0 +1,123 @@
+import { getLuminance, hexToRgb } from './utils/color.js';
+import { createImageData, downsample } from './utils/imageData.js';
+import { glyphFonts, glyphMask } from './utils/glyphs.js';
+import { builtinPalettes } from './utils/palettes.js';
+import { createNearestColor } from './utils/quantize.js';
+
+// Character ramps from darkest to brightest
+const charsets = {
+  classic: { label: 'Classic', ramp: ' .:-=+*#%@' },
+  detailed: { label: 'Detailed', ramp: ' .\'`^",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$' },
+  blocks: { label: 'Blocks', ramp: ' ░▒▓█' },
+  binary: { label: 'Binary', ramp: ' 01' },
+};
+
+// Characters are a little taller than wide, as in a terminal
+const cellWidth = (size) => Math.max(2, Math.round(size * 0.6));
+
+const ramp = (settings) => {
+  const chars = Array.from(settings.asciiCharset === 'custom' ? settings.asciiCustom || '' : charsets[settings.asciiCharset]?.ramp || charsets.classic.ramp);
+  if (!chars.length) chars.push(' ', '#');
+  return settings.asciiInvert ? chars.reverse() : chars;
+};
+
+// --- Helper: ASCII Grid ---
+// Samples the average of every cell (the same blocks as the Pixel layer) and picks a
+// character by luminance and an ink color by the color mode.
+// Returns { cols, rows, chars: [row strings], inks: Uint8Array of rgb per cell }.
+export const asciiGrid = (image, settings) => {
+  const size = Math.max(2, settings.asciiCellSize);
+  const cells = downsample(image, cellWidth(size), size);
+  const { width: cols, height: rows, data } = cells;
+  const chars = ramp(settings);
+  const mono = hexToRgb(settings.asciiInk) || { r: 255, g: 255, b: 255 };
+  const paletteColors = (builtinPalettes[settings.asciiPalette]?.colors || ['#000000', '#ffffff']).map(hexToRgb).map(({ r, g, b }) => [r, g, b]);
+  const nearest = settings.asciiColor === 'palette' ? createNearestColor(paletteColors) : null;
+
+  const lines = [];
+  const inks = new Uint8Array(cols * rows * 3);
+  for (let y = 0; y < rows; y++) {
+    let line = '';
+    for (let x = 0; x < cols; x++) {
+      const c = y * cols + x, i = c * 4;
+      const lum = getLuminance(data[i], data[i+1], data[i+2]) / 255;
+      line += chars[Math.min(chars.length - 1, Math.floor(lum * chars.length))];
+      let ink = [mono.r, mono.g, mono.b];
+      if (settings.asciiColor === 'source') ink = [data[i], data[i+1], data[i+2]];
+      else if (nearest) ink = paletteColors[nearest(data[i], data[i+1], data[i+2])];
+      inks.set(ink, c * 3);
+    }
+    lines.push(line);
+  }
+  return { cols, rows, chars: lines, inks };
+};
+
+export const asciiToText = (image, settings) => `${asciiGrid(image, settings).chars.map(line => line.trimEnd()).join('\n')}\n`;
+
+// 24-bit ANSI escapes: the background once per line, the ink whenever it changes
+export const asciiToAnsi = (image, settings) => {
+  const { cols, chars, inks } = asciiGrid(image, settings);
+  const bg = hexToRgb(settings.asciiBg) || { r: 0, g: 0, b: 0 };
+  return chars.map((line, y) => {
+    let out = `\x1b[48;2;${bg.r};${bg.g};${bg.b}m`, last = '';
+    Array.from(line).forEach((char, x) => {
+      const c = (y * cols + x) * 3;
+      const ink = `\x1b[38;2;${inks[c]};${inks[c+1]};${inks[c+2]}m`;
+      if (ink !== last && char !== ' ') { out += ink; last = ink; }
+      out += char;
+    });
+    return `${out}\x1b[0m\n`;
+  }).join('');
+};
+
+// --- ASCII ---
+export default {
+  id: 'ascii',
+  label: 'ASCII',
+  params: [
+    { key: 'asciiCellSize', label: 'Cell Size', type: 'range', min: 4, max: 48, unit: 'px', scales: true, default: 12 },
+    { key: 'asciiCharset', label: 'Characters', type: 'select', options: [
+      ...Object.entries(charsets).map(([value, { label }]) => ({ value, label })),
+      { value: 'custom', label: 'Custom' }
+    ], default: 'classic' },
+    { key: 'asciiCustom', label: 'Ramp (dark → light)', type: 'text', default: ' .oO@', visibleIf: (s) => s.asciiCharset === 'custom' },
+    { key: 'asciiFont', label: 'Font', type: 'select', options: Object.entries(glyphFonts).map(([value, { label }]) => ({ value, label })), default: 'pixel' },
+    { key: 'asciiColor', label: 'Color', type: 'segmented', options: [
+      { value: 'mono', label: 'Mono' },
+      { value: 'source', label: 'Source' },
+      { value: 'palette', label: 'Palette' }
+    ], default: 'mono' },
+    { key: 'asciiPalette', label: 'Palette', type: 'select', options: Object.entries(builtinPalettes).map(([value, { label }]) => ({ value, label })), default: 'cga', visibleIf: (s) => s.asciiColor === 'palette' },
+    { key: 'asciiInvert', label: 'Invert Ramp', type: 'toggle', default: false },
+    { key: 'asciiInk', label: 'Ink', type: 'color', default: '#ffffff', visibleIf: (s) => s.asciiColor === 'mono' },
+    { key: 'asciiBg', label: 'Background', type: 'color', default: '#000000' },
+  ],
+  apply: (image, settings, { onRow = () => {} } = {}) => {
+    const { width: w, height: h } = image;
+    const size = Math.max(2, settings.asciiCellSize);
+    const { cols, rows, chars, inks } = asciiGrid(image, settings);
+    const bg = hexToRgb(settings.asciiBg) || { r: 0, g: 0, b: 0 };
+    const glyphs = chars.map(line => Array.from(line, char => glyphMask(char, settings.asciiFont, cellWidth(size), size)));
+
+    const output = createImageData(w, h);
+    const out = output.data;
+    const gw = cellWidth(size);
+    for (let y = 0; y < h; y++) {
+      onRow(y, h);
+      // Cells follow downsample's grid, which stretches to fill the image
+      const cy = Math.floor(y * rows / h);
+      const gy = Math.min(size - 1, Math.floor(((y + 0.5) * rows / h - cy) * size));
+      for (let x = 0; x < w; x++) {
+        const cx = Math.floor(x * cols / w);
+        const gx = Math.min(gw - 1, Math.floor(((x + 0.5) * cols / w - cx) * gw));
+        const cover = glyphs[cy][cx][gy * gw + gx];
+        const c = (cy * cols + cx) * 3, o = (y * w + x) * 4;
+        out[o] = bg.r + (inks[c] - bg.r) * cover;
+        out[o+1] = bg.g + (inks[c+1] - bg.g) * cover;
+        out[o+2] = bg.b + (inks[c+2] - bg.b) * cover;
+        out[o+3] = 255;
+      }
+    }
+    return output;
+  }
+};
@@ -0,0 +1,74 @@
+import { cloneImageData } from './utils/imageData.js';
+
+// --- MACROBLOCK SHUFFLE ---
+// Moves square blocks around the way a codec with broken motion vectors would
+export default {
+  id: 'blocks',
+  label: 'Blocks',
+  params: [
+    { key: 'blockSize', label: 'Block Size', type: 'range', min: 4, max: 128, unit: 'px', scales: true, default: 16 },
+    { key: 'blockAmount', label: 'Amount', type: 'range', min: 0, max: 100, unit: '%', default: 25 },
+    { key: 'blockMode', label: 'Mode', type: 'segmented', options: [
+      { value: 'swap', label: 'Swap' },
+      { value: 'repeat', label: 'Repeat' },
+      { value: 'drift', label: 'Drift' }
+    ], default: 'swap' },
+    { key: 'blockDistance', label: 'Max Distance', type: 'range', min: 1, max: 400, unit: 'px', scales: true, default: 64, visibleIf: (s) => s.blockMode !== 'repeat' },
+  ],
+  // swap: trades places with another block within the distance.
+  // repeat: copies the block before it, so runs of blocks freeze into streaks.
+  // drift: shows the image from a random offset, like a stray motion vector.
+  apply: (image, settings, { onRow = () => {}, random = Math.random } = {}) => {
+    const { width: w, height: h } = image;
+    const output = cloneImageData(image);
+    const src = new Uint32Array(image.data.buffer, image.data.byteOffset, w * h);
+    const out = new Uint32Array(output.data.buffer);
+    const size = Math.max(1, settings.blockSize);
+    const cols = Math.ceil(w / size), rows = Math.ceil(h / size);
+    const chance = settings.blockAmount / 100;
+    const distance = settings.blockDistance;
+
+    // Copies a block, clipped to the image at both ends
+    const copy = (from, sx, sy, dx, dy) => {
+      const bw = Math.min(size, w - sx, w - dx), bh = Math.min(size, h - sy, h - dy);
+      for (let y = 0; y < bh; y++) {
+        const s = (sy + y) * w + sx;
+        out.set(from.subarray(s, s + bw), (dy + y) * w + dx);
+      }
+    };
+    // Trades two blocks in place, so a block picked twice still only appears once
+    const swap = (ax, ay, bx, by) => {
+      const bw = Math.min(size, w - ax, w - bx), bh = Math.min(size, h - ay, h - by);
+      for (let y = 0; y < bh; y++) {
+        const a = (ay + y) * w + ax, b = (by + y) * w + bx;
+        const saved = out.slice(a, a + bw);
+        out.copyWithin(a, b, b + bw);
+        out.set(saved, b);
+      }
+    };
+    const offset = () => Math.round((random() * 2 - 1) * distance);
+    // Keeps a drifted source inside the image for the full width of the block it fills
+    const clampX = (sx, x) => Math.max(0, Math.min(w - Math.min(size, w - x), sx));
+    const clampY = (sy, y) => Math.max(0, Math.min(h - Math.min(size, h - y), sy));
+
+    for (let row = 0; row < rows; row++) {
+      onRow(row, rows);
+      for (let col = 0; col < cols; col++) {
+        if (random() >= chance) continue;
+        const x = col * size, y = row * size;
+        if (settings.blockMode === 'repeat') {
+          if (col > 0) copy(out, x - size, y, x, y);
+          else if (row > 0) copy(out, x, y - size, x, y);
+        } else if (settings.blockMode === 'drift') {
+          copy(src, clampX(x + offset(), x), clampY(y + offset(), y), x, y);
+        } else {
+          // Snap the partner to the block grid so the swap stays aligned
+          const px = Math.min(cols - 1, Math.max(0, col + Math.round(offset() / size))) * size;
+          const py = Math.min(rows - 1, Math.max(0, row + Math.round(offset() / size))) * size;
+          swap(x, y, px, py);
+        }
+      }
+    }
+    return output;
+  }
+};
@@ -0,0 +1,28 @@
+import { getLuminance } from './utils/color.js';
+import { cloneImageData } from './utils/imageData.js';
+
+// --- BW ---
+export default {
+  id: 'bw',
+  label: 'Mono',
+  params: [
+    { key: 'contrast', label: 'Contrast', type: 'range', min: -50, max: 100, default: 20 },
+    { key: 'brightness', label: 'Bright', type: 'range', min: -100, max: 100, default: 10 },
+    { key: 'grain', label: 'Grain', type: 'range', min: 0, max: 100, default: 0 },
+  ],
+  apply: (image, settings, { random = Math.random } = {}) => {
+    const output = cloneImageData(image);
+    const data = output.data;
+    const contrastFactor = (259 * (settings.contrast + 255)) / (255 * (259 - settings.contrast));
+    for (let i = 0; i < data.length; i += 4) {
+      const r = data[i], g = data[i+1], b = data[i+2];
+      let gray = getLuminance(r, g, b);
+      gray += settings.brightness;
+      gray = contrastFactor * (gray - 128) + 128;
+      if (settings.grain > 0) gray += (random() - 0.5) * settings.grain;
+      gray = Math.min(255, Math.max(0, gray));
+      data[i] = data[i+1] = data[i+2] = gray;
+    }
+    return output;
+  }
+};
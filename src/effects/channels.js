@@ -0,0 +1,49 @@
+import { createImageData } from './utils/imageData.js';
+
+// Source channel for each output channel (r, g, b)
+const channelOrders = {
+  rgb: [0, 1, 2],
+  gbr: [1, 2, 0],
+  brg: [2, 0, 1],
+  grb: [1, 0, 2],
+  bgr: [2, 1, 0],
+  rbg: [0, 2, 1]
+};
+
+// --- CHANNEL SWAP ---
+export default {
+  id: 'channels',
+  label: 'Channels',
+  params: [
+    { key: 'channelMode', label: 'Mode', type: 'segmented', options: [{ value: 'global', label: 'Whole Image' }, { value: 'bands', label: 'Random Bands' }], default: 'global' },
+    { key: 'channelOrder', label: 'Order', type: 'select', options: [
+      { value: 'gbr', label: 'Rotate Left (GBR)' },
+      { value: 'brg', label: 'Rotate Right (BRG)' },
+      { value: 'grb', label: 'Swap Red / Green' },
+      { value: 'bgr', label: 'Swap Red / Blue' },
+      { value: 'rbg', label: 'Swap Green / Blue' }
+    ], default: 'gbr', visibleIf: (s) => s.channelMode === 'global' },
+    { key: 'channelBand', label: 'Band Height', type: 'range', min: 2, max: 200, unit: 'px', scales: true, default: 24, visibleIf: (s) => s.channelMode === 'bands' },
+  ],
+  // Bands pick a random order each, the unchanged one included
+  apply: (image, settings, { onRow = () => {}, random = Math.random } = {}) => {
+    const { width: w, height: h, data } = image;
+    const output = createImageData(w, h);
+    const out = output.data;
+    const orders = Object.values(channelOrders);
+    const bandHeight = Math.max(1, settings.channelBand);
+
+    let order = channelOrders[settings.channelOrder] || channelOrders.gbr;
+    for (let y = 0; y < h; y++) {
+      onRow(y, h);
+      if (settings.channelMode === 'bands' && y % bandHeight === 0) order = orders[Math.floor(random() * orders.length)];
+      for (let i = y * w * 4; i < (y + 1) * w * 4; i += 4) {
+        out[i] = data[i + order[0]];
+        out[i + 1] = data[i + order[1]];
+        out[i + 2] = data[i + order[2]];
+        out[i + 3] = data[i + 3];
+      }
+    }
+    return output;
+  }
+};
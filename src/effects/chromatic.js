@@ -0,0 +1,32 @@
+import { createImageData } from './utils/imageData.js';
+
+// --- CHROMATIC ---
+export default {
+  id: 'chromatic',
+  label: 'RGB',
+  params: [
+    { key: 'offset', label: 'Offset', type: 'range', min: 0, max: 50, unit: 'px', scales: true, default: 5 },
+    { key: 'direction', label: 'Direction', type: 'segmented', options: [{ value: 'horizontal', label: 'Horiz' }, { value: 'vertical', label: 'Vert' }], default: 'horizontal' },
+  ],
+  apply: (image, settings, { onRow = () => {} } = {}) => {
+    const { width: currentW, height: currentH, data } = image;
+    const off = settings.offset;
+    const temp = createImageData(currentW, currentH);
+    const tData = temp.data;
+    for(let y=0;y<currentH;y++){
+      onRow(y, currentH);
+      for(let x=0;x<currentW;x++){
+        const i = (y*currentW+x)*4;
+        let rx = x + off, ry = y;
+        let bx = x - off, by = y;
+        if(settings.direction === 'vertical'){ rx=x; ry=y+off; bx=x; by=y-off; }
+        rx = Math.min(currentW-1, Math.max(0, rx)); ry = Math.min(currentH-1, Math.max(0, ry));
+        bx = Math.min(currentW-1, Math.max(0, bx)); by = Math.min(currentH-1, Math.max(0, by));
+        const ri = (ry*currentW+rx)*4;
+        const bi = (by*currentW+bx)*4;
+        tData[i] = data[ri]; tData[i+1] = data[i+1]; tData[i+2] = data[bi+2]; tData[i+3] = 255;
+      }
+    }
+    return temp;
+  }
+};
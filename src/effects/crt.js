@@ -0,0 +1,184 @@
+import { createImageData } from './utils/imageData.js';
+import { blurPlane } from './utils/blur.js';
+import { hash2d } from './utils/random.js';
+
+// Which phosphor (0 red, 1 green, 2 blue) sits under a pixel, or -1 for the dark gap.
+// `size` is the width of one phosphor stripe or dot in pixels.
+const maskPatterns = {
+  // Unbroken vertical stripes (Trinitron)
+  aperture: (x, y, size) => Math.floor(x / size) % 3,
+  // Stripes broken into slots, staggered by half a slot on every other triad
+  slot: (x, y, size) => {
+    const triad = Math.floor(x / (size * 3));
+    const row = (y + (triad % 2) * size * 2) % (size * 4);
+    return row >= size * 3 ? -1 : Math.floor(x / size) % 3;
+  },
+  // Dot triads, every other row shifted by half a triad
+  shadow: (x, y, size) => Math.floor((x + (Math.floor(y / size) % 2) * size * 1.5) / size) % 3,
+};
+
+// Linear sample along a row with clamped edges
+const sampleRow = (plane, row, w, x) => {
+  const cx = Math.min(w - 1, Math.max(0, x));
+  const x0 = Math.floor(cx), x1 = Math.min(w - 1, x0 + 1), t = cx - x0;
+  return plane[row + x0] * (1 - t) + plane[row + x1] * t;
+};
+
+// --- CRT ---
+// Runs the picture through the stages of an analog chain in order:
+// signal (jitter, tracking, interlace) → tape (chroma bleed) → tube (bloom, phosphor
+// mask, scanlines) → glass (curvature, vignette). Every stage is off at zero.
+export default {
+  id: 'crt',
+  label: 'CRT',
+  params: [
+    { key: 'scanlineIntensity', label: 'Scanlines', type: 'range', min: 0, max: 100, default: 50 },
+    { key: 'scanlineThickness', label: 'Line Spacing', type: 'range', min: 1, max: 8, scales: true, default: 2 },
+    { key: 'crtMask', label: 'Phosphor Mask', type: 'select', options: [
+      { value: 'none', label: 'None' },
+      { value: 'aperture', label: 'Aperture Grille' },
+      { value: 'slot', label: 'Slot Mask' },
+      { value: 'shadow', label: 'Shadow Mask' }
+    ], default: 'none' },
+    { key: 'crtMaskSize', label: 'Mask Size', type: 'range', min: 1, max: 8, unit: 'px', scales: true, default: 1, visibleIf: (s) => s.crtMask !== 'none' },
+    { key: 'crtMaskStrength', label: 'Mask Strength', type: 'range', min: 0, max: 100, unit: '%', default: 50, visibleIf: (s) => s.crtMask !== 'none' },
+    { key: 'crtBloom', label: 'Bloom', type: 'range', min: 0, max: 100, default: 0 },
+    { key: 'crtBloomRadius', label: 'Bloom Radius', type: 'range', min: 1, max: 60, unit: 'px', scales: true, default: 10, visibleIf: (s) => s.crtBloom > 0 },
+    { key: 'crtCurvature', label: 'Curvature', type: 'range', min: -100, max: 100, default: 0 },
+    { key: 'vignette', label: 'Vignette', type: 'range', min: 0, max: 100, default: 50 },
+    { key: 'crtJitter', label: 'H. Jitter', type: 'range', min: 0, max: 20, unit: 'px', scales: true, default: 0 },
+    { key: 'crtTracking', label: 'Tracking Noise', type: 'range', min: 0, max: 100, default: 0 },
+    { key: 'crtInterlace', label: 'Interlace Offset', type: 'range', min: 0, max: 20, unit: 'px', scales: true, default: 0 },
+    { key: 'crtChromaBleed', label: 'Chroma Bleed', type: 'range', min: 0, max: 40, unit: 'px', scales: true, default: 0 },
+    { key: 'crtChromaShift', label: 'Chroma Shift', type: 'range', min: -20, max: 20, unit: 'px', scales: true, default: 0 },
+  ],
+  // Curvature above zero bulges (barrel) and blacks out the corners; below zero pinches (pincushion)
+  apply: (image, settings, { onRow = () => {}, random = Math.random, seed = 0 } = {}) => {
+    const { width: w, height: h, data } = image;
+    const size = w * h;
+    let planes = [0, 1, 2].map(c => {
+      const plane = new Float32Array(size);
+      for (let i = 0; i < size; i++) plane[i] = data[i * 4 + c];
+      return plane;
+    });
+
+    // Signal: each row slips sideways by its jitter, tracking and field offset
+    const jitter = settings.crtJitter || 0, interlace = settings.crtInterlace || 0;
+    const tracking = (settings.crtTracking || 0) / 100;
+    if (jitter > 0 || interlace > 0 || tracking > 0) {
+      // The tracking band sits at a random height and grows with the amount
+      const bandCenter = random() * h, bandHalf = Math.max(1, h * (0.03 + 0.12 * tracking));
+      const shifted = planes.map(() => new Float32Array(size));
+      for (let y = 0; y < h; y++) {
+        onRow(y, h * 2);
+        const band = tracking > 0 ? Math.max(0, 1 - Math.abs(y - bandCenter) / bandHalf) : 0;
+        let shift = (y % 2) * interlace;
+        if (jitter > 0) shift += (random() * 2 - 1) * jitter;
+        if (band > 0) shift += band * tracking * w * 0.05 * (0.5 + random());
+        const row = y * w;
+        for (let x = 0; x < w; x++) {
+          // Snow streaks a few pixels long inside the band
+          const snow = band > 0 && hash2d(x >> 2, y, seed) < band * tracking * 0.3 ? 0.8 : 0;
+          for (let c = 0; c < 3; c++) {
+            const value = sampleRow(planes[c], row, w, x - shift);
+            shifted[c][row + x] = value + (255 - value) * snow;
+          }
+        }
+      }
+      planes = shifted;
+    }
+
+    // Tape: chroma smears sideways and slips off the sharp luma (YIQ)
+    const bleed = settings.crtChromaBleed || 0, chromaShift = settings.crtChromaShift || 0;
+    if (bleed > 0 || chromaShift !== 0) {
+      const [r, g, b] = planes;
+      const luma = new Float32Array(size), iPlane = new Float32Array(size), qPlane = new Float32Array(size);
+      for (let i = 0; i < size; i++) {
+        luma[i] = 0.299 * r[i] + 0.587 * g[i] + 0.114 * b[i];
+        iPlane[i] = 0.596 * r[i] - 0.274 * g[i] - 0.322 * b[i];
+        qPlane[i] = 0.211 * r[i] - 0.523 * g[i] + 0.312 * b[i];
+      }
+      const boxRadius = Math.round(bleed / 2);
+      blurPlane(iPlane, w, h, boxRadius, { vertical: false });
+      blurPlane(qPlane, w, h, boxRadius, { vertical: false });
+      for (let y = 0; y < h; y++) {
+        const row = y * w;
+        for (let x = 0; x < w; x++) {
+          const i = row + x;
+          const ci = sampleRow(iPlane, row, w, x - chromaShift), cq = sampleRow(qPlane, row, w, x - chromaShift);
+          r[i] = luma[i] + 0.956 * ci + 0.621 * cq;
+          g[i] = luma[i] - 0.272 * ci - 0.647 * cq;
+          b[i] = luma[i] - 1.106 * ci + 1.703 * cq;
+        }
+      }
+    }
+
+    // Tube: bright areas glow past the mask and scanlines
+    const bloom = (settings.crtBloom || 0) / 100;
+    let glow = null;
+    if (bloom > 0) {
+      glow = planes.map(() => new Float32Array(size));
+      for (let i = 0; i < size; i++) {
+        const lum = (0.2126 * planes[0][i] + 0.7152 * planes[1][i] + 0.0722 * planes[2][i]) / 255;
+        const weight = Math.max(0, lum) ** 2;
+        for (let c = 0; c < 3; c++) glow[c][i] = planes[c][i] * weight;
+      }
+      const boxRadius = Math.max(1, Math.round(settings.crtBloomRadius / 2));
+      glow.forEach(plane => blurPlane(plane, w, h, boxRadius));
+    }
+
+    const pattern = maskPatterns[settings.crtMask];
+    const maskSize = Math.max(1, settings.crtMaskSize || 1);
+    const maskDim = 1 - (settings.crtMaskStrength ?? 50) / 100;
+    const scanA = settings.scanlineIntensity / 100;
+    const thick = Math.max(1, settings.scanlineThickness);
+    for (let y = 0; y < h; y++) {
+      onRow(h + y, h * 2);
+      const scan = (y % thick) === 0 ? 1 - scanA : 1;
+      for (let x = 0; x < w; x++) {
+        const i = y * w + x;
+        const lit = pattern ? pattern(x, y, maskSize) : 3;
+        for (let c = 0; c < 3; c++) {
+          const mask = lit === 3 || lit === c ? 1 : maskDim;
+          let value = planes[c][i] * mask * scan;
+          if (glow) value += glow[c][i] * bloom * 1.5;
+          planes[c][i] = value;
+        }
+      }
+    }
+
+    // Glass: curvature resamples the screen, the vignette darkens toward the corners.
+    // Alpha follows the source at the same (warped) spot; outside the tube is opaque black.
+    const output = createImageData(w, h);
+    const out = output.data;
+    const k = (settings.crtCurvature || 0) / 100 * 0.25;
+    const cx = w / 2, cy = h / 2;
+    const maxD = Math.sqrt(cx * cx + cy * cy);
+    const vig = settings.vignette / 100;
+    const alpha = new Uint8Array(w * h);
+    for (let i = 0; i < w * h; i++) alpha[i] = data[i * 4 + 3];
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const o = (y * w + x) * 4;
+        const d = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
+        const dim = 1 - ((d / maxD) * vig);
+        out[o + 3] = 255;
+        // Scaled so the middle of each edge stays put
+        const u = (x + 0.5) / w * 2 - 1, v = (y + 0.5) / h * 2 - 1;
+        const f = (1 + k * (u * u + v * v)) / (1 + k);
+        const sx = k ? (u * f + 1) / 2 * w - 0.5 : x, sy = k ? (v * f + 1) / 2 * h - 0.5 : y;
+        if (sx < -0.5 || sy < -0.5 || sx > w - 0.5 || sy > h - 0.5) continue;
+        const x0 = Math.max(0, Math.min(w - 1, Math.floor(sx))), y0 = Math.max(0, Math.min(h - 1, Math.floor(sy)));
+        const x1 = Math.min(w - 1, x0 + 1), y1 = Math.min(h - 1, y0 + 1);
+        const tx = Math.max(0, Math.min(1, sx - x0)), ty = Math.max(0, Math.min(1, sy - y0));
+        for (let c = 0; c < 4; c++) {
+          const p = c < 3 ? planes[c] : alpha;
+          const top = p[y0 * w + x0] * (1 - tx) + p[y0 * w + x1] * tx;
+          const bottom = p[y1 * w + x0] * (1 - tx) + p[y1 * w + x1] * tx;
+          out[o + c] = (top * (1 - ty) + bottom * ty) * (c < 3 ? dim : 1);
+        }
+      }
+    }
+    return output;
+  }
+};
@@ -0,0 +1,199 @@
+import { hexToRgb, getLuminance } from './utils/color.js';
+import { cloneImageData, downsample, upscale } from './utils/imageData.js';
+import { hash2d } from './utils/random.js';
+import { medianCut, kMeans, createNearestColor } from './utils/quantize.js';
+import { builtinPalettes } from './utils/palettes.js';
+import { bayerMatrix, clusteredDotMatrix, blueNoiseMatrix } from './utils/ditherMatrices.js';
+
+// --- Helper: Vibrant Colors for Random Mode ---
+const vibrantColors = [
+  {r:255, g:0, b:100},   // Pink
+  {r:0, g:255, b:200},   // Cyan
+  {r:255, g:200, b:0},   // Yellow
+  {r:100, g:100, b:255}, // Purple
+  {r:50, g:255, b:50},   // Lime
+  {r:255, g:100, b:0}    // Orange
+];
+
+// --- Helper: Error Diffusion Kernels ---
+// [dx, dy, weight] offsets from the current pixel, written as integer weights over a divisor
+const kernel = (divisor, entries) => entries.map(([dx, dy, w]) => [dx, dy, w / divisor]);
+const diffusionKernels = {
+  floyd: kernel(16, [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]),
+  atkinson: kernel(8, [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]),
+  jarvis: kernel(48, [
+    [1, 0, 7], [2, 0, 5],
+    [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+    [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+  ]),
+  stucki: kernel(42, [
+    [1, 0, 8], [2, 0, 4],
+    [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+    [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+  ]),
+  burkes: kernel(32, [
+    [1, 0, 8], [2, 0, 4],
+    [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+  ]),
+  sierra: kernel(32, [
+    [1, 0, 5], [2, 0, 3],
+    [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+    [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+  ]),
+  sierraLite: kernel(4, [[1, 0, 2], [-1, 1, 1], [0, 1, 1]])
+};
+
+// --- Helper: Ordered Matrix for an Algorithm ---
+const orderedMatrix = (settings) => {
+  if (settings.ditherAlgo === 'bayer') return bayerMatrix(settings.bayerSize);
+  if (settings.ditherAlgo === 'bluenoise') return blueNoiseMatrix(64);
+  if (settings.ditherAlgo === 'clustered') return clusteredDotMatrix(8);
+  return null;
+};
+
+// Visits every pixel row by row; serpentine scans run odd rows right to left
+// and mirror the diffusion kernel so error keeps flowing forward.
+const scan = (w, h, serpentine, onRow, visit) => {
+  for (let y = 0; y < h; y++) {
+    onRow(y, h);
+    const reverse = serpentine && y % 2 === 1;
+    for (let k = 0; k < w; k++) visit(reverse ? w - 1 - k : k, y, reverse ? -1 : 1);
+  }
+};
+
+// --- Helper: Resolve Palette ---
+// Built-in, imported ('custom') or extracted from the image ('auto'); returns [[r, g, b], ...]
+const resolvePalette = (image, settings) => {
+  if (settings.palette === 'auto') {
+    const extract = settings.paletteMethod === 'kmeans' ? kMeans : medianCut;
+    return extract(image.data, settings.paletteSize);
+  }
+  const hexes = settings.palette === 'custom' ? settings.customPalette : builtinPalettes[settings.palette]?.colors;
+  const palette = (hexes || []).map(hexToRgb).filter(Boolean).map(({ r, g, b }) => [r, g, b]);
+  return palette.length ? palette : [[0, 0, 0], [255, 255, 255]];
+};
+
+// --- Helper: Palette Dither ---
+// Full RGB error diffusion (or ordered dither) against the nearest palette color
+const ditherToPalette = (output, palette, settings, onRow) => {
+  const { width: w, height: h, data } = output;
+  const buffer = new Float32Array(w * h * 3);
+  for (let i = 0; i < w * h; i++) {
+    buffer[i*3] = data[i*4]; buffer[i*3+1] = data[i*4+1]; buffer[i*3+2] = data[i*4+2];
+  }
+  const nearest = createNearestColor(palette);
+  const diffusion = diffusionKernels[settings.ditherAlgo];
+  const matrix = orderedMatrix(settings);
+  // Ordered dither spreads roughly one palette step per channel
+  const spread = 255 / Math.cbrt(palette.length);
+  const clamp = (v) => v < 0 ? 0 : v > 255 ? 255 : v;
+
+  scan(w, h, settings.serpentine && diffusion, onRow, (x, y, dir) => {
+    const i = y * w + x;
+    const offset = matrix ? ((matrix.values[(y % matrix.size) * matrix.size + x % matrix.size] + 0.5) / matrix.levels - 0.5) * spread : 0;
+    const r = clamp(buffer[i*3] + offset), g = clamp(buffer[i*3+1] + offset), b = clamp(buffer[i*3+2] + offset);
+    const color = palette[nearest(r | 0, g | 0, b | 0)];
+    data[i*4] = color[0]; data[i*4+1] = color[1]; data[i*4+2] = color[2]; data[i*4+3] = 255;
+
+    if (!diffusion) return;
+    const er = r - color[0], eg = g - color[1], eb = b - color[2];
+    for (const [dx, dy, weight] of diffusion) {
+      const nx = x + dx * dir, ny = y + dy;
+      if (nx < 0 || nx >= w || ny >= h) continue;
+      const j = (ny * w + nx) * 3;
+      buffer[j] += er * weight; buffer[j+1] += eg * weight; buffer[j+2] += eb * weight;
+    }
+  });
+  return output;
+};
+
+// --- Helper: Two-Tone Dither ---
+// Luminance error diffusion or ordered dither, painted as B&W, duotone or random colors
+const ditherTwoTone = (output, settings, seed, onRow) => {
+  const { width: w, height: h, data } = output;
+  const grayBuffer = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    grayBuffer[i] = getLuminance(data[i*4], data[i*4+1], data[i*4+2]);
+  }
+  const dark = hexToRgb(settings.colorA);
+  const light = hexToRgb(settings.colorB);
+  const threshold = settings.ditherThreshold;
+  const diffusion = diffusionKernels[settings.ditherAlgo];
+  const matrix = orderedMatrix(settings);
+
+  scan(w, h, settings.serpentine && diffusion, onRow, (x, y, dir) => {
+    const i = y * w + x;
+    let isLight = false;
+
+    if (matrix) {
+      const level = Math.floor((grayBuffer[i] / 255) * (matrix.levels + 1));
+      isLight = level > matrix.values[(y % matrix.size) * matrix.size + x % matrix.size];
+    }
+    else if (!diffusion) {
+      isLight = grayBuffer[i] > threshold;
+    }
+    else {
+      const oldVal = grayBuffer[i];
+      const newVal = oldVal > threshold ? 255 : 0;
+      const error = oldVal - newVal;
+      isLight = newVal === 255;
+      for (const [dx, dy, weight] of diffusion) {
+        const nx = x + dx * dir, ny = y + dy;
+        if (nx >= 0 && nx < w && ny < h) grayBuffer[ny * w + nx] += error * weight;
+      }
+    }
+
+    const idx = i * 4;
+    if (settings.ditherType === 'random' && isLight) {
+      const col = vibrantColors[Math.floor(hash2d(x, y, seed) * vibrantColors.length)];
+      data[idx]=col.r; data[idx+1]=col.g; data[idx+2]=col.b;
+    } else {
+      const t = isLight ? light : dark;
+      if (settings.ditherType === 'bw') { const v = isLight?255:0; data[idx]=v; data[idx+1]=v; data[idx+2]=v; }
+      else { data[idx]=t.r; data[idx+1]=t.g; data[idx+2]=t.b; }
+    }
+    data[idx+3] = 255;
+  });
+  return output;
+};
+
+// --- DITHER ---
+export default {
+  id: 'dither',
+  label: 'Dither',
+  params: [
+    { key: 'ditherAlgo', label: 'Algorithm', type: 'select', options: [
+      { value: 'floyd', label: 'Floyd-Steinberg' },
+      { value: 'atkinson', label: 'Atkinson' },
+      { value: 'jarvis', label: 'Jarvis-Judice-Ninke' },
+      { value: 'stucki', label: 'Stucki' },
+      { value: 'burkes', label: 'Burkes' },
+      { value: 'sierra', label: 'Sierra' },
+      { value: 'sierraLite', label: 'Sierra Lite' },
+      { value: 'bayer', label: 'Bayer (Ordered)' },
+      { value: 'bluenoise', label: 'Blue Noise' },
+      { value: 'clustered', label: 'Clustered Dot' },
+      { value: 'threshold', label: 'Threshold' }
+    ], default: 'floyd' },
+    { key: 'bayerSize', label: 'Matrix', type: 'segmented', options: [{ value: 2, label: '2x2' }, { value: 4, label: '4x4' }, { value: 8, label: '8x8' }, { value: 16, label: '16x16' }], default: 4, visibleIf: (s) => s.ditherAlgo === 'bayer' },
+    { key: 'serpentine', label: 'Serpentine', type: 'toggle', default: false, visibleIf: (s) => s.ditherAlgo in diffusionKernels },
+    { key: 'ditherPixelSize', label: 'Cell Size', type: 'range', min: 1, max: 16, unit: 'px', scales: true, default: 1 },
+    { key: 'ditherType', label: 'Colors', type: 'select', options: [{ value: 'bw', label: 'Black & White' }, { value: 'duotone', label: 'Duotone' }, { value: 'random', label: 'Random' }, { value: 'palette', label: 'Palette' }], default: 'bw' },
+    { key: 'palette', label: 'Palette', type: 'select', options: [...Object.entries(builtinPalettes).map(([value, { label }]) => ({ value, label })), { value: 'auto', label: 'Auto (from image)' }, { value: 'custom', label: 'Imported' }], default: 'pico8', visibleIf: (s) => s.ditherType === 'palette' },
+    { key: 'paletteMethod', label: 'Extraction', type: 'segmented', options: [{ value: 'median', label: 'Median Cut' }, { value: 'kmeans', label: 'K-Means' }], default: 'median', visibleIf: (s) => s.ditherType === 'palette' && s.palette === 'auto' },
+    { key: 'paletteSize', label: 'Palette Size', type: 'range', min: 2, max: 64, default: 8, visibleIf: (s) => s.ditherType === 'palette' && s.palette === 'auto' },
+    { key: 'customPalette', label: 'Imported Palette', type: 'palette', default: [], visibleIf: (s) => s.ditherType === 'palette' && s.palette === 'custom' },
+    { key: 'ditherThreshold', label: 'Threshold', type: 'range', min: 0, max: 255, default: 128, visibleIf: (s) => s.ditherType !== 'palette' },
+    { key: 'colorA', label: 'Dark', type: 'color', default: '#000000', visibleIf: (s) => s.ditherType === 'duotone' },
+    { key: 'colorB', label: 'Light', type: 'color', default: '#ffffff', visibleIf: (s) => s.ditherType === 'duotone' },
+  ],
+  apply: (image, settings, { onRow = () => {}, seed = 0 } = {}) => {
+    // Dither a block-averaged copy so each dot covers a whole cell
+    const cell = Math.max(1, settings.ditherPixelSize || 1);
+    const work = cell > 1 ? downsample(image, cell) : cloneImageData(image);
+    const output = settings.ditherType === 'palette'
+      ? ditherToPalette(work, resolvePalette(work, settings), settings, onRow)
+      : ditherTwoTone(work, settings, seed, onRow);
+    return cell > 1 ? upscale(output, image.width, image.height) : output;
+  }
+};
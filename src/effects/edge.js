@@ -0,0 +1,152 @@
+import { hexToRgb, getLuminance, hslToRgb } from './utils/color.js';
+import { createImageData } from './utils/imageData.js';
+import { blurPlane } from './utils/blur.js';
+
+// Gradient kernels as [a, b]: the [-1, 0, 1] derivative along one axis is smoothed with
+// [a, b, a] across it. Gains are normalized to Sobel's so the threshold means the same.
+const gradientKernels = {
+  sobel: [1, 2],
+  prewitt: [1, 1],
+  scharr: [3, 10],
+};
+
+const isCanny = (s) => s.edgeOperator === 'canny';
+
+// --- EDGE DETECTION ---
+export default {
+  id: 'edge',
+  label: 'Edge',
+  params: [
+    { key: 'edgeOperator', label: 'Operator', type: 'select', options: [
+      { value: 'sobel', label: 'Sobel' },
+      { value: 'prewitt', label: 'Prewitt' },
+      { value: 'scharr', label: 'Scharr' },
+      { value: 'log', label: 'Laplacian of Gaussian' },
+      { value: 'canny', label: 'Canny' }
+    ], default: 'sobel' },
+    { key: 'edgeBlur', label: 'Pre-Blur', type: 'range', min: 0, max: 20, unit: 'px', scales: true, default: 0 },
+    { key: 'edgeThreshold', label: 'Threshold', type: 'range', min: 5, max: 100, default: 30 },
+    { key: 'edgeLow', label: 'Low Threshold', type: 'range', min: 10, max: 100, unit: '%', default: 40, visibleIf: isCanny },
+    { key: 'edgeThickness', label: 'Line Weight', type: 'range', min: 1, max: 8, unit: 'px', scales: true, default: 1 },
+    { key: 'edgeMode', label: 'Mode', type: 'select', options: [{ value: 'color', label: 'Neon' }, { value: 'white', label: 'White' }, { value: 'direction', label: 'Direction Hue' }], default: 'color' },
+    { key: 'edgeColor', label: 'Color', type: 'color', default: '#00ff00', visibleIf: (s) => s.edgeMode === 'color' },
+    { key: 'edgeComposite', label: 'Background', type: 'segmented', options: [{ value: 'replace', label: 'Black' }, { value: 'overlay', label: 'Source' }], default: 'replace' },
+  ],
+  // LoG and Canny always smooth a little first, as both are meant to run on a blurred image.
+  // LoG marks zero crossings of the Laplacian; Canny thins the Sobel gradient to one-pixel
+  // ridges and keeps weak ridges only where they connect to strong ones.
+  apply: (image, settings, { onRow = () => {} } = {}) => {
+    const { width: w, height: h, data } = image;
+    const size = w * h;
+    const operator = settings.edgeOperator || 'sobel';
+    const smoothing = operator === 'log' || operator === 'canny';
+    const grayscale = new Float32Array(size);
+    for (let i = 0; i < size; i++) grayscale[i] = getLuminance(data[i*4], data[i*4+1], data[i*4+2]);
+    const blurRadius = Math.round((settings.edgeBlur || 0) / 2);
+    if (blurRadius > 0 || smoothing) blurPlane(grayscale, w, h, Math.max(smoothing ? 1 : 0, blurRadius));
+
+    // Clamp to the nearest pixel so the image border isn't read as an edge
+    const getP = (x, y) => grayscale[Math.min(h-1, Math.max(0, y))*w + Math.min(w-1, Math.max(0, x))];
+    const thresh = settings.edgeThreshold;
+    const [a, b] = gradientKernels[operator] || gradientKernels.sobel;
+    const gain = 4 / (2 * a + b);
+    const magnitude = new Float32Array(size), angle = new Float32Array(size);
+    for (let y = 0; y < h; y++) {
+      onRow(y, h * 2);
+      for (let x = 0; x < w; x++) {
+        const gx = (a * (getP(x+1,y-1) - getP(x-1,y-1)) + b * (getP(x+1,y) - getP(x-1,y)) + a * (getP(x+1,y+1) - getP(x-1,y+1))) * gain;
+        const gy = (a * (getP(x-1,y+1) - getP(x-1,y-1)) + b * (getP(x,y+1) - getP(x,y-1)) + a * (getP(x+1,y+1) - getP(x+1,y-1))) * gain;
+        magnitude[y*w+x] = Math.sqrt(gx*gx + gy*gy);
+        angle[y*w+x] = Math.atan2(gy, gx);
+      }
+    }
+
+    const edges = new Uint8Array(size);
+    if (operator === 'log') {
+      const laplacian = new Float32Array(size);
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) laplacian[y*w+x] = getP(x-1,y) + getP(x+1,y) + getP(x,y-1) + getP(x,y+1) - 4 * getP(x,y);
+      }
+      // A crossing counts when the Laplacian flips sign steeply enough toward a right or lower neighbour
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          const i = y*w+x, v = laplacian[i];
+          const right = x < w-1 ? laplacian[i+1] : v, down = y < h-1 ? laplacian[i+w] : v;
+          if ((v * right < 0 && Math.abs(v - right) > thresh / 2) || (v * down < 0 && Math.abs(v - down) > thresh / 2)) edges[i] = 1;
+        }
+      }
+    } else if (operator === 'canny') {
+      // Non-maximum suppression along the gradient, quantized to 4 directions
+      const ridge = new Float32Array(size);
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          const i = y*w+x, m = magnitude[i];
+          if (m === 0) continue;
+          const sector = Math.round(((angle[i] + Math.PI) / Math.PI) * 4) % 4;
+          const [dx, dy] = [[1, 0], [1, 1], [0, 1], [-1, 1]][sector];
+          const at = (px, py) => magnitude[Math.min(h-1, Math.max(0, py))*w + Math.min(w-1, Math.max(0, px))];
+          if (m >= at(x+dx, y+dy) && m > at(x-dx, y-dy)) ridge[i] = m;
+        }
+      }
+      // Hysteresis: flood from strong ridge pixels through connected weak ones
+      const low = thresh * (settings.edgeLow ?? 40) / 100;
+      const stack = [];
+      for (let i = 0; i < size; i++) if (ridge[i] > thresh) { edges[i] = 1; stack.push(i); }
+      while (stack.length) {
+        const i = stack.pop(), x = i % w, y = (i - x) / w;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx, ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
+            const n = ny*w+nx;
+            if (!edges[n] && ridge[n] > low) { edges[n] = 1; stack.push(n); }
+          }
+        }
+      }
+    } else {
+      for (let i = 0; i < size; i++) if (magnitude[i] > thresh) edges[i] = 1;
+    }
+
+    // Thicken each edge pixel to a round pen of `edgeThickness` pixels
+    const thickness = Math.max(1, settings.edgeThickness || 1);
+    const from = -Math.floor((thickness - 1) / 2), to = Math.ceil((thickness - 1) / 2);
+    const pen = [];
+    for (let dy = from; dy <= to; dy++) {
+      for (let dx = from; dx <= to; dx++) {
+        const cx = dx - (from + to) / 2, cy = dy - (from + to) / 2;
+        if (thickness < 3 || cx * cx + cy * cy <= (thickness / 2) ** 2) pen.push([dx, dy]);
+      }
+    }
+    const owner = new Int32Array(size).fill(-1);
+    for (let i = 0; i < size; i++) {
+      if (!edges[i]) continue;
+      const x = i % w, y = (i - x) / w;
+      for (const [dx, dy] of pen) {
+        const nx = x + dx, ny = y + dy;
+        if (nx >= 0 && ny >= 0 && nx < w && ny < h) owner[ny*w+nx] = i;
+      }
+    }
+
+    const output = createImageData(w, h);
+    const out = output.data;
+    const neon = hexToRgb(settings.edgeColor) || { r: 0, g: 255, b: 0 };
+    const overlay = settings.edgeComposite === 'overlay';
+    for (let y = 0; y < h; y++) {
+      onRow(h + y, h * 2);
+      for (let x = 0; x < w; x++) {
+        const p = y*w+x, i = p*4, src = owner[p];
+        out[i+3] = 255;
+        if (src === -1) {
+          if (overlay) { out[i]=data[i]; out[i+1]=data[i+1]; out[i+2]=data[i+2]; }
+          continue;
+        }
+        if (settings.edgeMode === 'direction') {
+          const [r, g, bl] = hslToRgb(angle[src] * 180 / Math.PI, 1, 0.5);
+          out[i]=r; out[i+1]=g; out[i+2]=bl;
+        } else if (settings.edgeMode === 'color') { out[i]=neon.r; out[i+1]=neon.g; out[i+2]=neon.b; }
+        else { out[i]=255; out[i+1]=255; out[i+2]=255; }
+      }
+    }
+    return output;
+  }
+};
@@ -0,0 +1,155 @@
+import { getLuminance, hexToRgb, rgbToHsl, hslToRgb } from './utils/color.js';
+import { cloneImageData } from './utils/imageData.js';
+
+export const curveChannels = ['rgb', 'r', 'g', 'b'];
+const identityCurve = [[0, 0], [255, 255]];
+
+// --- Helper: Curve LUT ---
+// Monotone cubic (Fritsch-Carlson) through [x, y] points in 0..255, so the curve never
+// overshoots between points. Outside the first and last point it stays flat.
+export const curveLut = (points = identityCurve) => {
+  const pts = [...points].sort((a, b) => a[0] - b[0]).filter((p, i, all) => i === 0 || p[0] > all[i - 1][0]);
+  const lut = new Float32Array(256);
+  if (pts.length === 0) { lut.forEach((_, i) => { lut[i] = i; }); return lut; }
+  if (pts.length === 1) return lut.fill(pts[0][1]);
+
+  const n = pts.length;
+  const slopes = pts.slice(0, -1).map((p, i) => (pts[i + 1][1] - p[1]) / (pts[i + 1][0] - p[0]));
+  const tangents = pts.map((_, i) => i === 0 ? slopes[0] : i === n - 1 ? slopes[n - 2] : (slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2));
+  for (let i = 0; i < n - 1; i++) {
+    if (slopes[i] === 0) { tangents[i] = tangents[i + 1] = 0; continue; }
+    const a = tangents[i] / slopes[i], b = tangents[i + 1] / slopes[i];
+    const norm = a * a + b * b;
+    if (norm > 9) {
+      const t = 3 / Math.sqrt(norm);
+      tangents[i] = t * a * slopes[i];
+      tangents[i + 1] = t * b * slopes[i];
+    }
+  }
+
+  let segment = 0;
+  for (let x = 0; x < 256; x++) {
+    if (x <= pts[0][0]) { lut[x] = pts[0][1]; continue; }
+    if (x >= pts[n - 1][0]) { lut[x] = pts[n - 1][1]; continue; }
+    while (x > pts[segment + 1][0]) segment++;
+    const [x0, y0] = pts[segment], [x1, y1] = pts[segment + 1];
+    const hw = x1 - x0, t = (x - x0) / hw;
+    const t2 = t * t, t3 = t2 * t;
+    lut[x] = (2 * t3 - 3 * t2 + 1) * y0 + (t3 - 2 * t2 + t) * hw * tangents[segment]
+      + (-2 * t3 + 3 * t2) * y1 + (t3 - t2) * hw * tangents[segment + 1];
+  }
+  return lut.map(v => Math.min(255, Math.max(0, v)));
+};
+
+// --- Helper: Color Ramp ---
+// `stops` are { at: 0..100, color: '#rrggbb' }; returns a 256-entry [r, g, b] lookup
+export const rampLut = (stops) => {
+  const sorted = stops.map(s => ({ at: s.at, rgb: hexToRgb(s.color) })).filter(s => s.rgb).sort((a, b) => a.at - b.at);
+  const lut = new Float32Array(256 * 3);
+  if (!sorted.length) return lut;
+  for (let i = 0; i < 256; i++) {
+    const at = i / 255 * 100;
+    const next = sorted.findIndex(s => s.at >= at);
+    let rgb;
+    if (next === 0) rgb = sorted[0].rgb;
+    else if (next === -1) rgb = sorted[sorted.length - 1].rgb;
+    else {
+      const a = sorted[next - 1], b = sorted[next];
+      const t = b.at === a.at ? 1 : (at - a.at) / (b.at - a.at);
+      rgb = { r: a.rgb.r + (b.rgb.r - a.rgb.r) * t, g: a.rgb.g + (b.rgb.g - a.rgb.g) * t, b: a.rgb.b + (b.rgb.b - a.rgb.b) * t };
+    }
+    lut[i * 3] = rgb.r; lut[i * 3 + 1] = rgb.g; lut[i * 3 + 2] = rgb.b;
+  }
+  return lut;
+};
+
+const rampStops = (settings) => {
+  if (settings.gradeMap === 'duotone') return [{ at: 0, color: settings.mapShadow }, { at: 100, color: settings.mapHighlight }];
+  if (settings.gradeMap === 'tritone') return [{ at: 0, color: settings.mapShadow }, { at: 50, color: settings.mapMidtone }, { at: 100, color: settings.mapHighlight }];
+  return settings.mapGradient || [];
+};
+
+const isMapped = (s) => s.gradeMap && s.gradeMap !== 'none';
+const usesTones = (s) => s.gradeMap === 'duotone' || s.gradeMap === 'tritone';
+
+// --- COLOR GRADE ---
+export default {
+  id: 'grade',
+  label: 'Grade',
+  params: [
+    { key: 'levelsBlack', label: 'Black Point', type: 'range', min: 0, max: 254, default: 0 },
+    { key: 'levelsWhite', label: 'White Point', type: 'range', min: 1, max: 255, default: 255 },
+    { key: 'levelsGamma', label: 'Gamma', type: 'range', min: 0.1, max: 3, step: 0.05, default: 1 },
+    { key: 'curves', label: 'Curves', type: 'curve', default: Object.fromEntries(curveChannels.map(c => [c, identityCurve])) },
+    { key: 'hue', label: 'Hue', type: 'range', min: -180, max: 180, unit: '°', default: 0 },
+    { key: 'saturation', label: 'Saturation', type: 'range', min: -100, max: 100, default: 0 },
+    { key: 'lightness', label: 'Lightness', type: 'range', min: -100, max: 100, default: 0 },
+    { key: 'gradeMap', label: 'Color Map', type: 'select', options: [
+      { value: 'none', label: 'No Color Map' },
+      { value: 'duotone', label: 'Duotone' },
+      { value: 'tritone', label: 'Tritone' },
+      { value: 'gradient', label: 'Gradient Map' }
+    ], default: 'none' },
+    { key: 'mapShadow', label: 'Shadows', type: 'color', default: '#1b1b4b', visibleIf: usesTones },
+    { key: 'mapMidtone', label: 'Midtones', type: 'color', default: '#d6336c', visibleIf: (s) => s.gradeMap === 'tritone' },
+    { key: 'mapHighlight', label: 'Highlights', type: 'color', default: '#ffe066', visibleIf: usesTones },
+    { key: 'mapGradient', label: 'Gradient', type: 'gradient', default: [{ at: 0, color: '#0d0887' }, { at: 50, color: '#cc4778' }, { at: 100, color: '#f0f921' }], visibleIf: (s) => s.gradeMap === 'gradient' },
+    { key: 'mapAmount', label: 'Map Amount', type: 'range', min: 0, max: 100, unit: '%', default: 100, visibleIf: isMapped },
+    { key: 'posterize', label: 'Posterize', type: 'range', min: 0, max: 32, default: 0 },
+    { key: 'gradeInvert', label: 'Invert', type: 'toggle', default: false },
+  ],
+  // Runs levels → curves (master, then per channel) → HSL → color map → posterize → invert.
+  // Posterize below 2 levels is off.
+  apply: (image, settings, { onRow = () => {} } = {}) => {
+    const output = cloneImageData(image);
+    const { width: w, height: h, data } = output;
+
+    // Levels and curves fold into one lookup per channel
+    const black = Math.min(settings.levelsBlack, settings.levelsWhite - 1), white = settings.levelsWhite;
+    const gamma = Math.max(0.01, settings.levelsGamma);
+    const curves = settings.curves || {};
+    const master = curveLut(curves.rgb);
+    const luts = ['r', 'g', 'b'].map(channel => {
+      const curve = curveLut(curves[channel]);
+      const lut = new Float32Array(256);
+      for (let v = 0; v < 256; v++) {
+        const level = 255 * Math.pow(Math.min(1, Math.max(0, (v - black) / (white - black))), 1 / gamma);
+        const m = master[Math.round(level)];
+        lut[v] = curve[Math.round(m)];
+      }
+      return lut;
+    });
+
+    const hue = settings.hue, sat = settings.saturation / 100, light = settings.lightness / 100;
+    const adjustHsl = hue !== 0 || sat !== 0 || light !== 0;
+    const ramp = isMapped(settings) ? rampLut(rampStops(settings)) : null;
+    const mapAmount = (settings.mapAmount ?? 100) / 100;
+    const levels = settings.posterize >= 2 ? settings.posterize - 1 : 0;
+
+    for (let y = 0; y < h; y++) {
+      onRow(y, h);
+      for (let i = y * w * 4; i < (y + 1) * w * 4; i += 4) {
+        let r = luts[0][data[i]], g = luts[1][data[i+1]], b = luts[2][data[i+2]];
+        if (adjustHsl) {
+          let [hh, s, l] = rgbToHsl(r, g, b);
+          hh += hue;
+          s = sat > 0 ? s + (1 - s) * sat : s * (1 + sat);
+          l = light > 0 ? l + (1 - l) * light : l * (1 + light);
+          [r, g, b] = hslToRgb(hh, s, l);
+        }
+        if (ramp) {
+          const t = Math.round(Math.min(255, Math.max(0, getLuminance(r, g, b)))) * 3;
+          r += (ramp[t] - r) * mapAmount; g += (ramp[t+1] - g) * mapAmount; b += (ramp[t+2] - b) * mapAmount;
+        }
+        if (levels) {
+          r = Math.round(r / 255 * levels) / levels * 255;
+          g = Math.round(g / 255 * levels) / levels * 255;
+          b = Math.round(b / 255 * levels) / levels * 255;
+        }
+        if (settings.gradeInvert) { r = 255 - r; g = 255 - g; b = 255 - b; }
+        data[i] = r; data[i+1] = g; data[i+2] = b;
+      }
+    }
+    return output;
+  }
+};
@@ -0,0 +1,164 @@
+import { getLuminance, hexToRgb } from './utils/color.js';
+import { createImageData } from './utils/imageData.js';
+
+// Dot shapes as a distance from the cell center (in cells) and the radius that inks
+// fraction `a` of the cell. Round shapes are clipped by the cell once they grow past
+// its edge, so their radius ramps linearly out to the corner from there.
+const roundShape = (stretch) => {
+  const edgeRadius = 0.5 / stretch, edgeArea = Math.PI * stretch * edgeRadius * edgeRadius;
+  const cornerRadius = Math.sqrt(0.25 / (stretch * stretch) + 0.25);
+  return {
+    distance: (u, v) => Math.sqrt((u / stretch) ** 2 + v * v),
+    radius: (a) => a <= edgeArea
+      ? Math.sqrt(a / (Math.PI * stretch))
+      : edgeRadius + (a - edgeArea) / (1 - edgeArea) * (cornerRadius - edgeRadius)
+  };
+};
+
+const dotShapes = {
+  circle: roundShape(1),
+  ellipse: roundShape(1.4),
+  square: { distance: (u, v) => Math.max(Math.abs(u), Math.abs(v)), radius: (a) => Math.sqrt(a) / 2 },
+  diamond: { distance: (u, v) => Math.abs(u) + Math.abs(v), radius: (a) => a <= 0.5 ? Math.sqrt(a / 2) : 1 - Math.sqrt((1 - a) / 2) },
+  line: { distance: (u, v) => Math.abs(v), radius: (a) => a / 2 },
+};
+
+// Renders one screen: `amounts` holds the ink wanted per pixel (0..1). Each cell of the
+// rotated grid averages its pixels and prints one dot, antialiased over a pixel.
+const screen = (amounts, w, h, step, angle, shape) => {
+  const cos = Math.cos(angle * Math.PI / 180), sin = Math.sin(angle * Math.PI / 180);
+  const us = [0, w, 0, w].map((x, k) => (x * cos + (k < 2 ? 0 : h) * sin) / step);
+  const vs = [0, w, 0, w].map((x, k) => (-x * sin + (k < 2 ? 0 : h) * cos) / step);
+  const minU = Math.floor(Math.min(...us)), minV = Math.floor(Math.min(...vs));
+  const cols = Math.floor(Math.max(...us)) - minU + 1, rows = Math.floor(Math.max(...vs)) - minV + 1;
+  const sums = new Float64Array(cols * rows), counts = new Uint32Array(cols * rows);
+  const cells = new Int32Array(w * h), us2 = new Float32Array(w * h), vs2 = new Float32Array(w * h);
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      const u = ((x + 0.5) * cos + (y + 0.5) * sin) / step, v = (-(x + 0.5) * sin + (y + 0.5) * cos) / step;
+      const cu = Math.floor(u), cv = Math.floor(v);
+      const cell = (cv - minV) * cols + (cu - minU);
+      cells[i] = cell; us2[i] = u - cu - 0.5; vs2[i] = v - cv - 0.5;
+      sums[cell] += amounts[i];
+      counts[cell]++;
+    }
+  }
+
+  const coverage = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    const a = Math.min(1, sums[cells[i]] / counts[cells[i]]);
+    if (a <= 0) continue;
+    // The extra half pixel at full ink closes the gaps left by the antialiased edge
+    const radius = shape.radius(a) + a * a * 0.5 / step;
+    const cover = Math.min(1, Math.max(0, (radius - shape.distance(us2[i], vs2[i])) * step + 0.5));
+    // Dots smaller than a pixel fade instead of popping in at full strength
+    coverage[i] = Math.min(cover, a * step * step);
+  }
+  return coverage;
+};
+
+// Plates in printing order with their default screen angles
+const plates = [
+  { key: 'Cyan', angle: 15, ink: '#00aeef' },
+  { key: 'Magenta', angle: 75, ink: '#ec008c' },
+  { key: 'Yellow', angle: 0, ink: '#fff200' },
+  { key: 'Key', angle: 45, ink: '#231f20' },
+];
+
+const isCmyk = (s) => s.halftoneMode === 'cmyk';
+
+// --- HALFTONE ---
+export default {
+  id: 'halftone',
+  label: 'Dot',
+  params: [
+    { key: 'halftoneMode', label: 'Mode', type: 'segmented', options: [{ value: 'mono', label: 'Mono' }, { value: 'cmyk', label: 'CMYK' }], default: 'mono' },
+    { key: 'dotSize', label: 'Dot Size', type: 'range', min: 4, max: 30, unit: 'px', scales: true, default: 8 },
+    { key: 'dotShape', label: 'Dot Shape', type: 'select', options: [
+      { value: 'circle', label: 'Circle' },
+      { value: 'ellipse', label: 'Ellipse' },
+      { value: 'square', label: 'Square' },
+      { value: 'diamond', label: 'Diamond' },
+      { value: 'line', label: 'Line' }
+    ], default: 'circle' },
+    { key: 'halftoneAngle', label: 'Screen Angle', type: 'range', min: 0, max: 90, unit: '°', default: 45, visibleIf: (s) => !isCmyk(s) },
+    ...plates.map(plate => ({ key: `angle${plate.key}`, label: `${plate.key} Angle`, type: 'range', min: 0, max: 90, unit: '°', default: plate.angle, visibleIf: isCmyk })),
+    { key: 'invertHalftone', label: 'Invert', type: 'toggle', default: false, visibleIf: (s) => !isCmyk(s) },
+    { key: 'halftoneInk', label: 'Ink', type: 'color', default: '#000000', visibleIf: (s) => !isCmyk(s) },
+    ...plates.map(plate => ({ key: `ink${plate.key}`, label: plate.key, type: 'color', default: plate.ink, visibleIf: isCmyk })),
+    { key: 'halftonePaper', label: 'Paper', type: 'color', default: '#ffffff' },
+    { key: 'halftoneRegistration', label: 'Misregistration', type: 'range', min: 0, max: 20, unit: 'px', scales: true, default: 0, visibleIf: isCmyk },
+  ],
+  // Mono prints the luminance with one ink; inverted, the paper color is printed onto
+  // a field of ink. CMYK separates with full black replacement and multiplies the inks
+  // over the paper, each plate nudged by its own seeded misregistration.
+  apply: (image, settings, { onRow = () => {}, random = Math.random } = {}) => {
+    const { width: w, height: h, data } = image;
+    const step = Math.max(4, settings.dotSize);
+    const shape = dotShapes[settings.dotShape] || dotShapes.circle;
+    const paper = hexToRgb(settings.halftonePaper) || { r: 255, g: 255, b: 255 };
+    const output = createImageData(w, h);
+    const out = output.data;
+
+    if (!isCmyk(settings)) {
+      const ink = hexToRgb(settings.halftoneInk) || { r: 0, g: 0, b: 0 };
+      const [dot, field] = settings.invertHalftone ? [paper, ink] : [ink, paper];
+      const amounts = new Float32Array(w * h);
+      for (let i = 0; i < w * h; i++) {
+        const lum = getLuminance(data[i*4], data[i*4+1], data[i*4+2]) / 255;
+        amounts[i] = settings.invertHalftone ? lum : 1 - lum;
+      }
+      onRow(0, 1);
+      const coverage = screen(amounts, w, h, step, settings.halftoneAngle ?? 0, shape);
+      for (let i = 0; i < w * h; i++) {
+        const c = coverage[i];
+        out[i*4] = field.r + (dot.r - field.r) * c;
+        out[i*4+1] = field.g + (dot.g - field.g) * c;
+        out[i*4+2] = field.b + (dot.b - field.b) * c;
+        out[i*4+3] = 255;
+      }
+      return output;
+    }
+
+    const separations = plates.map(() => new Float32Array(w * h));
+    for (let i = 0; i < w * h; i++) {
+      const r = data[i*4] / 255, g = data[i*4+1] / 255, b = data[i*4+2] / 255;
+      const k = 1 - Math.max(r, g, b);
+      const rest = k < 1 ? 1 - k : 1;
+      separations[0][i] = (1 - r - k) / rest;
+      separations[1][i] = (1 - g - k) / rest;
+      separations[2][i] = (1 - b - k) / rest;
+      separations[3][i] = k;
+    }
+
+    const color = new Float32Array(w * h * 3);
+    for (let i = 0; i < w * h; i++) { color[i*3] = paper.r; color[i*3+1] = paper.g; color[i*3+2] = paper.b; }
+    const spread = settings.halftoneRegistration || 0;
+    plates.forEach((plate, p) => {
+      onRow(p, plates.length);
+      const coverage = screen(separations[p], w, h, step, settings[`angle${plate.key}`] ?? plate.angle, shape);
+      const ink = hexToRgb(settings[`ink${plate.key}`]) || hexToRgb(plate.ink);
+      const filter = [ink.r / 255, ink.g / 255, ink.b / 255];
+      const direction = random() * Math.PI * 2, distance = spread * (0.5 + random() / 2);
+      const dx = Math.round(Math.cos(direction) * distance), dy = Math.round(Math.sin(direction) * distance);
+      for (let y = 0; y < h; y++) {
+        const sy = y - dy;
+        if (sy < 0 || sy >= h) continue;
+        for (let x = 0; x < w; x++) {
+          const sx = x - dx;
+          if (sx < 0 || sx >= w) continue;
+          const c = coverage[sy * w + sx];
+          if (c === 0) continue;
+          const o = (y * w + x) * 3;
+          for (let ch = 0; ch < 3; ch++) color[o + ch] *= 1 - c * (1 - filter[ch]);
+        }
+      }
+    });
+    for (let i = 0; i < w * h; i++) {
+      out[i*4] = color[i*3]; out[i*4+1] = color[i*3+1]; out[i*4+2] = color[i*3+2]; out[i*4+3] = 255;
+    }
+    return output;
+  }
+};
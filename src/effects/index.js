@@ -0,0 +1,17 @@
+// --- Effects Library ---
+// Headless entry point: no DOM or React needed, so it runs in the worker and under Node.
+export { effects, effectRegistry, getEffectDefaults, scaleSettings } from './registry.js';
+export { runPipeline } from './pipeline.js';
+export { aspectRatios, defaultTransform, normalizeTransform, isIdentityTransform, cropRect, transformedSize, applyTransform } from './transform.js';
+export { createMask, cloneMask, invertMask, featherMask, paintStroke, maskFromLuminance, maskFromEdges, resampleMask, encodeMask, decodeMask } from './masks.js';
+export { blendModes, blendPixels } from './utils/blend.js';
+export { createImageData, cloneImageData } from './utils/imageData.js';
+export { lfoWaves, evaluateTrack, isAnimated, resolveLayersAt } from './animation.js';
+export { medianCut, kMeans, createNearestColor } from './utils/quantize.js';
+export { builtinPalettes, parsePaletteFile } from './utils/palettes.js';
+export { curveChannels, curveLut, rampLut } from './grade.js';
+export { outlineContours, outlineToSvg } from './outline.js';
+export { asciiGrid, asciiToText, asciiToAnsi } from './ascii.js';
+export { traceContours, simplifyContour, smoothContour } from './utils/contours.js';
+export { encodeJpeg, decodeJpeg, corruptJpeg } from './utils/jpeg.js';
+export { createRandom, mixSeed, hash2d } from './utils/random.js';
@@ -0,0 +1,73 @@
+import { createImageData } from './utils/imageData.js';
+import { encodeJpeg, decodeJpeg, corruptJpeg } from './utils/jpeg.js';
+import { createRandom, mixSeed } from './utils/random.js';
+
+// How far a corrupted byte smears: to the end of the image, the MCU row, or a few blocks
+const restartIntervals = { image: () => 0, row: (mcusPerRow) => mcusPerRow, block: () => 4 };
+
+// Pads the top-left edge by `offset` pixels, so the next encode lands on a shifted 8x8 grid
+const shiftGrid = (image, offset) => {
+  const { width: w, height: h } = image;
+  const output = createImageData(w + offset, h + offset);
+  const src = new Uint32Array(image.data.buffer, image.data.byteOffset, w * h);
+  const out = new Uint32Array(output.data.buffer);
+  for (let y = 0; y < h + offset; y++) {
+    const row = Math.max(0, y - offset) * w;
+    for (let x = 0; x < w + offset; x++) out[y * (w + offset) + x] = src[row + Math.max(0, x - offset)];
+  }
+  return output;
+};
+
+const cropGrid = (image, offset, w, h) => {
+  const output = createImageData(w, h);
+  for (let y = 0; y < h; y++) {
+    const from = ((y + offset) * image.width + offset) * 4;
+    output.data.set(image.data.subarray(from, from + w * 4), y * w * 4);
+  }
+  return output;
+};
+
+// --- JPEG DATAMOSH ---
+export default {
+  id: 'jpeg',
+  label: 'JPEG',
+  params: [
+    { key: 'jpegQuality', label: 'Quality', type: 'range', min: 1, max: 100, default: 15 },
+    { key: 'jpegGenerations', label: 'Re-encodes', type: 'range', min: 1, max: 10, default: 1 },
+    { key: 'jpegCorruption', label: 'Corruption', type: 'range', min: 0, max: 100, unit: '%', default: 20 },
+    { key: 'jpegSpread', label: 'Damage Spread', type: 'segmented', options: [
+      { value: 'image', label: 'Image' },
+      { value: 'row', label: 'Row' },
+      { value: 'block', label: 'Blocks' }
+    ], default: 'row', visibleIf: (s) => s.jpegCorruption > 0 },
+    { key: 'jpegVariation', label: 'Variation', type: 'range', min: 0, max: 99, default: 0, visibleIf: (s) => s.jpegCorruption > 0 },
+    { key: 'jpegSubsample', label: 'Chroma Subsampling', type: 'toggle', default: true },
+  ],
+  // Each re-encode shifts the block grid, as re-saving a cropped copy would, so the
+  // artifacts compound instead of settling. Corruption hits the last generation's
+  // entropy-coded data only, so the file always decodes.
+  apply: (image, settings, { onRow = () => {}, seed = 0 } = {}) => {
+    const { width: w, height: h } = image;
+    const generations = Math.max(1, settings.jpegGenerations);
+    const subsample = settings.jpegSubsample;
+    let current = image;
+
+    for (let g = 0; g < generations; g++) {
+      onRow(g, generations);
+      const offset = (g * 3) % 8;
+      const last = g === generations - 1;
+      const source = offset ? shiftGrid(current, offset) : current;
+      const mcusPerRow = Math.ceil(source.width / (subsample ? 16 : 8));
+      const restartInterval = last ? (restartIntervals[settings.jpegSpread] || restartIntervals.row)(mcusPerRow) : 0;
+      let bytes = encodeJpeg(source, { quality: settings.jpegQuality, subsample, restartInterval });
+      if (last && settings.jpegCorruption > 0) {
+        // Up to one byte in 500 of the scan data at 100%
+        const rate = settings.jpegCorruption / 100 * 0.002;
+        bytes = corruptJpeg(bytes, rate, createRandom(mixSeed(seed, settings.jpegVariation)));
+      }
+      const decoded = decodeJpeg(bytes);
+      current = offset ? cropGrid(decoded, offset, w, h) : decoded;
+    }
+    return current;
+  }
+};
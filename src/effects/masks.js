@@ -0,0 +1,135 @@
+import { getLuminance } from './utils/color.js';
+import { blurPlane } from './utils/blur.js';
+import { effectRegistry, getEffectDefaults } from './registry.js';
+
+// --- Masks ---
+// A mask is { width, height, data } with one byte per pixel: 0 leaves a layer's
+// input untouched, 255 shows the layer fully. Masks are painted on the preview
+// proxy and resampled to whatever resolution the pipeline runs at.
+
+export const createMask = (width, height, fill = 0) => ({
+  width,
+  height,
+  data: new Uint8Array(width * height).fill(fill)
+});
+
+export const cloneMask = (mask) => ({ width: mask.width, height: mask.height, data: new Uint8Array(mask.data) });
+
+export const invertMask = (mask) => {
+  const output = cloneMask(mask);
+  for (let i = 0; i < output.data.length; i++) output.data[i] = 255 - output.data[i];
+  return output;
+};
+
+// Three box blurs approximate a Gaussian of roughly `radius` pixels
+export const featherMask = (mask, radius) => {
+  const { width: w, height: h } = mask;
+  const plane = blurPlane(new Float32Array(mask.data), w, h, Math.max(1, Math.round(radius / 2)));
+  const output = createMask(w, h);
+  for (let i = 0; i < w * h; i++) output.data[i] = Math.round(plane[i]);
+  return output;
+};
+
+// Paints a soft round brush along a segment; `value` 255 paints, 0 erases.
+// `hardness` (0..1) is the part of the radius at full strength.
+export const paintStroke = (mask, x0, y0, x1, y1, { radius, value = 255, hardness = 0.6 }) => {
+  const { width: w, height: h, data } = mask;
+  const minX = Math.max(0, Math.floor(Math.min(x0, x1) - radius)), maxX = Math.min(w - 1, Math.ceil(Math.max(x0, x1) + radius));
+  const minY = Math.max(0, Math.floor(Math.min(y0, y1) - radius)), maxY = Math.min(h - 1, Math.ceil(Math.max(y0, y1) + radius));
+  const dx = x1 - x0, dy = y1 - y0;
+  const lengthSq = dx * dx + dy * dy;
+  const inner = radius * hardness;
+
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      // Distance from the pixel center to the segment
+      const px = x + 0.5 - x0, py = y + 0.5 - y0;
+      const t = lengthSq ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+      const ex = px - t * dx, ey = py - t * dy;
+      const dist = Math.sqrt(ex * ex + ey * ey);
+      if (dist >= radius) continue;
+      const strength = dist <= inner ? 1 : 1 - (dist - inner) / (radius - inner);
+      const i = y * w + x;
+      data[i] = Math.round(data[i] + (value - data[i]) * strength);
+    }
+  }
+  return mask;
+};
+
+// Full strength between `low` and `high`, fading out over `softness` levels on either side
+export const maskFromLuminance = (image, low, high, softness = 0) => {
+  const { width: w, height: h, data } = image;
+  const mask = createMask(w, h);
+  for (let i = 0; i < w * h; i++) {
+    const lum = getLuminance(data[i*4], data[i*4+1], data[i*4+2]);
+    const outside = lum < low ? low - lum : lum > high ? lum - high : 0;
+    mask.data[i] = outside === 0 ? 255 : softness > 0 ? Math.max(0, Math.round(255 * (1 - outside / softness))) : 0;
+  }
+  return mask;
+};
+
+// Runs the edge layer in white mode, so the mask follows what that layer would draw
+export const maskFromEdges = (image, edgeThreshold) => {
+  const edges = effectRegistry.edge.apply(image, { ...getEffectDefaults('edge'), edgeThreshold, edgeMode: 'white' });
+  const mask = createMask(image.width, image.height);
+  for (let i = 0; i < mask.data.length; i++) mask.data[i] = edges.data[i * 4];
+  return mask;
+};
+
+// Bilinear resample, used when the pipeline runs at another resolution than the mask
+export const resampleMask = (mask, width, height) => {
+  if (mask.width === width && mask.height === height) return mask;
+  const output = createMask(width, height);
+  const { width: mw, height: mh, data } = mask;
+  for (let y = 0; y < height; y++) {
+    const sy = Math.max(0, Math.min(mh - 1, (y + 0.5) * mh / height - 0.5));
+    const y0 = Math.floor(sy), y1 = Math.min(mh - 1, y0 + 1), fy = sy - y0;
+    for (let x = 0; x < width; x++) {
+      const sx = Math.max(0, Math.min(mw - 1, (x + 0.5) * mw / width - 0.5));
+      const x0 = Math.floor(sx), x1 = Math.min(mw - 1, x0 + 1), fx = sx - x0;
+      const top = data[y0 * mw + x0] * (1 - fx) + data[y0 * mw + x1] * fx;
+      const bottom = data[y1 * mw + x0] * (1 - fx) + data[y1 * mw + x1] * fx;
+      output.data[y * width + x] = Math.round(top * (1 - fy) + bottom * fy);
+    }
+  }
+  return output;
+};
+
+// --- Mask Serialization ---
+// Run-length encoded as [value, LEB128 run length] pairs, then base64, so painted
+// masks stay small enough for localStorage presets.
+export const encodeMask = (mask) => {
+  const bytes = [];
+  const { data } = mask;
+  for (let i = 0; i < data.length;) {
+    let run = 1;
+    while (i + run < data.length && data[i + run] === data[i]) run++;
+    bytes.push(data[i]);
+    for (let n = run; ; n >>>= 7) {
+      if (n < 0x80) { bytes.push(n); break; }
+      bytes.push((n & 0x7F) | 0x80);
+    }
+    i += run;
+  }
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.slice(i, i + 0x8000));
+  return { width: mask.width, height: mask.height, rle: btoa(binary) };
+};
+
+export const decodeMask = ({ width, height, rle }) => {
+  const binary = atob(rle);
+  const mask = createMask(width, height);
+  let p = 0;
+  for (let i = 0; i < binary.length;) {
+    const value = binary.charCodeAt(i++);
+    let run = 0;
+    for (let shift = 0; ; shift += 7) {
+      const byte = binary.charCodeAt(i++);
+      run |= (byte & 0x7F) << shift;
+      if (byte < 0x80) break;
+    }
+    mask.data.fill(value, p, Math.min(p + run, mask.data.length));
+    p += run;
+  }
+  return mask;
+};
@@ -0,0 +1,101 @@
+import { hexToRgb, getLuminance } from './utils/color.js';
+import { createImageData } from './utils/imageData.js';
+import { traceContours, contourLength, simplifyContour, smoothContour, strokeContour, contourPathData } from './utils/contours.js';
+
+// Traces the band boundaries of the posterized luminance as smoothed iso-lines.
+// Contours shorter than `outlineMinLength` are dropped as specks.
+export const outlineContours = (image, settings) => {
+  const { width: w, height: h, data } = image;
+  const contrast = settings.outlineContrast;
+  const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+  const levels = Math.max(2, settings.outlineLevels);
+  const levelStep = 255 / (levels - 1);
+  const field = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    const gray = contrastFactor * (getLuminance(data[i*4], data[i*4+1], data[i*4+2]) - 128) + 128;
+    field[i] = Math.max(0, Math.min(255, gray));
+  }
+
+  // Bands round to the nearest level, so their boundaries sit halfway between levels
+  const contours = [];
+  for (let k = 0; k < levels - 1; k++) {
+    traceContours(field, w, h, (k + 0.5) * levelStep).forEach(contour => {
+      if (contourLength(contour) < (settings.outlineMinLength ?? 0)) return;
+      contours.push(smoothContour(simplifyContour(contour, 0.4), settings.outlineSmoothing ?? 2));
+    });
+  }
+  return contours;
+};
+
+// Echo offsets, farthest first
+const echoOffsets = (settings) => Array.from({ length: settings.outlineOffsetCount }, (_, i) => {
+  const k = settings.outlineOffsetCount - i;
+  return [settings.outlineOffsetX * k, settings.outlineOffsetY * k];
+});
+
+// The same drawing as a standalone SVG, for plotters and laser cutters. Echoes are
+// translated copies at 60% opacity, matching the raster output.
+export const outlineToSvg = (image, settings) => {
+  const { width: w, height: h } = image;
+  const contours = outlineContours(image, settings);
+  const paths = contours.map(contour => `<path d="${contourPathData(contour)}"/>`).join('\n');
+  const echoes = echoOffsets(settings).map(([ox, oy]) =>
+    `<g stroke="${settings.outlineOffsetColor}" stroke-opacity="0.6" transform="translate(${ox} ${oy})">\n${paths}\n</g>`
+  );
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+    `<rect width="${w}" height="${h}" fill="${settings.outlineBg}"/>`,
+    `<g fill="none" stroke-width="${settings.outlineThickness}" stroke-linecap="round" stroke-linejoin="round">`,
+    ...echoes,
+    `<g stroke="${settings.outlineColor}">\n${paths}\n</g>`,
+    '</g>',
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+// --- OUTLINE ---
+export default {
+  id: 'outline',
+  label: 'Blueprint',
+  params: [
+    { key: 'outlineContrast', label: 'Contrast', type: 'range', min: 0, max: 200, default: 50 },
+    { key: 'outlineLevels', label: 'Levels', type: 'range', min: 2, max: 6, default: 3 },
+    { key: 'outlineThickness', label: 'Thickness', type: 'range', min: 1, max: 8, unit: 'px', scales: true, default: 2 },
+    { key: 'outlineSmoothing', label: 'Smoothing', type: 'range', min: 0, max: 4, default: 2 },
+    { key: 'outlineMinLength', label: 'Min Length', type: 'range', min: 0, max: 100, unit: 'px', scales: true, default: 8 },
+    { key: 'outlineOffsetCount', label: 'Offsets', type: 'range', min: 0, max: 5, default: 0 },
+    { key: 'outlineOffsetX', label: 'Offset X', type: 'range', min: -50, max: 50, unit: 'px', scales: true, default: 10, visibleIf: (s) => s.outlineOffsetCount > 0 },
+    { key: 'outlineOffsetY', label: 'Offset Y', type: 'range', min: -50, max: 50, unit: 'px', scales: true, default: 10, visibleIf: (s) => s.outlineOffsetCount > 0 },
+    { key: 'outlineBg', label: 'Background', type: 'color', default: '#1a1a1a' },
+    { key: 'outlineColor', label: 'Line', type: 'color', default: '#ffffff' },
+    { key: 'outlineOffsetColor', label: 'Echo', type: 'color', default: '#ff0055', visibleIf: (s) => s.outlineOffsetCount > 0 },
+  ],
+  apply: (image, settings, { onRow = () => {} } = {}) => {
+    const { width: w, height: h } = image;
+    const contours = outlineContours(image, settings);
+    const output = createImageData(w, h);
+    const out = output.data;
+    const bg = hexToRgb(settings.outlineBg);
+    for (let i = 0; i < out.length; i += 4) {
+      out[i] = bg.r; out[i+1] = bg.g; out[i+2] = bg.b; out[i+3] = 255;
+    }
+
+    // Paints one pass of every contour in `color`, mixed in at `alpha`
+    const passes = [...echoOffsets(settings).map(([ox, oy]) => ({ ox, oy, color: settings.outlineOffsetColor, alpha: 0.6 })), { ox: 0, oy: 0, color: settings.outlineColor, alpha: 1 }];
+    passes.forEach(({ ox, oy, color, alpha }, p) => {
+      onRow(p, passes.length);
+      const coverage = new Float32Array(w * h);
+      contours.forEach(contour => strokeContour(coverage, w, h, contour, settings.outlineThickness, ox, oy));
+      const rgb = hexToRgb(color);
+      for (let i = 0; i < coverage.length; i++) {
+        const c = coverage[i] * alpha;
+        if (c === 0) continue;
+        out[i*4] += (rgb.r - out[i*4]) * c;
+        out[i*4+1] += (rgb.g - out[i*4+1]) * c;
+        out[i*4+2] += (rgb.b - out[i*4+2]) * c;
+      }
+    });
+    return output;
+  }
+};
@@ -0,0 +1,51 @@
+import { effectRegistry, getEffectDefaults, scaleSettings } from './registry.js';
+import { blendPixels } from './utils/blend.js';
+import { createRandom, mixSeed } from './utils/random.js';
+import { resampleMask } from './masks.js';
+import { applyTransform } from './transform.js';
+
+// Runs every enabled layer over the source in stack order, reporting progress in 0..1.
+// `scale` is the source size relative to the preview the settings were tuned on.
+// Stochastic effects (grain, random dither) draw from a PRNG derived from the global
+// `seed`, the animation `frame` and the layer's position, so a render is reproducible.
+// The position counts disabled layers too, so hiding a layer doesn't reseed the ones below it.
+// `masks` maps mask ids to masks; a layer with a `mask` only shows where that mask is set.
+// `transform` (see ./transform.js) crops, rotates and pads the source first; `isFlipped`
+// is shorthand for a horizontal flip.
+export const runPipeline = (source, layers, { transform = {}, isFlipped = false, scale = 1, seed = 0, frame = 0, masks = {}, onProgress = () => {} } = {}) => {
+  let image = applyTransform(source, isFlipped ? { ...transform, flipH: true } : transform);
+  const resampled = {};
+  const maskFor = (id) => {
+    if (!id || !masks[id]) return null;
+    if (!resampled[id]) resampled[id] = resampleMask(masks[id], image.width, image.height).data;
+    return resampled[id];
+  };
+
+  const enabledLayers = layers
+    .map((layer, stackIndex) => ({ layer, stackIndex }))
+    .filter(({ layer }) => layer.enabled && effectRegistry[layer.type]);
+  enabledLayers.forEach(({ layer, stackIndex }, layerIndex) => {
+    const onRow = (row, total) => onProgress((layerIndex + row / total) / enabledLayers.length);
+    const settings = scaleSettings(layer.type, { ...getEffectDefaults(layer.type), ...layer.settings }, scale);
+    const layerSeed = mixSeed(seed, frame, stackIndex);
+    const mask = maskFor(layer.mask);
+    const output = effectRegistry[layer.type].apply(image, settings, { onRow, random: createRandom(layerSeed), seed: layerSeed, mask });
+
+    // Mix the layer's output back into its input
+    const blend = layer.blend || 'normal';
+    const opacity = layer.opacity ?? 100;
+    if (blend !== 'normal' || opacity < 100) blendPixels(image.data, output.data, blend, opacity / 100);
+    if (mask) {
+      const base = image.data, top = output.data;
+      for (let i = 0; i < mask.length; i++) {
+        const m = mask[i];
+        if (m === 255) continue;
+        const p = i * 4;
+        for (let c = 0; c < 4; c++) top[p + c] = base[p + c] + (top[p + c] - base[p + c]) * m / 255;
+      }
+    }
+    image = output;
+  });
+
+  return image;
+};
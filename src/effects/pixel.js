@@ -0,0 +1,12 @@
+import { downsample, upscale } from './utils/imageData.js';
+
+// --- PIXEL ART ---
+export default {
+  id: 'pixel',
+  label: 'Pixel',
+  params: [
+    { key: 'pixelSize', label: 'Size', type: 'range', min: 2, max: 64, step: 2, unit: 'px', scales: true, default: 4 },
+  ],
+  // Average every block down to one pixel, then stretch it back up with nearest-neighbour
+  apply: (image, settings) => upscale(downsample(image, Math.max(1, settings.pixelSize)), image.width, image.height)
+};
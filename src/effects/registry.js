@@ -0,0 +1,40 @@
+// --- Effect Registry ---
+// Every effect is a pure (ImageData, params) => ImageData function plus the
+// parameter schema the sidebar is generated from. Order here is menu order.
+import pixel from './pixel.js';
+import dither from './dither.js';
+import bw from './bw.js';
+import grade from './grade.js';
+import chromatic from './chromatic.js';
+import crt from './crt.js';
+import halftone from './halftone.js';
+import sort from './sort.js';
+import edge from './edge.js';
+import outline from './outline.js';
+import ascii from './ascii.js';
+import jpeg from './jpeg.js';
+import tear from './tear.js';
+import blocks from './blocks.js';
+import channels from './channels.js';
+
+export const effects = [pixel, dither, bw, grade, chromatic, crt, halftone, sort, edge, outline, ascii, jpeg, tear, blocks, channels];
+
+export const effectRegistry = Object.fromEntries(effects.map(effect => [effect.id, effect]));
+
+export const getEffectDefaults = (type) => Object.fromEntries(
+  effectRegistry[type].params.map(param => [param.key, param.default])
+);
+
+// Pixel-length params (flagged `scales`) are tuned on the preview proxy;
+// multiply them so a render at another resolution looks the same.
+export const scaleSettings = (type, settings, factor) => {
+  if (factor === 1) return settings;
+  const scaled = { ...settings };
+  effectRegistry[type].params.forEach(param => {
+    if (param.scales && typeof scaled[param.key] === 'number') {
+      const value = Math.round(scaled[param.key] * factor);
+      scaled[param.key] = scaled[param.key] > 0 ? Math.max(1, value) : value;
+    }
+  });
+  return scaled;
+};
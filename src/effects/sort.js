@@ -0,0 +1,154 @@
+import { getLuminance } from './utils/color.js';
+import { cloneImageData } from './utils/imageData.js';
+
+// --- Helper: Sort Keys ---
+// Each maps a pixel to 0..1; spans are sorted on this value
+const sortKeys = {
+  luminance: (r, g, b) => getLuminance(r, g, b) / 255,
+  hue: (r, g, b) => {
+    const max = Math.max(r, g, b), min = Math.min(r, g, b), d = max - min;
+    if (d === 0) return 0;
+    let h;
+    if (max === r) h = ((g - b) / d + 6) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return h / 6;
+  },
+  saturation: (r, g, b) => {
+    const max = Math.max(r, g, b);
+    return max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+  },
+  brightness: (r, g, b) => Math.max(r, g, b) / 255,
+  red: (r) => r / 255,
+  green: (r, g) => g / 255,
+  blue: (r, g, b) => b / 255
+};
+
+// --- Helper: Lines at an Angle ---
+// Calls visit(indices, length) once per line of pixels running along `angle` degrees.
+// Every pixel belongs to exactly one line: shallow angles get one line per row offset,
+// steep ones one per column offset.
+const forEachLine = (w, h, angle, visit) => {
+  const rad = angle * Math.PI / 180;
+  const dx = Math.cos(rad), dy = Math.sin(rad);
+  const shallow = Math.abs(dx) >= Math.abs(dy);
+  const major = shallow ? w : h, minor = shallow ? h : w;
+  const slope = shallow ? dy / dx : dx / dy;
+  const reverse = shallow ? dx < 0 : dy < 0;
+  const drift = Math.round((major - 1) * slope);
+  const indices = new Int32Array(major);
+
+  const firstK = Math.min(0, -drift), lastK = minor - 1 + Math.max(0, -drift);
+  for (let k = firstK; k <= lastK; k++) {
+    let length = 0;
+    for (let m = 0; m < major; m++) {
+      const n = k + Math.round(m * slope);
+      if (n < 0 || n >= minor) continue;
+      indices[length++] = shallow ? n * w + m : m * w + n;
+    }
+    if (!length) continue;
+    if (reverse) indices.subarray(0, length).reverse();
+    visit(indices, length, k - firstK, lastK - firstK + 1);
+  }
+};
+
+// --- PIXEL SORT ---
+export default {
+  id: 'sort',
+  label: 'Sort',
+  params: [
+    { key: 'sortKey', label: 'Sort By', type: 'select', options: [
+      { value: 'luminance', label: 'Luminance' },
+      { value: 'hue', label: 'Hue' },
+      { value: 'saturation', label: 'Saturation' },
+      { value: 'brightness', label: 'Brightness' },
+      { value: 'red', label: 'Red' },
+      { value: 'green', label: 'Green' },
+      { value: 'blue', label: 'Blue' }
+    ], default: 'luminance' },
+    { key: 'sortMode', label: 'Intervals', type: 'select', options: [
+      { value: 'threshold', label: 'Threshold Band' },
+      { value: 'edges', label: 'Edges' },
+      { value: 'random', label: 'Random Spans' },
+      { value: 'row', label: 'Whole Row' }
+    ], default: 'threshold' },
+    { key: 'sortThreshold', label: 'Lower', type: 'range', min: 0, max: 255, default: 50, visibleIf: (s) => s.sortMode === 'threshold' },
+    { key: 'sortUpper', label: 'Upper', type: 'range', min: 0, max: 255, default: 255, visibleIf: (s) => s.sortMode === 'threshold' },
+    { key: 'sortEdgeThreshold', label: 'Edge Strength', type: 'range', min: 1, max: 255, default: 40, visibleIf: (s) => s.sortMode === 'edges' },
+    { key: 'sortSpanLength', label: 'Max Span', type: 'range', min: 2, max: 400, unit: 'px', scales: true, default: 80, visibleIf: (s) => s.sortMode === 'random' },
+    { key: 'sortOrder', label: 'Order', type: 'segmented', options: [{ value: 'asc', label: 'Ascending' }, { value: 'desc', label: 'Descending' }], default: 'asc' },
+    { key: 'sortDirection', label: 'Direction', type: 'segmented', options: [{ value: 'horizontal', label: 'Horizontal' }, { value: 'vertical', label: 'Vertical' }, { value: 'angle', label: 'Angle' }], default: 'horizontal' },
+    { key: 'sortAngle', label: 'Angle', type: 'range', min: 0, max: 359, unit: '°', default: 45, visibleIf: (s) => s.sortDirection === 'angle' },
+    { key: 'sortMask', label: 'Mask', type: 'segmented', options: [{ value: 'none', label: 'No Mask' }, { value: 'luminance', label: 'Luminance' }], default: 'none' },
+    { key: 'sortMaskThreshold', label: 'Mask Threshold', type: 'range', min: 0, max: 255, default: 128, visibleIf: (s) => s.sortMask === 'luminance' },
+    { key: 'sortMaskInvert', label: 'Invert Mask', type: 'toggle', default: false, visibleIf: (s) => s.sortMask === 'luminance' },
+  ],
+  // `mask` (optional, width * height values in 0..255) limits sorting to pixels >= 128
+  apply: (image, settings, { onRow = () => {}, random = Math.random, mask = null } = {}) => {
+    const output = cloneImageData(image);
+    const { width: w, height: h, data } = image;
+    const src = new Uint32Array(data.buffer, data.byteOffset, w * h);
+    const out = new Uint32Array(output.data.buffer);
+
+    // Per-pixel luminance (for intervals and masks) and quantized sort key
+    const lum = new Float32Array(w * h);
+    const keys = new Uint16Array(w * h);
+    const keyFn = sortKeys[settings.sortKey] || sortKeys.luminance;
+    const descending = settings.sortOrder === 'desc';
+    for (let i = 0; i < w * h; i++) {
+      const r = data[i*4], g = data[i*4+1], b = data[i*4+2];
+      lum[i] = getLuminance(r, g, b);
+      const key = Math.round(keyFn(r, g, b) * 65535);
+      keys[i] = descending ? 65535 - key : key;
+    }
+
+    // Pixels outside the mask stay put and break spans
+    let allowed = null;
+    if (settings.sortMask === 'luminance' || mask) {
+      allowed = new Uint8Array(w * h);
+      for (let i = 0; i < w * h; i++) {
+        // Invert only flips the luminance mask; the pipeline blends a layer mask back in as painted
+        allowed[i] = (settings.sortMask === 'luminance' ? lum[i] >= settings.sortMaskThreshold !== !!settings.sortMaskInvert : mask[i] >= 128) ? 1 : 0;
+      }
+    }
+
+    const { sortMode: mode, sortThreshold: lower, sortUpper: upper, sortEdgeThreshold: edge } = settings;
+    const maxSpan = Math.max(1, settings.sortSpanLength);
+    const inBand = (i) => lum[i] > lower && lum[i] <= upper;
+
+    // Span sort: pack (key << 16 | offset) so a plain typed-array sort orders by key, stably
+    const packed = new Uint32Array(Math.max(w, h));
+    const sortSpan = (indices, start, end) => {
+      const n = end - start;
+      if (n < 2) return;
+      if (n > 65536) throw new Error('Pixel sort spans are limited to 65536 pixels');
+      const span = packed.subarray(0, n);
+      for (let k = 0; k < n; k++) span[k] = ((keys[indices[start + k]] << 16) | k) >>> 0;
+      span.sort();
+      for (let k = 0; k < n; k++) out[indices[start + k]] = src[indices[start + (span[k] & 0xFFFF)]];
+    };
+
+    const angle = settings.sortDirection === 'vertical' ? 90 : settings.sortDirection === 'angle' ? settings.sortAngle : 0;
+    forEachLine(w, h, angle, (indices, length, line, lineCount) => {
+      onRow(line, lineCount);
+      let start = 0;
+      while (start < length) {
+        const first = indices[start];
+        if ((allowed && !allowed[first]) || (mode === 'threshold' && !inBand(first))) { start++; continue; }
+
+        let end = start + 1;
+        const limit = mode === 'random' ? start + 1 + Math.floor(random() * maxSpan) : length;
+        while (end < length && end < limit) {
+          const i = indices[end];
+          if (allowed && !allowed[i]) break;
+          if (mode === 'threshold' && !inBand(i)) break;
+          if (mode === 'edges' && Math.abs(lum[i] - lum[indices[end - 1]]) > edge) break;
+          end++;
+        }
+        sortSpan(indices, start, end);
+        start = end;
+      }
+    });
+    return output;
+  }
+};
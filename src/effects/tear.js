@@ -0,0 +1,48 @@
+import { createImageData } from './utils/imageData.js';
+
+// --- SCAN TEAR ---
+// Horizontal slices slip sideways, like a signal losing horizontal sync
+export default {
+  id: 'tear',
+  label: 'Tear',
+  params: [
+    { key: 'tearShift', label: 'Max Shift', type: 'range', min: 1, max: 400, unit: 'px', scales: true, default: 60 },
+    { key: 'tearHeight', label: 'Max Slice', type: 'range', min: 1, max: 200, unit: 'px', scales: true, default: 24 },
+    { key: 'tearDensity', label: 'Density', type: 'range', min: 0, max: 100, unit: '%', default: 25 },
+    { key: 'tearEdge', label: 'Edges', type: 'segmented', options: [{ value: 'wrap', label: 'Wrap' }, { value: 'smear', label: 'Smear' }], default: 'wrap' },
+    { key: 'tearSplit', label: 'Split Channels', type: 'toggle', default: false },
+  ],
+  apply: (image, settings, { onRow = () => {}, random = Math.random } = {}) => {
+    const { width: w, height: h, data } = image;
+    const output = createImageData(w, h);
+    const out = output.data;
+    const maxShift = settings.tearShift, maxHeight = Math.max(1, settings.tearHeight);
+    // Chance per row of starting a slice, so that about `density` of the rows end up torn
+    const startChance = settings.tearDensity / 100 * 2 / (maxHeight + 1);
+    const wrap = settings.tearEdge === 'wrap';
+    const sourceX = (x) => wrap ? ((x % w) + w) % w : Math.max(0, Math.min(w - 1, x));
+
+    let remaining = 0;
+    let shifts = [0, 0, 0];
+    for (let y = 0; y < h; y++) {
+      onRow(y, h);
+      if (remaining === 0 && random() < startChance) {
+        remaining = 1 + Math.floor(random() * maxHeight);
+        const shift = Math.round((random() * 2 - 1) * maxShift);
+        shifts = settings.tearSplit ? shifts.map(() => Math.round((random() * 2 - 1) * maxShift)) : [shift, shift, shift];
+      }
+      const row = y * w * 4;
+      if (remaining === 0) {
+        out.set(data.subarray(row, row + w * 4), row);
+        continue;
+      }
+      remaining--;
+      for (let x = 0; x < w; x++) {
+        const i = row + x * 4;
+        for (let c = 0; c < 3; c++) out[i + c] = data[row + sourceX(x - shifts[c]) * 4 + c];
+        out[i + 3] = data[row + sourceX(x - shifts[0]) * 4 + 3];
+      }
+    }
+    return output;
+  }
+};
@@ -0,0 +1,177 @@
+import { hexToRgb } from './utils/color.js';
+import { createImageData, cloneImageData } from './utils/imageData.js';
+
+// --- Geometric Transforms ---
+// Applied to the source before the effect stack, in this order: flips, 90° steps,
+// free rotation, crop, then padding out to the output canvas. Crop and canvas sizes
+// are relative to the image, so the preview proxy and a full-size export line up.
+
+export const aspectRatios = { '1:1': 1, '4:5': 4 / 5, '16:9': 16 / 9, '9:16': 9 / 16 };
+
+export const defaultTransform = {
+  flipH: false,
+  flipV: false,
+  rotation: 0,          // 0, 90, 180 or 270, clockwise
+  angle: 0,             // free rotation in degrees, clockwise; the canvas grows to fit
+  cropAspect: 'none',   // 'none', 'free' or a key of aspectRatios
+  cropSize: 100,        // % of the largest crop with that aspect
+  cropWidth: 100,       // % of the width, free crop only
+  cropHeight: 100,      // % of the height, free crop only
+  cropX: 50,            // crop position, 0 = left edge, 100 = right edge
+  cropY: 50,
+  canvasAspect: 'none', // pads the canvas out to this aspect
+  canvasMargin: 0,      // padding on every side, % of the longer side
+  canvasColor: '#000000'
+};
+
+export const normalizeTransform = (transform) => ({ ...defaultTransform, ...transform });
+
+export const isIdentityTransform = (transform) => {
+  const t = normalizeTransform(transform);
+  return !t.flipH && !t.flipV && t.rotation % 360 === 0 && t.angle % 360 === 0 && t.cropAspect === 'none' && t.canvasAspect === 'none' && t.canvasMargin === 0;
+};
+
+// --- Geometry ---
+const rotatedBounds = (w, h, angle) => {
+  const rad = angle * Math.PI / 180;
+  const cos = Math.abs(Math.cos(rad)), sin = Math.abs(Math.sin(rad));
+  return { width: Math.max(1, Math.round(w * cos + h * sin)), height: Math.max(1, Math.round(w * sin + h * cos)) };
+};
+
+// Crop rectangle in pixels for an image of w x h
+export const cropRect = (w, h, transform) => {
+  const t = normalizeTransform(transform);
+  if (t.cropAspect === 'none') return { x: 0, y: 0, width: w, height: h };
+  let cw, ch;
+  if (t.cropAspect === 'free') {
+    cw = w * t.cropWidth / 100;
+    ch = h * t.cropHeight / 100;
+  } else {
+    const ratio = aspectRatios[t.cropAspect] || 1;
+    if (w / h > ratio) { ch = h; cw = h * ratio; } else { cw = w; ch = w / ratio; }
+    cw *= t.cropSize / 100;
+    ch *= t.cropSize / 100;
+  }
+  const width = Math.max(1, Math.min(w, Math.round(cw)));
+  const height = Math.max(1, Math.min(h, Math.round(ch)));
+  return { x: Math.round((w - width) * t.cropX / 100), y: Math.round((h - height) * t.cropY / 100), width, height };
+};
+
+// Output canvas for a cropped image of w x h, with the image's offset on it
+const canvasRect = (w, h, t) => {
+  const margin = Math.round(Math.max(w, h) * t.canvasMargin / 100);
+  let width = w + 2 * margin, height = h + 2 * margin;
+  const ratio = aspectRatios[t.canvasAspect];
+  if (ratio) {
+    if (width / height < ratio) width = Math.round(height * ratio);
+    else height = Math.round(width / ratio);
+  }
+  return { width, height, x: Math.floor((width - w) / 2), y: Math.floor((height - h) / 2) };
+};
+
+// Size of the transformed image, without touching any pixels
+export const transformedSize = (w, h, transform) => {
+  const t = normalizeTransform(transform);
+  let size = t.rotation % 180 ? { width: h, height: w } : { width: w, height: h };
+  if (t.angle % 360) size = rotatedBounds(size.width, size.height, t.angle);
+  const crop = cropRect(size.width, size.height, t);
+  const canvas = canvasRect(crop.width, crop.height, t);
+  return { width: canvas.width, height: canvas.height };
+};
+
+// --- Pixel Steps ---
+const flip = (image, horizontal, vertical) => {
+  const { width: w, height: h, data } = image;
+  const output = createImageData(w, h);
+  const src = new Uint32Array(data.buffer, data.byteOffset, w * h);
+  const out = new Uint32Array(output.data.buffer);
+  for (let y = 0; y < h; y++) {
+    const row = (vertical ? h - 1 - y : y) * w;
+    for (let x = 0; x < w; x++) out[y * w + x] = src[row + (horizontal ? w - 1 - x : x)];
+  }
+  return output;
+};
+
+const rotateQuarter = (image, rotation) => {
+  const { width: w, height: h, data } = image;
+  const turns = ((Math.round(rotation / 90) % 4) + 4) % 4;
+  const [ow, oh] = turns % 2 ? [h, w] : [w, h];
+  const output = createImageData(ow, oh);
+  const src = new Uint32Array(data.buffer, data.byteOffset, w * h);
+  const out = new Uint32Array(output.data.buffer);
+  for (let y = 0; y < oh; y++) {
+    for (let x = 0; x < ow; x++) {
+      // Source pixel for each output pixel of a clockwise rotation
+      const [sx, sy] = turns === 1 ? [y, h - 1 - x] : turns === 2 ? [w - 1 - x, h - 1 - y] : turns === 3 ? [w - 1 - y, x] : [x, y];
+      out[y * ow + x] = src[sy * w + sx];
+    }
+  }
+  return output;
+};
+
+// Bilinear rotation about the center; uncovered corners get `fill`, with antialiased edges
+const rotateFree = (image, angle, fill) => {
+  const { width: w, height: h, data } = image;
+  const { width: ow, height: oh } = rotatedBounds(w, h, angle);
+  const output = createImageData(ow, oh);
+  const out = output.data;
+  const rad = angle * Math.PI / 180;
+  const cos = Math.cos(rad), sin = Math.sin(rad);
+  const fillColor = [fill.r, fill.g, fill.b, 255];
+
+  for (let y = 0; y < oh; y++) {
+    for (let x = 0; x < ow; x++) {
+      // Inverse rotation from output pixel center to source coordinates
+      const dx = x + 0.5 - ow / 2, dy = y + 0.5 - oh / 2;
+      const sx = dx * cos + dy * sin + w / 2 - 0.5;
+      const sy = -dx * sin + dy * cos + h / 2 - 0.5;
+      const coverage = Math.max(0, Math.min(1, sx + 1, w - sx, sy + 1, h - sy));
+      const o = (y * ow + x) * 4;
+      if (coverage === 0) {
+        out.set(fillColor, o);
+        continue;
+      }
+      const cx = Math.max(0, Math.min(w - 1, sx)), cy = Math.max(0, Math.min(h - 1, sy));
+      const x0 = Math.floor(cx), y0 = Math.floor(cy);
+      const x1 = Math.min(w - 1, x0 + 1), y1 = Math.min(h - 1, y0 + 1);
+      const fx = cx - x0, fy = cy - y0;
+      for (let c = 0; c < 4; c++) {
+        const top = data[(y0 * w + x0) * 4 + c] * (1 - fx) + data[(y0 * w + x1) * 4 + c] * fx;
+        const bottom = data[(y1 * w + x0) * 4 + c] * (1 - fx) + data[(y1 * w + x1) * 4 + c] * fx;
+        const value = top * (1 - fy) + bottom * fy;
+        out[o + c] = fillColor[c] + (value - fillColor[c]) * coverage;
+      }
+    }
+  }
+  return output;
+};
+
+// Copies `rect` of the source onto a width x height canvas filled with `fill`, at (dx, dy)
+const place = (image, rect, width, height, dx, dy, fill) => {
+  const output = createImageData(width, height);
+  const out = new Uint32Array(output.data.buffer);
+  out.fill(new Uint32Array(new Uint8ClampedArray([fill.r, fill.g, fill.b, 255]).buffer)[0]);
+  const src = new Uint32Array(image.data.buffer, image.data.byteOffset, image.width * image.height);
+  for (let y = 0; y < rect.height; y++) {
+    const from = (rect.y + y) * image.width + rect.x;
+    out.set(src.subarray(from, from + rect.width), (dy + y) * width + dx);
+  }
+  return output;
+};
+
+export const applyTransform = (image, transform) => {
+  const t = normalizeTransform(transform);
+  if (isIdentityTransform(t)) return cloneImageData(image);
+  const fill = hexToRgb(t.canvasColor) || { r: 0, g: 0, b: 0 };
+
+  let output = t.flipH || t.flipV ? flip(image, t.flipH, t.flipV) : image;
+  if (t.rotation % 360) output = rotateQuarter(output, t.rotation);
+  if (t.angle % 360) output = rotateFree(output, t.angle, fill);
+
+  const crop = cropRect(output.width, output.height, t);
+  const canvas = canvasRect(crop.width, crop.height, t);
+  if (output === image || canvas.width !== output.width || canvas.height !== output.height) {
+    output = place(output, crop, canvas.width, canvas.height, canvas.x, canvas.y, fill);
+  }
+  return output;
+};
@@ -0,0 +1,24 @@
+// --- Helper: Blend Modes (per channel, 0-255) ---
+export const blendModes = {
+  normal: (b, t) => t,
+  multiply: (b, t) => (b * t) / 255,
+  screen: (b, t) => 255 - ((255 - b) * (255 - t)) / 255,
+  overlay: (b, t) => b < 128 ? (2 * b * t) / 255 : 255 - (2 * (255 - b) * (255 - t)) / 255,
+  difference: (b, t) => Math.abs(b - t),
+  add: (b, t) => Math.min(255, b + t),
+  lighten: (b, t) => Math.max(b, t),
+  darken: (b, t) => Math.min(b, t),
+};
+
+// Mixes a layer's output (top) over its input (base) in place on top
+export const blendPixels = (base, top, mode, opacity) => {
+  const fn = blendModes[mode] || blendModes.normal;
+  for (let i = 0; i < top.length; i += 4) {
+    const a = opacity * (top[i+3] / 255);
+    for (let c = 0; c < 3; c++) {
+      const b = base[i+c];
+      top[i+c] = b + (fn(b, top[i+c]) - b) * a;
+    }
+    top[i+3] = Math.max(base[i+3], top[i+3]);
+  }
+};
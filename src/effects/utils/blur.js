@@ -0,0 +1,25 @@
+// --- Helper: Box Blur ---
+// Blurs a single-channel Float32Array plane in place. Three box passes of radius `r`
+// approximate a Gaussian; `vertical: false` blurs along rows only.
+export const blurPlane = (plane, width, height, r, { vertical = true, passes = 3 } = {}) => {
+  if (r < 1) return plane;
+  const tmp = new Float32Array(plane.length);
+  const boxPass = (from, to, length, lines, step, lineStep) => {
+    for (let line = 0; line < lines; line++) {
+      const base = line * lineStep;
+      let sum = 0;
+      // Edge pixels are clamped so the border doesn't darken
+      for (let k = -r; k <= r; k++) sum += from[base + Math.min(length - 1, Math.max(0, k)) * step];
+      for (let k = 0; k < length; k++) {
+        to[base + k * step] = sum / (2 * r + 1);
+        sum += from[base + Math.min(length - 1, k + r + 1) * step] - from[base + Math.max(0, k - r) * step];
+      }
+    }
+  };
+  for (let pass = 0; pass < passes; pass++) {
+    boxPass(plane, tmp, width, height, 1, width);
+    if (vertical) boxPass(tmp, plane, height, width, width, 1);
+    else plane.set(tmp);
+  }
+  return plane;
+};
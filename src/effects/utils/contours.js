@@ -0,0 +1,158 @@
+// --- Helper: Contours ---
+// A contour is { points: [x0, y0, x1, y1, ...], closed } in pixel coordinates, where
+// pixel (x, y) has its center at (x + 0.5, y + 0.5).
+
+// Marching squares over a w x h scalar field: traces the iso-lines at `iso`, linearly
+// interpolated between pixel centers. Lines that reach the image border stay open.
+export const traceContours = (field, w, h, iso) => {
+  const size = w * h;
+  // Every crossing sits on a grid edge: horizontal edges are ids [0, size), vertical ones [size, 2 * size).
+  // Each edge joins at most two segments, so the links fit in two slots.
+  const linkA = new Int32Array(size * 2).fill(-1), linkB = new Int32Array(size * 2).fill(-1);
+  const touched = [];
+  const link = (a, b) => {
+    if (linkA[a] === -1) { linkA[a] = b; touched.push(a); } else linkB[a] = b;
+    if (linkA[b] === -1) { linkA[b] = a; touched.push(b); } else linkB[b] = a;
+  };
+  const point = (id) => {
+    const horizontal = id < size, i = horizontal ? id : id - size;
+    const x = i % w, y = (i - x) / w;
+    const a = field[i], b = field[horizontal ? i + 1 : i + w];
+    const t = a === b ? 0.5 : (iso - a) / (b - a);
+    return horizontal ? [x + 0.5 + t, y + 0.5] : [x + 0.5, y + 0.5 + t];
+  };
+
+  for (let y = 0; y < h - 1; y++) {
+    for (let x = 0; x < w - 1; x++) {
+      const i = y * w + x;
+      const tl = field[i] >= iso, tr = field[i + 1] >= iso, bl = field[i + w] >= iso, br = field[i + w + 1] >= iso;
+      const code = (tl ? 8 : 0) | (tr ? 4 : 0) | (br ? 2 : 0) | (bl ? 1 : 0);
+      if (code === 0 || code === 15) continue;
+      const top = i, bottom = i + w, left = size + i, right = size + i + 1;
+      switch (code) {
+        case 1: case 14: link(left, bottom); break;
+        case 2: case 13: link(bottom, right); break;
+        case 3: case 12: link(left, right); break;
+        case 4: case 11: link(top, right); break;
+        case 6: case 9: link(top, bottom); break;
+        case 7: case 8: link(left, top); break;
+        // Saddles: the cell center decides which corners connect
+        case 5: case 10: {
+          const center = (field[i] + field[i + 1] + field[i + w] + field[i + w + 1]) / 4 >= iso;
+          if ((code === 5) === center) { link(left, top); link(bottom, right); }
+          else { link(left, bottom); link(top, right); }
+          break;
+        }
+      }
+    }
+  }
+
+  const visited = new Uint8Array(size * 2);
+  const contours = [];
+  const walk = (start) => {
+    const points = [];
+    let prev = -1, current = start, closed = false;
+    while (current !== -1) {
+      visited[current] = 1;
+      points.push(...point(current));
+      const next = linkA[current] !== prev ? linkA[current] : linkB[current];
+      prev = current;
+      if (next === start) closed = true;
+      current = next !== -1 && !visited[next] ? next : -1;
+    }
+    contours.push({ points, closed });
+  };
+  // Open lines first, from whichever end is found, then the loops that remain
+  for (const id of touched) if (!visited[id] && linkB[id] === -1) walk(id);
+  for (const id of touched) if (!visited[id]) walk(id);
+  return contours;
+};
+
+export const contourLength = ({ points, closed }) => {
+  let length = 0;
+  const n = points.length / 2;
+  for (let k = 1; k < n + (closed ? 1 : 0); k++) {
+    const a = (k - 1) * 2, b = (k % n) * 2;
+    length += Math.hypot(points[b] - points[a], points[b + 1] - points[a + 1]);
+  }
+  return length;
+};
+
+// Ramer-Douglas-Peucker: drops points within `tolerance` pixels of the simplified line
+export const simplifyContour = ({ points, closed }, tolerance) => {
+  const n = points.length / 2;
+  if (n < 3) return { points, closed };
+  const keep = new Uint8Array(n);
+  keep[0] = keep[n - 1] = 1;
+  const stack = [[0, n - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    const ax = points[first * 2], ay = points[first * 2 + 1];
+    const dx = points[last * 2] - ax, dy = points[last * 2 + 1] - ay;
+    const length = Math.hypot(dx, dy);
+    let worst = -1, worstDistance = tolerance;
+    for (let k = first + 1; k < last; k++) {
+      const px = points[k * 2] - ax, py = points[k * 2 + 1] - ay;
+      const distance = length ? Math.abs(px * dy - py * dx) / length : Math.hypot(px, py);
+      if (distance > worstDistance) { worst = k; worstDistance = distance; }
+    }
+    if (worst === -1) continue;
+    keep[worst] = 1;
+    stack.push([first, worst], [worst, last]);
+  }
+  return { points: points.filter((_, i) => keep[i >> 1]), closed };
+};
+
+// Chaikin corner cutting; open lines keep their end points
+export const smoothContour = ({ points, closed }, iterations) => {
+  let pts = points;
+  for (let pass = 0; pass < iterations; pass++) {
+    const n = pts.length / 2;
+    if (n < 3) break;
+    const next = closed ? [] : [pts[0], pts[1]];
+    for (let k = 0; k < (closed ? n : n - 1); k++) {
+      const a = k * 2, b = ((k + 1) % n) * 2;
+      next.push(
+        pts[a] * 0.75 + pts[b] * 0.25, pts[a + 1] * 0.75 + pts[b + 1] * 0.25,
+        pts[a] * 0.25 + pts[b] * 0.75, pts[a + 1] * 0.25 + pts[b + 1] * 0.75
+      );
+    }
+    if (!closed) next.push(pts[pts.length - 2], pts[pts.length - 1]);
+    pts = next;
+  }
+  return { points: pts, closed };
+};
+
+// Rasterizes a contour as an antialiased round-capped stroke into a coverage plane (0..1),
+// keeping the highest coverage where strokes overlap
+export const strokeContour = (coverage, w, h, { points, closed }, width, offsetX = 0, offsetY = 0) => {
+  const radius = width / 2;
+  const n = points.length / 2;
+  // A single point still draws as a dot
+  const segments = closed ? n : Math.max(1, n - 1);
+  for (let k = 0; k < segments; k++) {
+    const a = k * 2, b = ((k + 1) % n) * 2;
+    const x0 = points[a] + offsetX, y0 = points[a + 1] + offsetY, x1 = points[b] + offsetX, y1 = points[b + 1] + offsetY;
+    const minX = Math.max(0, Math.floor(Math.min(x0, x1) - radius - 1)), maxX = Math.min(w - 1, Math.ceil(Math.max(x0, x1) + radius));
+    const minY = Math.max(0, Math.floor(Math.min(y0, y1) - radius - 1)), maxY = Math.min(h - 1, Math.ceil(Math.max(y0, y1) + radius));
+    const dx = x1 - x0, dy = y1 - y0, lengthSq = dx * dx + dy * dy;
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const px = x + 0.5 - x0, py = y + 0.5 - y0;
+        const t = lengthSq ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+        const c = Math.min(1, Math.max(0, radius - Math.hypot(px - t * dx, py - t * dy) + 0.5));
+        const i = y * w + x;
+        if (c > coverage[i]) coverage[i] = c;
+      }
+    }
+  }
+  return coverage;
+};
+
+// SVG path data with coordinates rounded to hundredths
+export const contourPathData = ({ points, closed }, offsetX = 0, offsetY = 0) => {
+  const round = (v) => Math.round(v * 100) / 100;
+  let d = '';
+  for (let k = 0; k < points.length; k += 2) d += `${k ? 'L' : 'M'}${round(points[k] + offsetX)} ${round(points[k + 1] + offsetY)}`;
+  return closed ? `${d}Z` : d;
+};
@@ -0,0 +1,115 @@
+import { createRandom } from './random.js';
+
+// --- Helper: Ordered Dither Matrices ---
+// Each matrix is { size, levels, values } where values[y * size + x] is a threshold
+// rank in 0..levels-1. Matrices are built once and cached.
+const cache = new Map();
+const memo = (key, build) => {
+  if (!cache.has(key)) cache.set(key, build());
+  return cache.get(key);
+};
+
+// Recursive Bayer construction: M(2n) = [[4M, 4M+2], [4M+3, 4M+1]]
+export const bayerMatrix = (size) => memo(`bayer${size}`, () => {
+  let n = 1;
+  let values = new Uint16Array([0]);
+  while (n < size) {
+    const next = new Uint16Array(4 * n * n);
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const v = 4 * values[y * n + x];
+        next[y * 2 * n + x] = v;
+        next[y * 2 * n + x + n] = v + 2;
+        next[(y + n) * 2 * n + x] = v + 3;
+        next[(y + n) * 2 * n + x + n] = v + 1;
+      }
+    }
+    values = next;
+    n *= 2;
+  }
+  return { size, levels: size * size, values };
+});
+
+// Dots grow outward from the cell center, ties broken by angle so growth spirals
+export const clusteredDotMatrix = (size) => memo(`clustered${size}`, () => {
+  const center = size / 2;
+  const cells = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const dx = x + 0.5 - center, dy = y + 0.5 - center;
+      cells.push({ index: y * size + x, dist: dx * dx + dy * dy, angle: Math.atan2(dy, dx) });
+    }
+  }
+  cells.sort((a, b) => a.dist - b.dist || a.angle - b.angle);
+  const values = new Uint16Array(size * size);
+  cells.forEach((cell, rank) => { values[cell.index] = rank; });
+  return { size, levels: size * size, values };
+});
+
+// Void-and-cluster blue noise (Ulichney). Energy is a toroidal Gaussian of the "on" pixels;
+// ranks are assigned by removing the tightest clusters, then filling the largest voids.
+export const blueNoiseMatrix = (size) => memo(`blue${size}`, () => {
+  const n = size * size;
+  const sigma = 1.5;
+  const kernel = new Float32Array(n);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const dx = Math.min(x, size - x), dy = Math.min(y, size - y);
+      kernel[y * size + x] = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+    }
+  }
+
+  const on = new Uint8Array(n);
+  const energy = new Float32Array(n);
+  const set = (p, value) => {
+    on[p] = value;
+    const sign = value ? 1 : -1;
+    const px = p % size, py = Math.floor(p / size);
+    for (let y = 0; y < size; y++) {
+      const ky = ((y - py + size) % size) * size;
+      for (let x = 0; x < size; x++) energy[y * size + x] += sign * kernel[ky + (x - px + size) % size];
+    }
+  };
+  const tightestCluster = () => {
+    let best = -1;
+    for (let p = 0; p < n; p++) if (on[p] && (best === -1 || energy[p] > energy[best])) best = p;
+    return best;
+  };
+  const largestVoid = () => {
+    let best = -1;
+    for (let p = 0; p < n; p++) if (!on[p] && (best === -1 || energy[p] < energy[best])) best = p;
+    return best;
+  };
+
+  // Initial pattern: 10% random points, relaxed until no point moves
+  const random = createRandom(1);
+  const initial = Math.floor(n / 10);
+  for (let placed = 0; placed < initial;) {
+    const p = Math.floor(random() * n);
+    if (!on[p]) { set(p, 1); placed++; }
+  }
+  for (let iter = 0; iter < n; iter++) {
+    const cluster = tightestCluster();
+    set(cluster, 0);
+    const gap = largestVoid();
+    set(gap, 1);
+    if (gap === cluster) break;
+  }
+
+  const values = new Uint16Array(n);
+  const initialOn = on.slice();
+  const initialEnergy = energy.slice();
+  for (let rank = initial - 1; rank >= 0; rank--) {
+    const cluster = tightestCluster();
+    set(cluster, 0);
+    values[cluster] = rank;
+  }
+  on.set(initialOn);
+  energy.set(initialEnergy);
+  for (let rank = initial; rank < n; rank++) {
+    const gap = largestVoid();
+    set(gap, 1);
+    values[gap] = rank;
+  }
+  return { size, levels: n, values };
+});
@@ -0,0 +1,96 @@
+// --- Helper: Glyphs ---
+// Coverage masks (0..1 per pixel) for drawing characters into a cell without a DOM.
+// The built-in 5x7 pixel font works everywhere; the other fonts are drawn with an
+// OffscreenCanvas where there is one (browsers and their workers) and fall back to it.
+
+// Printable ASCII from ' ' to '~'. Each glyph is 7 rows of 5 bits, top row first,
+// written as base-32 digits with the leftmost pixel as the high bit.
+const pixelFontData =
+  '00000004444404aa00000aavavaa4fke5u4op248j3cik8lid4400000' +
+  '2488842842224804lel40044v4400000c48000v00000000cc01248g0' +
+  'ehjlphe4c4444eeh1248vv2421he26aiv22vgu11he68guhhev124888' +
+  'ehhehheehhf12c0cc0cc00cc0c48248g84200v0v008421248eh12404' +
+  'eh1dlleehhvhhhuhhuhhuehggghesihhhisvgguggvvggugggehgnhhf' +
+  'hhhvhhhe44444e72222ichikokihggggggvhrllhhhhhpljhhehhhhhe' +
+  'uhhugggehhhliduhhukihfgge11uv444444hhhhhhehhhhha4hhhllla' +
+  'hha4ahhhha4444v1248gve88888e0g84210e22222e4ah0000000000v' +
+  '842000000e1fhfggmphhu00egghe11djhhf00ehvge698s8880fhhf1e' +
+  'ggmphhh40c444e20622icggikokic44444e00qllhh00mphhh00ehhhe' +
+  '00uhugg00djf1100mpggg00ege1u88s889600hhhjd00hhha400hhlla' +
+  '00ha4ah00hhf1e00v248v244844244444448442448008l200';
+
+const pixelGlyph = (char) => {
+  const code = char.charCodeAt(0);
+  const index = code >= 32 && code <= 126 ? code - 32 : '?'.charCodeAt(0) - 32;
+  return Array.from(pixelFontData.slice(index * 7, index * 7 + 7), digit => parseInt(digit, 32));
+};
+
+// Shade blocks are drawn as pixel patterns at the cell's own resolution
+const shades = {
+  '█': () => 1,
+  '▓': (x, y) => (x + 2 * y) % 4 === 0 ? 0 : 1,
+  '▒': (x, y) => (x + y) % 2,
+  '░': (x, y) => x % 2 === 0 && y % 2 === 0 ? 1 : 0,
+};
+
+export const glyphFonts = {
+  pixel: { label: 'Pixel 5×7' },
+  mono: { label: 'Monospace', css: 'monospace' },
+  courier: { label: 'Courier', css: '"Courier New", Courier, monospace' },
+  bold: { label: 'Bold Mono', css: 'monospace', weight: 'bold' },
+};
+
+// The 5x7 glyph sits in a 6x8 box, leaving a column and a row of spacing; each cell pixel
+// averages 3x3 samples so glyphs stay legible at sizes that aren't a multiple of the box
+const drawPixelGlyph = (char, width, height) => {
+  const rows = pixelGlyph(char);
+  const mask = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let hits = 0;
+      for (let sy = 0; sy < 3; sy++) {
+        for (let sx = 0; sx < 3; sx++) {
+          const fx = Math.floor((x + (sx + 0.5) / 3) / width * 6 - 0.5), fy = Math.floor((y + (sy + 0.5) / 3) / height * 8 - 0.5);
+          if (fx >= 0 && fx < 5 && fy >= 0 && fy < 7 && (rows[fy] >> (4 - fx)) & 1) hits++;
+        }
+      }
+      mask[y * width + x] = hits / 9;
+    }
+  }
+  return mask;
+};
+
+const drawCanvasGlyph = (char, { css, weight = 'normal' }, width, height) => {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.font = `${weight} ${Math.round(height * 0.85)}px ${css}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  // Squeeze wide glyphs into the cell instead of clipping them
+  const squeeze = Math.min(1, width / Math.max(1, ctx.measureText(char).width));
+  ctx.setTransform(squeeze, 0, 0, 1, width / 2, height / 2);
+  ctx.fillText(char, 0, 0);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const mask = new Float32Array(width * height);
+  for (let i = 0; i < mask.length; i++) mask[i] = data[i * 4 + 3] / 255;
+  return mask;
+};
+
+const glyphCache = new Map();
+
+export const glyphMask = (char, font, width, height) => {
+  const key = `${font}|${width}x${height}|${char}`;
+  if (glyphCache.has(key)) return glyphCache.get(key);
+  let mask;
+  if (shades[char]) {
+    mask = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) mask[y * width + x] = shades[char](x, y);
+  } else if (glyphFonts[font]?.css && typeof OffscreenCanvas !== 'undefined') {
+    mask = drawCanvasGlyph(char, glyphFonts[font], width, height);
+  } else {
+    mask = drawPixelGlyph(char, width, height);
+  }
+  if (glyphCache.size > 4096) glyphCache.clear();
+  glyphCache.set(key, mask);
+  return mask;
+};
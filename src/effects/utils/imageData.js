@@ -0,0 +1,53 @@
+// --- Helper: ImageData ---
+// Effects work on plain { width, height, data } objects so they run without a DOM.
+// A browser ImageData has the same shape and can be passed in directly.
+export const createImageData = (width, height) => ({
+  width,
+  height,
+  data: new Uint8ClampedArray(width * height * 4)
+});
+
+export const cloneImageData = (image) => ({
+  width: image.width,
+  height: image.height,
+  data: new Uint8ClampedArray(image.data)
+});
+
+// --- Helper: Block Downsample ---
+// Averages `factor`-sized blocks into one pixel each (edge blocks absorb the remainder).
+// `factorY` sets a different block height, for cells that aren't square.
+export const downsample = (image, factor, factorY = factor) => {
+  const { width: w, height: h, data } = image;
+  const tinyW = Math.max(1, Math.floor(w / factor));
+  const tinyH = Math.max(1, Math.floor(h / factorY));
+  const sums = new Float64Array(tinyW * tinyH * 4);
+  const counts = new Uint32Array(tinyW * tinyH);
+  for (let y = 0; y < h; y++) {
+    const ty = Math.floor(y * tinyH / h);
+    for (let x = 0; x < w; x++) {
+      const cell = ty * tinyW + Math.floor(x * tinyW / w);
+      const i = (y * w + x) * 4;
+      sums[cell*4] += data[i]; sums[cell*4+1] += data[i+1]; sums[cell*4+2] += data[i+2]; sums[cell*4+3] += data[i+3];
+      counts[cell]++;
+    }
+  }
+  const tiny = createImageData(tinyW, tinyH);
+  for (let cell = 0; cell < tinyW * tinyH; cell++) {
+    const n = counts[cell];
+    for (let c = 0; c < 4; c++) tiny.data[cell*4+c] = sums[cell*4+c] / n;
+  }
+  return tiny;
+};
+
+// --- Helper: Nearest-Neighbour Upscale ---
+// Stretches a downsampled image back to width x height, matching `downsample`'s block grid
+export const upscale = (tiny, width, height) => {
+  const output = createImageData(width, height);
+  const src = new Uint32Array(tiny.data.buffer, tiny.data.byteOffset, tiny.width * tiny.height);
+  const out = new Uint32Array(output.data.buffer);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y * tiny.height / height) * tiny.width;
+    for (let x = 0; x < width; x++) out[y * width + x] = src[row + Math.floor(x * tiny.width / width)];
+  }
+  return output;
+};
@@ -0,0 +1,436 @@
+import { createImageData } from './imageData.js';
+
+// --- Helper: Baseline JPEG Codec ---
+// A small encoder / decoder pair so JPEG artifacts and stream corruption work
+// without a DOM (in the worker and under Node). The encoder writes sequential
+// baseline files with the standard tables; the decoder reads those back and never
+// throws on damaged entropy data: a bad code ends the block, and restart markers
+// put it back in sync.
+
+// Index into an 8x8 block (row-major) of each coefficient in zigzag order
+const zigzag = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// Annex K quantization tables, row-major
+const baseLuma = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+const baseChroma = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+  ...new Array(32).fill(99)
+];
+
+// Annex K Huffman tables as { bits: codes per length 1..16, values }
+const acValues = (text) => text.match(/../g).map(hex => parseInt(hex, 16));
+const stdTables = {
+  dcLuma: { bits: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  dcChroma: { bits: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  acLuma: {
+    bits: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7D],
+    values: acValues(
+      '01020300041105122131410613516107227114328191a1082342b1c11552d1f0' +
+      '2433627282090a161718191a25262728292a3435363738393a43444546474849' +
+      '4a535455565758595a636465666768696a737475767778797a83848586878889' +
+      '8a92939495969798999aa2a3a4a5a6a7a8a9aab2b3b4b5b6b7b8b9bac2c3c4c5' +
+      'c6c7c8c9cad2d3d4d5d6d7d8d9dae1e2e3e4e5e6e7e8e9eaf1f2f3f4f5f6f7f8' +
+      'f9fa'
+    )
+  },
+  acChroma: {
+    bits: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    values: acValues(
+      '000102031104052131061241510761711322328108144291a1b1c109233352f0' +
+      '156272d10a162434e125f11718191a262728292a35363738393a434445464748' +
+      '494a535455565758595a636465666768696a737475767778797a828384858687' +
+      '88898a92939495969798999aa2a3a4a5a6a7a8a9aab2b3b4b5b6b7b8b9bac2c3' +
+      'c4c5c6c7c8c9cad2d3d4d5d6d7d8d9dae2e3e4e5e6e7e8e9eaf2f3f4f5f6f7f8' +
+      'f9fa'
+    )
+  }
+};
+
+// IJG quality scaling; returns the table in zigzag order, as stored in the file
+const scaleQuant = (base, quality) => {
+  const q = Math.max(1, Math.min(100, Math.round(quality)));
+  const scale = q < 50 ? 5000 / q : 200 - q * 2;
+  return Array.from(zigzag, i => Math.max(1, Math.min(255, Math.floor((base[i] * scale + 50) / 100))));
+};
+
+// cosines[u * 8 + x] = C(u) / 2 * cos((2x + 1) u pi / 16), the orthonormal 8-point DCT basis
+const cosines = new Float64Array(64);
+for (let u = 0; u < 8; u++) {
+  for (let x = 0; x < 8; x++) cosines[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+}
+
+// Scratch buffer for the separable passes
+const tmp = new Float64Array(64);
+
+const fdct = (block, out) => {
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < 8; x++) sum += block[y * 8 + x] * cosines[u * 8 + x];
+      tmp[y * 8 + u] = sum;
+    }
+  }
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < 8; y++) sum += tmp[y * 8 + u] * cosines[v * 8 + y];
+      out[v * 8 + u] = sum;
+    }
+  }
+};
+
+const idct = (coefs, out) => {
+  for (let v = 0; v < 8; v++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) sum += coefs[v * 8 + u] * cosines[u * 8 + x];
+      tmp[v * 8 + x] = sum;
+    }
+  }
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) sum += tmp[v * 8 + x] * cosines[v * 8 + y];
+      out[y * 8 + x] = sum;
+    }
+  }
+};
+
+// Canonical codes for a table: codes[value] = [code, length]
+const buildCodes = ({ bits, values }) => {
+  const codes = [];
+  let code = 0, k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let n = 0; n < bits[length - 1]; n++) codes[values[k++]] = [code++, length];
+    code <<= 1;
+  }
+  return codes;
+};
+
+const bitCount = (v) => v === 0 ? 0 : 32 - Math.clz32(Math.abs(v));
+
+// --- Encoder ---
+// `subsample` stores chroma at half resolution (4:2:0); `restartInterval` (in MCUs,
+// 0 for none) adds restart markers, which limits how far damage spreads.
+export const encodeJpeg = (image, { quality = 75, subsample = true, restartInterval = 0 } = {}) => {
+  const { width: w, height: h, data } = image;
+  const factor = subsample ? 2 : 1;
+  const mcuSize = 8 * factor;
+  const mcusX = Math.ceil(w / mcuSize), mcusY = Math.ceil(h / mcuSize);
+  const pw = mcusX * mcuSize, ph = mcusY * mcuSize;
+
+  // YCbCr planes, padded to whole MCUs by repeating the edge pixels
+  const Y = new Float32Array(pw * ph), Cb = new Float32Array(pw * ph), Cr = new Float32Array(pw * ph);
+  for (let y = 0; y < ph; y++) {
+    const sy = Math.min(h - 1, y);
+    for (let x = 0; x < pw; x++) {
+      const i = (sy * w + Math.min(w - 1, x)) * 4;
+      const r = data[i], g = data[i + 1], b = data[i + 2];
+      const o = y * pw + x;
+      Y[o] = 0.299 * r + 0.587 * g + 0.114 * b;
+      Cb[o] = -0.168736 * r - 0.331264 * g + 0.5 * b + 128;
+      Cr[o] = 0.5 * r - 0.418688 * g - 0.081312 * b + 128;
+    }
+  }
+  const cw = pw / factor;
+  const downsampled = (plane) => {
+    if (factor === 1) return plane;
+    const out = new Float32Array(cw * (ph / factor));
+    for (let y = 0; y < ph / factor; y++) {
+      for (let x = 0; x < cw; x++) {
+        const i = y * 2 * pw + x * 2;
+        out[y * cw + x] = (plane[i] + plane[i + 1] + plane[i + pw] + plane[i + pw + 1]) / 4;
+      }
+    }
+    return out;
+  };
+  const chroma = [downsampled(Cb), downsampled(Cr)];
+
+  const qLuma = scaleQuant(baseLuma, quality), qChroma = scaleQuant(baseChroma, quality);
+  const codes = Object.fromEntries(Object.entries(stdTables).map(([key, table]) => [key, buildCodes(table)]));
+
+  const bytes = [];
+  const word = (v) => bytes.push(v >> 8, v & 255);
+  const segment = (marker, body) => { word(marker); word(body.length + 2); bytes.push(...body); };
+
+  word(0xFFD8);
+  segment(0xFFDB, [0x00, ...qLuma, 0x01, ...qChroma]);
+  segment(0xFFC0, [8, h >> 8, h & 255, w >> 8, w & 255, 3, 1, subsample ? 0x22 : 0x11, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  const huffman = [[0x00, stdTables.dcLuma], [0x10, stdTables.acLuma], [0x01, stdTables.dcChroma], [0x11, stdTables.acChroma]];
+  segment(0xFFC4, huffman.flatMap(([id, table]) => [id, ...table.bits, ...table.values]));
+  if (restartInterval > 0) segment(0xFFDD, [restartInterval >> 8, restartInterval & 255]);
+  segment(0xFFDA, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]);
+
+  // Entropy-coded data, with 0x00 stuffed after every 0xFF
+  let buffer = 0, count = 0;
+  const writeBits = (value, length) => {
+    buffer = (buffer << length) | (value & ((1 << length) - 1));
+    count += length;
+    while (count >= 8) {
+      const byte = (buffer >>> (count - 8)) & 255;
+      bytes.push(byte);
+      if (byte === 255) bytes.push(0);
+      count -= 8;
+    }
+    buffer &= (1 << count) - 1;
+  };
+  const flushBits = () => { if (count > 0) writeBits(0x7F, 8 - count); };
+
+  const block = new Float64Array(64), coefs = new Float64Array(64), q = new Int32Array(64);
+  const preds = [0, 0, 0];
+  const encodeBlock = (plane, planeW, bx, by, quant, dc, ac, component) => {
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) block[y * 8 + x] = plane[(by + y) * planeW + bx + x] - 128;
+    }
+    fdct(block, coefs);
+    // Baseline Huffman tables stop at 11-bit DC differences and 10-bit AC values, which
+    // near-lossless quality can exceed on hard edges. The predictor follows the clamped
+    // difference so the decoder stays in step.
+    for (let k = 0; k < 64; k++) q[k] = Math.max(-1023, Math.min(1023, Math.round(coefs[zigzag[k]] / quant[k])));
+
+    const diff = Math.max(-2047, Math.min(2047, Math.round(coefs[0] / quant[0]) - preds[component]));
+    preds[component] += diff;
+    const dcSize = bitCount(diff);
+    writeBits(...dc[dcSize]);
+    if (dcSize) writeBits(diff < 0 ? diff + (1 << dcSize) - 1 : diff, dcSize);
+
+    let run = 0;
+    for (let k = 1; k < 64; k++) {
+      if (q[k] === 0) { run++; continue; }
+      while (run > 15) { writeBits(...ac[0xF0]); run -= 16; }
+      const size = bitCount(q[k]);
+      writeBits(...ac[(run << 4) | size]);
+      writeBits(q[k] < 0 ? q[k] + (1 << size) - 1 : q[k], size);
+      run = 0;
+    }
+    if (run > 0) writeBits(...ac[0x00]);
+  };
+
+  let restarts = 0;
+  for (let my = 0; my < mcusY; my++) {
+    for (let mx = 0; mx < mcusX; mx++) {
+      const mcu = my * mcusX + mx;
+      if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+        flushBits();
+        bytes.push(0xFF, 0xD0 + (restarts++ & 7));
+        preds.fill(0);
+      }
+      for (let v = 0; v < factor; v++) {
+        for (let u = 0; u < factor; u++) encodeBlock(Y, pw, mx * mcuSize + u * 8, my * mcuSize + v * 8, qLuma, codes.dcLuma, codes.acLuma, 0);
+      }
+      chroma.forEach((plane, c) => encodeBlock(plane, cw, mx * 8, my * 8, qChroma, codes.dcChroma, codes.acChroma, c + 1));
+    }
+  }
+  flushBits();
+  word(0xFFD9);
+  return new Uint8Array(bytes);
+};
+
+// --- Decoder ---
+// Lookup for canonical decoding (ITU T.81 F.2.2.3)
+const buildDecoder = (bits, values) => {
+  const maxCode = new Int32Array(18).fill(-1), valPtr = new Int32Array(17), minCode = new Int32Array(17);
+  let code = 0, k = 0;
+  for (let length = 1; length <= 16; length++) {
+    valPtr[length] = k;
+    minCode[length] = code;
+    code += bits[length - 1];
+    k += bits[length - 1];
+    if (bits[length - 1]) maxCode[length] = code - 1;
+    code <<= 1;
+  }
+  maxCode[17] = 0x7FFFFFFF;
+  return { maxCode, valPtr, minCode, values };
+};
+
+export const decodeJpeg = (bytes) => {
+  const quant = [];
+  const tables = {};
+  let frame = null, restartInterval = 0, pos = 2;
+  const readWord = (at) => (bytes[at] << 8) | bytes[at + 1];
+  if (readWord(0) !== 0xFFD8) throw new Error('Not a JPEG file');
+
+  while (pos < bytes.length) {
+    if (bytes[pos] !== 0xFF) { pos++; continue; }
+    const marker = bytes[pos + 1];
+    if (marker === 0xFF || marker === 0x00 || (marker >= 0xD0 && marker <= 0xD7)) { pos++; continue; }
+    if (marker === 0xD9) break;
+    const length = readWord(pos + 2);
+    const start = pos + 4, end = pos + 2 + length;
+
+    if (marker === 0xDB) {
+      for (let p = start; p < end;) {
+        const precision = bytes[p] >> 4, id = bytes[p] & 15;
+        p++;
+        quant[id] = Array.from({ length: 64 }, (_, k) => precision ? readWord(p + k * 2) : bytes[p + k]);
+        p += precision ? 128 : 64;
+      }
+    } else if (marker === 0xC0 || marker === 0xC1) {
+      const components = [];
+      for (let c = 0; c < bytes[start + 5]; c++) {
+        const p = start + 6 + c * 3;
+        components.push({ id: bytes[p], h: bytes[p + 1] >> 4, v: bytes[p + 1] & 15, quant: bytes[p + 2] });
+      }
+      frame = { height: readWord(start + 1), width: readWord(start + 3), components };
+    } else if (marker >= 0xC2 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      throw new Error('Only baseline JPEGs are supported');
+    } else if (marker === 0xC4) {
+      for (let p = start; p < end;) {
+        const bits = Array.from(bytes.subarray(p + 1, p + 17));
+        const total = bits.reduce((a, b) => a + b, 0);
+        tables[bytes[p]] = buildDecoder(bits, bytes.subarray(p + 17, p + 17 + total));
+        p += 17 + total;
+      }
+    } else if (marker === 0xDD) {
+      restartInterval = readWord(start);
+    } else if (marker === 0xDA) {
+      if (!frame) throw new Error('JPEG scan before frame header');
+      const scan = [];
+      for (let c = 0; c < bytes[start]; c++) {
+        const id = bytes[start + 1 + c * 2], sel = bytes[start + 2 + c * 2];
+        scan.push({ component: frame.components.find(comp => comp.id === id), dc: tables[sel >> 4], ac: tables[0x10 | (sel & 15)] });
+      }
+      pos = decodeScan(bytes, end, frame, scan, quant, restartInterval);
+      continue;
+    }
+    pos = end;
+  }
+  if (!frame?.planes) throw new Error('JPEG has no image data');
+  return toRgb(frame);
+};
+
+// Decodes one interleaved scan into frame.planes; returns the position after the data
+const decodeScan = (bytes, start, frame, scan, quant, restartInterval) => {
+  const hMax = Math.max(...frame.components.map(c => c.h)), vMax = Math.max(...frame.components.map(c => c.v));
+  const mcusX = Math.ceil(frame.width / (8 * hMax)), mcusY = Math.ceil(frame.height / (8 * vMax));
+  frame.planes = frame.components.map(c => ({ width: mcusX * c.h * 8, data: new Float32Array(mcusX * c.h * 8 * mcusY * c.v * 8).fill(128) }));
+
+  let pos = start, buffer = 0, count = 0;
+  // Past a marker (or the end) the reader feeds zeros
+  const readBit = () => {
+    if (count === 0) {
+      let byte = 0;
+      if (pos < bytes.length && bytes[pos] !== 0xFF) byte = bytes[pos++];
+      else if (bytes[pos] === 0xFF && bytes[pos + 1] === 0x00) { byte = 0xFF; pos += 2; }
+      buffer = byte;
+      count = 8;
+    }
+    count--;
+    return (buffer >> count) & 1;
+  };
+  const receive = (length) => {
+    let v = 0;
+    for (let i = 0; i < length; i++) v = (v << 1) | readBit();
+    return v;
+  };
+  const extend = (v, length) => length && v < 1 << (length - 1) ? v - (1 << length) + 1 : v;
+  const decodeHuffman = (table) => {
+    let code = readBit(), length = 1;
+    while (length <= 16 && code > table.maxCode[length]) {
+      code = (code << 1) | readBit();
+      length++;
+    }
+    if (length > 16) return -1;
+    return table.values[table.valPtr[length] + code - table.minCode[length]];
+  };
+
+  const coefs = new Float64Array(64), pixels = new Float64Array(64);
+  const preds = new Array(scan.length).fill(0);
+  const decodeBlock = (entry, index, plane, bx, by) => {
+    coefs.fill(0);
+    const q = quant[entry.component.quant];
+    const size = decodeHuffman(entry.dc);
+    if (size > 0) preds[index] += extend(receive(size), size);
+    coefs[0] = preds[index] * q[0];
+    for (let k = 1; k < 64;) {
+      const rs = decodeHuffman(entry.ac);
+      if (rs <= 0) break; // end of block, or a code the table doesn't have
+      const run = rs >> 4, s = rs & 15;
+      if (s === 0) { if (run !== 15) break; k += 16; continue; }
+      k += run;
+      if (k > 63) break;
+      coefs[zigzag[k]] = extend(receive(s), s) * q[k];
+      k++;
+    }
+    idct(coefs, pixels);
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) plane.data[(by + y) * plane.width + bx + x] = pixels[y * 8 + x] + 128;
+    }
+  };
+
+  for (let mcu = 0; mcu < mcusX * mcusY; mcu++) {
+    if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+      // Resync on the next restart marker, wherever the damaged data left the reader
+      let p = pos;
+      while (p < bytes.length - 1 && !(bytes[p] === 0xFF && bytes[p + 1] >= 0xD0 && bytes[p + 1] <= 0xD7)) p++;
+      if (p < bytes.length - 1) pos = p + 2;
+      count = 0;
+      preds.fill(0);
+    }
+    const mx = mcu % mcusX, my = Math.floor(mcu / mcusX);
+    scan.forEach((entry, index) => {
+      const { h, v } = entry.component;
+      const plane = frame.planes[frame.components.indexOf(entry.component)];
+      for (let by = 0; by < v; by++) {
+        for (let bx = 0; bx < h; bx++) decodeBlock(entry, index, plane, (mx * h + bx) * 8, (my * v + by) * 8);
+      }
+    });
+  }
+
+  // Continue after the scan's data
+  while (pos < bytes.length - 1 && !(bytes[pos] === 0xFF && bytes[pos + 1] !== 0x00 && (bytes[pos + 1] < 0xD0 || bytes[pos + 1] > 0xD7))) pos++;
+  return pos;
+};
+
+// Upsamples chroma by repetition, which keeps the blocky look of real decoders' fast path
+const toRgb = (frame) => {
+  const { width: w, height: h, components, planes } = frame;
+  const hMax = Math.max(...components.map(c => c.h)), vMax = Math.max(...components.map(c => c.v));
+  const output = createImageData(w, h);
+  const out = output.data;
+  const sample = (c, x, y) => planes[c].data[Math.floor(y * components[c].v / vMax) * planes[c].width + Math.floor(x * components[c].h / hMax)];
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y * w + x) * 4;
+      const Y = sample(0, x, y);
+      if (components.length < 3) {
+        out[i] = out[i + 1] = out[i + 2] = Y;
+      } else {
+        const cb = sample(1, x, y) - 128, cr = sample(2, x, y) - 128;
+        out[i] = Y + 1.402 * cr;
+        out[i + 1] = Y - 0.344136 * cb - 0.714136 * cr;
+        out[i + 2] = Y + 1.772 * cb;
+      }
+      out[i + 3] = 255;
+    }
+  }
+  return output;
+};
+
+// --- Stream Corruption ---
+// Replaces bytes of the entropy-coded data with probability `rate`. Marker bytes
+// and the byte after each 0xFF are left alone and no new 0xFF is written, so the
+// file structure survives and only the image data is damaged. Returns a copy.
+export const corruptJpeg = (bytes, rate, random = Math.random) => {
+  const output = new Uint8Array(bytes);
+  let start = 2;
+  while (start < output.length - 3 && !(output[start] === 0xFF && output[start + 1] === 0xDA)) start++;
+  start += 2 + ((output[start + 2] << 8) | output[start + 3]);
+  const end = output.length - 2;
+  for (let i = start; i < end; i++) {
+    if (output[i] === 0xFF || output[i - 1] === 0xFF) continue;
+    if (random() < rate) output[i] = Math.floor(random() * 255);
+  }
+  return output;
+};
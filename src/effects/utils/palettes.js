@@ -0,0 +1,124 @@
+// --- Helper: Built-in Retro Palettes ---
+export const builtinPalettes = {
+  gameboy: {
+    label: 'Game Boy',
+    colors: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f']
+  },
+  cga: {
+    label: 'CGA',
+    colors: ['#000000', '#55ffff', '#ff55ff', '#ffffff']
+  },
+  ega: {
+    label: 'EGA',
+    colors: [
+      '#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+      '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'
+    ]
+  },
+  pico8: {
+    label: 'PICO-8',
+    colors: [
+      '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+      '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+    ]
+  },
+  c64: {
+    label: 'C64',
+    colors: [
+      '#000000', '#ffffff', '#68372b', '#70a4b2', '#6f3d86', '#588d43', '#352879', '#b8c76f',
+      '#6f4f25', '#433900', '#9a6759', '#444444', '#6c6c6c', '#9ad284', '#6c5eb5', '#959595'
+    ]
+  },
+  nes: {
+    label: 'NES',
+    colors: [
+      '#7c7c7c', '#0000fc', '#0000bc', '#4428bc', '#940084', '#a80020', '#a81000', '#881400',
+      '#503000', '#007800', '#006800', '#005800', '#004058', '#000000', '#bcbcbc', '#0078f8',
+      '#0058f8', '#6844fc', '#d800cc', '#e40058', '#f83800', '#e45c10', '#ac7c00', '#00b800',
+      '#00a800', '#00a844', '#008888', '#f8f8f8', '#3cbcfc', '#6888fc', '#9878f8', '#f878f8',
+      '#f85898', '#f87858', '#fca044', '#f8b800', '#b8f818', '#58d854', '#58f898', '#00e8d8',
+      '#787878', '#fcfcfc', '#a4e4fc', '#b8b8f8', '#d8b8f8', '#f8b8f8', '#f8a4c0', '#f0d0b0',
+      '#fce0a8', '#f8d878', '#d8f878', '#b8f8b8', '#b8f8d8', '#00fcfc', '#d8d8d8'
+    ]
+  }
+};
+
+const toHex = (r, g, b) => '#' + [r, g, b].map(v => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0')).join('');
+
+// --- Palette File: GIMP (.gpl) ---
+// "GIMP Palette" header, optional Name/Columns lines, '#' comments, then "R G B [name]" rows
+const parseGpl = (text) => {
+  const lines = text.split(/\r?\n/);
+  if (!/^GIMP Palette/.test(lines[0])) throw new Error('Missing "GIMP Palette" header');
+  const colors = [];
+  for (const line of lines.slice(1)) {
+    const match = /^\s*(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+    if (match) colors.push(toHex(+match[1], +match[2], +match[3]));
+  }
+  return colors;
+};
+
+// --- Palette File: Plain hex (.hex, as exported by Lospec) ---
+const parseHexList = (text) => text.split(/\r?\n/)
+  .map(line => /^\s*#?([0-9a-f]{6})\b/i.exec(line))
+  .filter(Boolean)
+  .map(match => `#${match[1].toLowerCase()}`);
+
+// CIELAB (D50, as Adobe stores it) to sRGB
+const labToRgb = (l, a, b) => {
+  const fy = (l + 16) / 116, fx = fy + a / 500, fz = fy - b / 200;
+  const f = (t) => t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787;
+  const x = 0.9642 * f(fx), y = f(fy), z = 0.8251 * f(fz);
+  const lin = [
+    3.1339 * x - 1.6169 * y - 0.4906 * z,
+    -0.9788 * x + 1.9161 * y + 0.0335 * z,
+    0.0719 * x - 0.2290 * y + 1.4052 * z
+  ];
+  return lin.map(c => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055));
+};
+
+// --- Palette File: Adobe Swatch Exchange (.ase) ---
+// Big-endian blocks; only color entries (0x0001) are read, groups are flattened
+const parseAse = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'ASEF') throw new Error('Missing "ASEF" signature');
+  const blockCount = view.getUint32(8);
+  const colors = [];
+  let offset = 12;
+  for (let i = 0; i < blockCount && offset + 6 <= bytes.length; i++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const start = offset + 6;
+    if (type === 0x0001) {
+      const nameLength = view.getUint16(start);
+      let p = start + 2 + nameLength * 2;
+      const model = String.fromCharCode(...bytes.subarray(p, p + 4));
+      p += 4;
+      const values = [];
+      const channels = { 'RGB ': 3, 'CMYK': 4, 'Gray': 1, 'LAB ': 3 }[model] || 0;
+      for (let c = 0; c < channels; c++) values.push(view.getFloat32(p + c * 4));
+      if (model === 'RGB ') colors.push(toHex(values[0] * 255, values[1] * 255, values[2] * 255));
+      else if (model === 'CMYK') {
+        const [c, m, y, k] = values;
+        colors.push(toHex(255 * (1 - c) * (1 - k), 255 * (1 - m) * (1 - k), 255 * (1 - y) * (1 - k)));
+      }
+      else if (model === 'Gray') colors.push(toHex(values[0] * 255, values[0] * 255, values[0] * 255));
+      else if (model === 'LAB ') colors.push(toHex(...labToRgb(values[0] * 100, values[1], values[2])));
+    }
+    offset = start + length;
+  }
+  return colors;
+};
+
+// Parses a palette file into a list of '#rrggbb' colors, picking the format from the extension
+export const parsePaletteFile = (filename, bytes) => {
+  const ext = filename.split('.').pop().toLowerCase();
+  const text = () => new TextDecoder().decode(bytes);
+  let colors;
+  if (ext === 'gpl') colors = parseGpl(text());
+  else if (ext === 'hex' || ext === 'txt') colors = parseHexList(text());
+  else if (ext === 'ase') colors = parseAse(bytes);
+  else throw new Error(`Unsupported palette format ".${ext}"`);
+  if (!colors.length) throw new Error('The palette file contains no colors');
+  return colors;
+};
@@ -0,0 +1,99 @@
+// --- Helper: Median Cut Palette ---
+// Repeatedly splits the color box with the widest channel at its median
+// until there are `maxColors` boxes, then averages each box.
+export const medianCut = (data, maxColors, maxSamples = 65536) => {
+  const total = data.length / 4;
+  const stride = Math.max(1, Math.floor(total / maxSamples));
+  const samples = [];
+  for (let p = 0; p < total; p += stride) {
+    const i = p * 4;
+    samples.push((data[i] << 16) | (data[i+1] << 8) | data[i+2]);
+  }
+
+  const makeBox = (pixels) => {
+    const min = [255, 255, 255], max = [0, 0, 0];
+    for (const c of pixels) {
+      const rgb = [(c >> 16) & 255, (c >> 8) & 255, c & 255];
+      for (let k = 0; k < 3; k++) {
+        if (rgb[k] < min[k]) min[k] = rgb[k];
+        if (rgb[k] > max[k]) max[k] = rgb[k];
+      }
+    }
+    const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+    const channel = ranges.indexOf(Math.max(...ranges));
+    return { pixels, channel, range: ranges[channel] };
+  };
+
+  const boxes = [makeBox(samples)];
+  while (boxes.length < maxColors) {
+    let best = -1;
+    boxes.forEach((box, i) => {
+      if (box.pixels.length > 1 && box.range > 0 && (best === -1 || box.range > boxes[best].range)) best = i;
+    });
+    if (best === -1) break;
+    const { pixels, channel } = boxes[best];
+    const shift = [16, 8, 0][channel];
+    pixels.sort((a, b) => ((a >> shift) & 255) - ((b >> shift) & 255));
+    const mid = pixels.length >> 1;
+    boxes.splice(best, 1, makeBox(pixels.slice(0, mid)), makeBox(pixels.slice(mid)));
+  }
+
+  return boxes.filter(box => box.pixels.length > 0).map(({ pixels }) => {
+    let r = 0, g = 0, b = 0;
+    for (const c of pixels) { r += (c >> 16) & 255; g += (c >> 8) & 255; b += c & 255; }
+    return [Math.round(r / pixels.length), Math.round(g / pixels.length), Math.round(b / pixels.length)];
+  });
+};
+
+// --- Helper: Nearest Palette Color ---
+// Returns (r, g, b) => palette index, cached on 15-bit color so large images stay fast
+export const createNearestColor = (palette) => {
+  const cache = new Int16Array(32768).fill(-1);
+  return (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (cache[key] !== -1) return cache[key];
+    let best = 0, bestDist = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const dr = r - palette[i][0], dg = g - palette[i][1], db = b - palette[i][2];
+      const dist = dr * dr + dg * dg + db * db;
+      if (dist < bestDist) { bestDist = dist; best = i; }
+    }
+    cache[key] = best;
+    return best;
+  };
+};
+
+// --- Helper: K-Means Palette ---
+// Lloyd's algorithm over a pixel sample, seeded from the median cut result so it is
+// deterministic. Empty clusters keep their previous center.
+export const kMeans = (data, maxColors, { iterations = 8, maxSamples = 16384 } = {}) => {
+  const centers = medianCut(data, maxColors, maxSamples);
+  const total = data.length / 4;
+  const stride = Math.max(1, Math.floor(total / maxSamples));
+  const k = centers.length;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const sums = new Float64Array(k * 4);
+    for (let p = 0; p < total; p += stride) {
+      const i = p * 4;
+      const r = data[i], g = data[i+1], b = data[i+2];
+      let best = 0, bestDist = Infinity;
+      for (let c = 0; c < k; c++) {
+        const dr = r - centers[c][0], dg = g - centers[c][1], db = b - centers[c][2];
+        const dist = dr * dr + dg * dg + db * db;
+        if (dist < bestDist) { bestDist = dist; best = c; }
+      }
+      sums[best*4] += r; sums[best*4+1] += g; sums[best*4+2] += b; sums[best*4+3]++;
+    }
+    let moved = false;
+    for (let c = 0; c < k; c++) {
+      const n = sums[c*4+3];
+      if (!n) continue;
+      const next = [Math.round(sums[c*4] / n), Math.round(sums[c*4+1] / n), Math.round(sums[c*4+2] / n)];
+      if (next[0] !== centers[c][0] || next[1] !== centers[c][1] || next[2] !== centers[c][2]) moved = true;
+      centers[c] = next;
+    }
+    if (!moved) break;
+  }
+  return centers;
+};
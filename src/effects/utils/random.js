@@ -0,0 +1,32 @@
+// --- Helper: Seeded PRNG (mulberry32) ---
+// Returns a () => [0, 1) function that always yields the same sequence for a seed.
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// --- Helper: Seed Mixing ---
+// Folds several integers (global seed, frame, layer index...) into one 32-bit seed.
+export const mixSeed = (...values) => {
+  let h = 0x811C9DC5;
+  for (const v of values) {
+    h = Math.imul(h ^ (v >>> 0), 0x01000193);
+    h ^= h >>> 13;
+  }
+  return h >>> 0;
+};
+
+// --- Helper: Positional Hash ---
+// Stateless [0, 1) noise for a pixel coordinate, so results don't depend on scan order.
+export const hash2d = (x, y, seed) => {
+  let h = Math.imul(x, 0x27D4EB2D) ^ Math.imul(y, 0x165667B1) ^ seed;
+  h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+};
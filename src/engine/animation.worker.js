@@ -0,0 +1,19 @@
+// --- Animation Worker: renders every frame of the timeline ---
+// GIFs are encoded here; for WebM the frames go back to the main thread for MediaRecorder.
+import { renderAnimation } from '../export/animation.js';
+
+self.onmessage = (e) => {
+  try {
+    const bytes = renderAnimation(e.data, {
+      onFrame: (frame, index) => self.postMessage({ type: 'frame', index, frame }, [frame.data.buffer]),
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    });
+    if (bytes) {
+      self.postMessage({ type: 'done', bytes }, [bytes.buffer]);
+    } else {
+      self.postMessage({ type: 'done' });
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
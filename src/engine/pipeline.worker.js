@@ -0,0 +1,22 @@
+// --- Pipeline Worker: runs the effect stack off the main thread ---
+import { runPipeline } from '../effects/index.js';
+
+self.onmessage = (e) => {
+  const { jobId, source, layers, transform, scale, seed, frame, masks } = e.data;
+
+  // Throttle progress messages so they don't flood the main thread
+  let lastReport = 0;
+  const onProgress = (progress) => {
+    const now = performance.now();
+    if (now - lastReport < 50) return;
+    lastReport = now;
+    self.postMessage({ type: 'progress', jobId, progress });
+  };
+
+  try {
+    const result = runPipeline(source, layers, { transform, scale, seed, frame, masks, onProgress });
+    self.postMessage({ type: 'done', jobId, result }, [result.data.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', jobId, message: err.message });
+  }
+};
@@ -0,0 +1,25 @@
+// --- Animation Renderer ---
+// Renders every frame of the timeline. GIFs are encoded as the frames come in; other
+// formats hand each frame to `onFrame`. Used by the animation worker.
+import { runPipeline, resolveLayersAt, transformedSize } from '../effects/index.js';
+import { createGifEncoder } from './gif.js';
+
+export const renderAnimation = ({ source, layers, transform, seed, masks, fps, duration, format }, { onFrame = () => {}, onProgress = () => {} } = {}) => {
+  const frameCount = Math.max(1, Math.round(fps * duration));
+  // Frames come out cropped, rotated and padded, so the GIF takes their size, not the source's
+  const { width, height } = transformedSize(source.width, source.height, transform);
+  const gif = format === 'gif' ? createGifEncoder(width, height) : null;
+
+  for (let i = 0; i < frameCount; i++) {
+    // Each frame mixes its index into the seed so grain and random dither flicker
+    const frame = runPipeline(source, resolveLayersAt(layers, i / fps), { transform, seed, frame: i, masks });
+    if (gif) {
+      // Spread rounding over the frames so the loop keeps the exact duration
+      gif.addFrame(frame, Math.round((i + 1) * 100 / fps) - Math.round(i * 100 / fps));
+    } else {
+      onFrame(frame, i);
+    }
+    onProgress((i + 1) / frameCount);
+  }
+  return gif ? gif.finish() : null;
+};
@@ -0,0 +1,140 @@
+// --- GIF89a Encoder ---
+// Animated GIF writer: each frame gets its own median-cut palette (local color table)
+// and is LZW-compressed as the spec describes. No external dependencies.
+import { medianCut, createNearestColor } from '../effects/index.js';
+
+// Growable byte buffer
+const createByteWriter = () => {
+  let buffer = new Uint8Array(1 << 16);
+  let length = 0;
+  const ensure = (n) => {
+    if (length + n <= buffer.length) return;
+    let size = buffer.length * 2;
+    while (size < length + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(buffer.subarray(0, length));
+    buffer = next;
+  };
+  const byte = (b) => { ensure(1); buffer[length++] = b; };
+  return {
+    byte,
+    word: (w) => { byte(w & 255); byte((w >> 8) & 255); },
+    bytes: (arr) => { ensure(arr.length); buffer.set(arr, length); length += arr.length; },
+    string: (s) => { for (let i = 0; i < s.length; i++) byte(s.charCodeAt(i)); },
+    result: () => buffer.slice(0, length),
+  };
+};
+
+// Variable-length LZW over palette indices, packed LSB-first
+export const lzwEncode = (indices, minCodeSize) => {
+  const out = createByteWriter();
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let dict = new Map();
+  let bitBuffer = 0, bitCount = 0;
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      out.byte(bitBuffer & 255);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = dict.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      // Table full: start over
+      emit(clearCode);
+      dict = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      dict.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (bitCount > 0) out.byte(bitBuffer & 255);
+  return out.result();
+};
+
+// loop = 0 repeats forever. Frame delays are in centiseconds.
+export const createGifEncoder = (width, height, { loop = 0 } = {}) => {
+  const writer = createByteWriter();
+
+  // Header + logical screen descriptor (no global color table)
+  writer.string('GIF89a');
+  writer.word(width);
+  writer.word(height);
+  writer.byte(0x00);
+  writer.byte(0);
+  writer.byte(0);
+
+  // NETSCAPE2.0 application extension for looping
+  writer.byte(0x21); writer.byte(0xFF); writer.byte(11);
+  writer.string('NETSCAPE2.0');
+  writer.byte(3); writer.byte(1); writer.word(loop); writer.byte(0);
+
+  const addFrame = (image, delay) => {
+    if (image.width !== width || image.height !== height) {
+      throw new Error(`GIF frame is ${image.width}x${image.height}, expected ${width}x${height}`);
+    }
+    const palette = medianCut(image.data, 256);
+    const bits = Math.max(1, Math.ceil(Math.log2(Math.max(2, palette.length))));
+    const nearest = createNearestColor(palette);
+    const { data } = image;
+    const indices = new Uint8Array(width * height);
+    for (let p = 0; p < indices.length; p++) indices[p] = nearest(data[p*4], data[p*4+1], data[p*4+2]);
+
+    // Graphic control extension: disposal "leave in place", frame delay
+    writer.byte(0x21); writer.byte(0xF9); writer.byte(4);
+    writer.byte(0x04);
+    writer.word(Math.max(2, Math.round(delay)));
+    writer.byte(0);
+    writer.byte(0);
+
+    // Image descriptor with a local color table
+    writer.byte(0x2C);
+    writer.word(0); writer.word(0);
+    writer.word(width); writer.word(height);
+    writer.byte(0x80 | (bits - 1));
+    for (let i = 0; i < (1 << bits); i++) {
+      const [r, g, b] = palette[i] || [0, 0, 0];
+      writer.byte(r); writer.byte(g); writer.byte(b);
+    }
+
+    // Image data in sub-blocks of up to 255 bytes
+    const minCodeSize = Math.max(2, bits);
+    writer.byte(minCodeSize);
+    const stream = lzwEncode(indices, minCodeSize);
+    for (let i = 0; i < stream.length; i += 255) {
+      const chunk = stream.subarray(i, i + 255);
+      writer.byte(chunk.length);
+      writer.bytes(chunk);
+    }
+    writer.byte(0);
+  };
+
+  const finish = () => {
+    writer.byte(0x3B);
+    return writer.result();
+  };
+
+  return { addFrame, finish };
+};
@@ -0,0 +1,33 @@
+// --- Output File Naming ---
+// Templates use {name} (source file name without extension), {index} (1-based,
+// zero-padded to the batch size), {date} (YYYY-MM-DD), {time} (HHMMSS) and
+// {timestamp} (milliseconds since 1970).
+export const defaultNameTemplate = '{name}_glitch';
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+export const stripExtension = (filename) => filename.replace(/\.[^./\\]+$/, '') || filename;
+
+export const formatOutputName = (template, { name = 'image', index = 1, count = 1, date = new Date() } = {}) => {
+  const tokens = {
+    name: stripExtension(name),
+    index: pad(index, String(count).length),
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`,
+    timestamp: String(date.getTime())
+  };
+  const formatted = (template || defaultNameTemplate).replace(/\{(\w+)\}/g, (match, token) => tokens[token] ?? match);
+  // Characters that aren't allowed in file names on common systems
+  return formatted.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'image';
+};
+
+// Appends " (2)", " (3)"... until `filename` isn't in `used`, then records it
+export const uniqueName = (filename, used) => {
+  const dot = filename.lastIndexOf('.');
+  const base = dot > 0 ? filename.slice(0, dot) : filename;
+  const ext = dot > 0 ? filename.slice(dot) : '';
+  let candidate = filename;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})${ext}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
@@ -0,0 +1,99 @@
+// --- ZIP Writer ---
+// Minimal ZIP archive writer using the "stored" method: PNGs are already deflated,
+// so compressing them again gains nothing. Files are kept as separate chunks and
+// joined into a Blob at the end, so large batches are never copied into one buffer.
+
+// --- Helper: CRC-32 (IEEE) ---
+const crcTable = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// MS-DOS date and time fields (local time, 2-second resolution)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Fixed-size little-endian record
+const record = (size, fill) => {
+  const bytes = new Uint8Array(size);
+  fill(new DataView(bytes.buffer));
+  return bytes;
+};
+
+export const createZipWriter = () => {
+  const chunks = [];
+  const entries = [];
+  let offset = 0;
+  const push = (bytes) => { chunks.push(bytes); offset += bytes.length; };
+
+  return {
+    // Names use forward slashes for folders and are stored as UTF-8
+    addFile(name, bytes, modified = new Date()) {
+      if (entries.length === 0xFFFF) throw new Error('A ZIP without ZIP64 holds at most 65535 files');
+      if (offset + bytes.length > 0xFFFFFFFF) throw new Error('A ZIP without ZIP64 is limited to 4 GB');
+      const nameBytes = new TextEncoder().encode(name);
+      const { time, date } = dosDateTime(modified);
+      const entry = { nameBytes, time, date, crc: crc32(bytes), size: bytes.length, offset };
+      entries.push(entry);
+
+      push(record(30, view => {
+        view.setUint32(0, 0x04034B50, true);
+        view.setUint16(4, 20, true);          // version needed
+        view.setUint16(6, 0x0800, true);      // UTF-8 names
+        view.setUint16(8, 0, true);           // stored
+        view.setUint16(10, time, true);
+        view.setUint16(12, date, true);
+        view.setUint32(14, entry.crc, true);
+        view.setUint32(18, entry.size, true);
+        view.setUint32(22, entry.size, true);
+        view.setUint16(26, nameBytes.length, true);
+        view.setUint16(28, 0, true);
+      }));
+      push(nameBytes);
+      push(bytes);
+    },
+
+    finish() {
+      const directoryStart = offset;
+      for (const entry of entries) {
+        push(record(46, view => {
+          view.setUint32(0, 0x02014B50, true);
+          view.setUint16(4, 20, true);        // version made by
+          view.setUint16(6, 20, true);        // version needed
+          view.setUint16(8, 0x0800, true);
+          view.setUint16(10, 0, true);
+          view.setUint16(12, entry.time, true);
+          view.setUint16(14, entry.date, true);
+          view.setUint32(16, entry.crc, true);
+          view.setUint32(20, entry.size, true);
+          view.setUint32(24, entry.size, true);
+          view.setUint16(28, entry.nameBytes.length, true);
+          view.setUint32(42, entry.offset, true);
+        }));
+        push(entry.nameBytes);
+      }
+      const directorySize = offset - directoryStart;
+      push(record(22, view => {
+        view.setUint32(0, 0x06054B50, true);
+        view.setUint16(8, entries.length, true);
+        view.setUint16(10, entries.length, true);
+        view.setUint32(12, directorySize, true);
+        view.setUint32(16, directoryStart, true);
+      }));
+      return new Blob(chunks, { type: 'application/zip' });
+    }
+  };
+};
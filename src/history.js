@@ -0,0 +1,71 @@
+// --- Undo / Redo History ---
+// A history is { entries: [{ label, doc }], index } where `doc` is a snapshot of the
+// editable document (layers, masks, transform, seed, timeline, source image). Snapshots
+// share unchanged objects with the live state, so keeping many of them is cheap.
+import { effectRegistry } from './effects/index.js';
+
+export const maxHistory = 100;
+
+const docKeys = ['originalImage', 'layers', 'masks', 'transform', 'seed', 'timeline'];
+
+export const sameDoc = (a, b) => docKeys.every(key => a[key] === b[key]);
+
+const layerLabel = (layer) => effectRegistry[layer.type]?.label || layer.type;
+
+const describeTransform = (prev, next) => {
+  const changed = Object.keys(next).filter(k => prev[k] !== next[k]);
+  if (changed.length !== 1) return 'Transform';
+  const [key] = changed;
+  if (key === 'flipH') return next.flipH ? 'Flip horizontal' : 'Unflip horizontal';
+  if (key === 'flipV') return next.flipV ? 'Flip vertical' : 'Unflip vertical';
+  if (key === 'rotation' || key === 'angle') return 'Rotate';
+  return key.startsWith('crop') ? 'Crop' : 'Canvas size';
+};
+
+// Names the change between two snapshots for the history panel
+export const describeChange = (prev, next) => {
+  if (prev.originalImage !== next.originalImage) return next.originalImage ? 'Load image' : 'Close image';
+  if (prev.transform !== next.transform) return describeTransform(prev.transform, next.transform);
+  if (prev.seed !== next.seed) return `Seed ${next.seed}`;
+  if (prev.masks !== next.masks) {
+    if (next.masks.length > prev.masks.length) return `Add mask "${next.masks[next.masks.length - 1].name}"`;
+    if (next.masks.length < prev.masks.length) return 'Delete mask';
+    const changed = next.masks.find((m, i) => m !== prev.masks[i]);
+    return changed ? `Edit mask "${changed.name}"` : 'Edit masks';
+  }
+  if (prev.layers !== next.layers) {
+    const { layers: before } = prev, { layers: after } = next;
+    if (after.length > before.length) {
+      const added = after.find(l => !before.some(b => b.id === l.id));
+      return added ? `Add ${layerLabel(added)}` : 'Add layer';
+    }
+    if (after.length < before.length) return after.length ? 'Remove layer' : 'Clear all effects';
+    if (after.some((l, i) => l.id !== before[i].id)) return 'Reorder layers';
+    const index = after.findIndex((l, i) => l !== before[i]);
+    if (index === -1) return 'Edit layers';
+    const a = before[index], b = after[index];
+    if (a.enabled !== b.enabled) return `${b.enabled ? 'Show' : 'Hide'} ${layerLabel(b)}`;
+    if (a.opacity !== b.opacity) return `${layerLabel(b)} opacity`;
+    if (a.blend !== b.blend) return `${layerLabel(b)} blend`;
+    if (a.mask !== b.mask) return `${layerLabel(b)} mask`;
+    if (a.animation !== b.animation) return `Animate ${layerLabel(b)}`;
+    const key = Object.keys(b.settings).find(k => a.settings[k] !== b.settings[k]);
+    const param = effectRegistry[b.type]?.params.find(p => p.key === key);
+    return `${layerLabel(b)}: ${param?.label || key || 'settings'}`;
+  }
+  if (prev.timeline !== next.timeline) return 'Timeline';
+  return 'Edit';
+};
+
+// Adds `doc` after the current entry, dropping any redo branch. A no-op when nothing changed.
+export const recordHistory = (history, doc, label = null) => {
+  if (!history) return { entries: [{ label: 'Open', doc }], index: 0 };
+  const current = history.entries[history.index].doc;
+  if (sameDoc(current, doc)) return history;
+  const entries = [...history.entries.slice(0, history.index + 1), { label: label || describeChange(current, doc), doc }];
+  const overflow = Math.max(0, entries.length - maxHistory);
+  return { entries: entries.slice(overflow), index: entries.length - 1 - overflow };
+};
+
+export const canUndo = (history) => !!history && history.index > 0;
+export const canRedo = (history) => !!history && history.index < history.entries.length - 1;
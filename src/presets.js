@@ -0,0 +1,153 @@
+// --- Preset Library ---
+// Presets are stored, exported and shared in one versioned schema:
+//   { version, id, name, tags, thumbnail, createdAt, updatedAt,
+//     layers: [{ type, enabled, opacity, blend, settings, animation, mask }],
+//     masks: [{ id, name, width, height, rle }], transform, seed, timeline }
+// Anything older goes through `migratePreset`, one version step at a time.
+import { effectRegistry, getEffectDefaults, defaultTransform, normalizeTransform } from './effects/index.js';
+
+export const presetVersion = 4;
+export const presetFileFormat = 'glitch-studio-presets';
+
+export const createPresetId = () => `preset_${Math.random().toString(36).slice(2, 10)}`;
+
+// Order the old hardcoded pipeline used, needed to load presets saved before layers existed
+const legacyPipelineOrder = ['pixel', 'bw', 'sort', 'outline', 'edge', 'halftone', 'dither', 'chromatic', 'crt'];
+
+// migrations[v] upgrades a version-v preset to version v + 1
+const migrations = [
+  // v0: one flat `settings` object plus the list of `activeModes`
+  (preset) => ({
+    layers: legacyPipelineOrder
+      .filter(mode => preset.activeModes?.includes(mode))
+      .map(mode => {
+        const settings = {};
+        Object.keys(getEffectDefaults(mode)).forEach(key => {
+          // ditherPixelSize was saved by the old UI but never applied
+          if (key === 'ditherPixelSize') return;
+          if (preset.settings && key in preset.settings) settings[key] = preset.settings[key];
+        });
+        return { type: mode, enabled: true, settings };
+      }),
+    isFlipped: preset.isFlipped,
+    timestamp: preset.timestamp
+  }),
+  // v1: one of three unnamed localStorage slots; the rest is filled in below
+  (preset) => ({ ...preset, createdAt: preset.timestamp, updatedAt: preset.timestamp }),
+  // v2: a horizontal flip was the only transform
+  (preset) => ({ ...preset, transform: { ...defaultTransform, flipH: !!preset.isFlipped } }),
+  // v3: halftone screens were axis-aligned before the angle could be set
+  (preset) => ({
+    ...preset,
+    layers: preset.layers?.map(layer => layer?.type === 'halftone' && !('halftoneAngle' in (layer.settings || {}))
+      ? { ...layer, settings: { ...layer.settings, halftoneAngle: 0 } }
+      : layer)
+  })
+];
+
+const normalizeLayer = (layer) => ({
+  type: layer.type,
+  enabled: layer.enabled !== false,
+  opacity: layer.opacity ?? 100,
+  blend: layer.blend || 'normal',
+  settings: layer.settings || {},
+  animation: layer.animation || {},
+  mask: layer.mask ?? null
+});
+
+// Brings a preset of any schema version up to `presetVersion`; layers of unknown
+// effect types are dropped.
+export const migratePreset = (raw) => {
+  if (!raw || typeof raw !== 'object') throw new Error('Not a preset');
+  let version = raw.version ?? (raw.layers ? 1 : 0);
+  if (version > presetVersion) throw new Error(`Preset version ${version} is newer than this app supports`);
+  let preset = raw;
+  while (version < presetVersion) preset = migrations[version++](preset);
+  if (!Array.isArray(preset.layers)) throw new Error('Preset has no layers');
+  const now = Date.now();
+  return {
+    version: presetVersion,
+    id: preset.id || createPresetId(),
+    name: preset.name || 'Untitled',
+    tags: Array.isArray(preset.tags) ? preset.tags : [],
+    thumbnail: preset.thumbnail || null,
+    createdAt: preset.createdAt || now,
+    updatedAt: preset.updatedAt || preset.createdAt || now,
+    layers: preset.layers.filter(l => effectRegistry[l?.type]).map(normalizeLayer),
+    masks: Array.isArray(preset.masks) ? preset.masks : [],
+    transform: normalizeTransform(preset.transform),
+    seed: preset.seed ?? 0,
+    timeline: preset.timeline || { fps: 12, duration: 2 }
+  };
+};
+
+// Case-insensitive match on name and tags; every word of the query has to match
+export const searchPresets = (presets, query) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return presets;
+  return presets.filter(p => {
+    const haystack = [p.name, ...p.tags].join(' ').toLowerCase();
+    return words.every(word => haystack.includes(word.replace(/^#/, '')));
+  });
+};
+
+export const parseTags = (text) => [...new Set(text.split(',').map(t => t.trim().replace(/^#/, '')).filter(Boolean))];
+
+// --- Preset Files ---
+export const serializePresetFile = (presets) => JSON.stringify({ format: presetFileFormat, version: presetVersion, presets }, null, 2);
+
+// Accepts an exported library, a bare array or a single preset, of any version
+export const parsePresetFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  const list = Array.isArray(data) ? data : data?.format === presetFileFormat ? data.presets : [data];
+  if (!Array.isArray(list)) throw new Error('The file contains no presets');
+  // Old slot arrays have empty slots
+  return list.filter(Boolean).map(migratePreset);
+};
+
+// --- Share Links ---
+// Only settings that differ from the defaults are kept, then the JSON is deflated
+// and base64url-encoded. Masks and thumbnails are left out to keep links short.
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+export const encodePresetHash = async (preset) => {
+  const compact = {
+    version: presetVersion,
+    layers: preset.layers.map(layer => {
+      const defaults = getEffectDefaults(layer.type);
+      const settings = Object.fromEntries(Object.entries(layer.settings).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[key])));
+      const out = { type: layer.type, settings };
+      if (!layer.enabled) out.enabled = false;
+      if (layer.opacity !== 100) out.opacity = layer.opacity;
+      if (layer.blend !== 'normal') out.blend = layer.blend;
+      if (Object.keys(layer.animation || {}).length) out.animation = layer.animation;
+      return out;
+    }),
+    transform: Object.fromEntries(Object.entries(preset.transform).filter(([key, value]) => value !== defaultTransform[key])),
+    seed: preset.seed,
+    timeline: preset.timeline
+  };
+  const json = new TextEncoder().encode(JSON.stringify(compact));
+  return toBase64Url(await pipeThrough(json, new CompressionStream('deflate')));
+};
+
+export const decodePresetHash = async (code) => {
+  const json = await pipeThrough(fromBase64Url(code), new DecompressionStream('deflate'));
+  return migratePreset({ name: 'Shared look', ...JSON.parse(new TextDecoder().decode(json)) });
+};
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateTrack, resolveLayersAt, isAnimated, lfoWaves, runPipeline } from '../src/effects/index.js';
+import { renderAnimation } from '../src/export/animation.js';
+import { gradient } from './fixtures.js';
+
+test('keyframes interpolate linearly and hold outside their range', () => {
+  const track = { type: 'keyframes', keyframes: [{ time: 1, value: 10 }, { time: 0, value: 0 }] };
+  assert.equal(evaluateTrack(track, 99, -1), 0);
+  assert.equal(evaluateTrack(track, 99, 0.25), 2.5);
+  assert.equal(evaluateTrack(track, 99, 5), 10);
+  assert.equal(evaluateTrack({ type: 'keyframes', keyframes: [] }, 7, 1), 7);
+});
+
+test('LFO waves swing around the base value', () => {
+  for (const [wave, fn] of Object.entries(lfoWaves)) {
+    for (let phase = -1; phase <= 2; phase += 0.05) {
+      assert.ok(fn(phase) >= -1 && fn(phase) <= 1, `${wave} at ${phase}`);
+    }
+    assert.ok(fn(0.25) > 0 && fn(0.75) < 0, wave);
+  }
+  const track = { type: 'lfo', wave: 'sine', rate: 1, depth: 10 };
+  assert.ok(Math.abs(evaluateTrack(track, 20, 0.25) - 30) < 1e-9);
+});
+
+test('resolved values are snapped to the param range and step', () => {
+  const layer = {
+    type: 'pixel', enabled: true, settings: { pixelSize: 8 },
+    animation: { pixelSize: { type: 'lfo', wave: 'square', rate: 1, depth: 100 } }
+  };
+  assert.equal(resolveLayersAt([layer], 0.1)[0].settings.pixelSize, 64);
+  assert.equal(resolveLayersAt([layer], 0.6)[0].settings.pixelSize, 2);
+  assert.equal(layer.settings.pixelSize, 8);
+  assert.ok(isAnimated([layer]));
+  assert.ok(!isAnimated([{ ...layer, animation: {} }]));
+});
+
+test('seeded grain is reproducible and changes with the seed', () => {
+  const layers = [{ type: 'bw', enabled: true, settings: { grain: 80 } }];
+  const a = runPipeline(gradient(16, 16), layers, { seed: 1 });
+  const b = runPipeline(gradient(16, 16), layers, { seed: 1 });
+  const c = runPipeline(gradient(16, 16), layers, { seed: 2 });
+  assert.deepEqual(a.data, b.data);
+  assert.notDeepEqual(a.data, c.data);
+});
+
+test('animations are encoded at the cropped and rotated size', () => {
+  const transform = { rotation: 90, cropAspect: '1:1', cropSize: 50 };
+  const frames = [];
+  renderAnimation({ source: gradient(40, 20), layers: [], transform, seed: 0, masks: {}, fps: 10, duration: 0.2, format: 'webm' }, { onFrame: (frame) => frames.push(frame) });
+  assert.deepEqual(frames.map(f => [f.width, f.height]), [[10, 10], [10, 10]]);
+
+  const bytes = renderAnimation({ source: gradient(40, 20), layers: [], transform, seed: 0, masks: {}, fps: 10, duration: 0.2, format: 'gif' });
+  const word = (at) => bytes[at] | (bytes[at + 1] << 8);
+  // Logical screen, then the first image descriptor after the loop and frame-delay extensions
+  assert.deepEqual([word(6), word(8)], [10, 10]);
+  assert.equal(bytes[40], 0x2C);
+  assert.deepEqual([word(45), word(47)], [10, 10]);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { traceContours, simplifyContour, smoothContour, outlineToSvg, getEffectDefaults } from '../src/effects/index.js';
+import { solid, split } from './fixtures.js';
+
+const disc = (w, h, cx, cy, r) => {
+  const field = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) field[y * w + x] = Math.hypot(x - cx, y - cy) < r ? 255 : 0;
+  return field;
+};
+
+test('a blob traces to one closed loop around it', () => {
+  const contours = traceContours(disc(30, 30, 15, 15, 8), 30, 30, 128);
+  assert.equal(contours.length, 1);
+  assert.ok(contours[0].closed);
+  const { points } = contours[0];
+  for (let k = 0; k < points.length; k += 2) {
+    const r = Math.hypot(points[k] - 15.5, points[k + 1] - 15.5);
+    assert.ok(r > 6.5 && r < 9.5, `point ${points[k]}, ${points[k + 1]}`);
+  }
+});
+
+test('lines that reach the border stay open and are interpolated', () => {
+  const field = new Float32Array(6 * 4);
+  for (let y = 0; y < 4; y++) for (let x = 0; x < 6; x++) field[y * 6 + x] = x * 50;
+  const [contour, ...rest] = traceContours(field, 6, 4, 125);
+  assert.equal(rest.length, 0);
+  assert.equal(contour.closed, false);
+  for (let k = 0; k < contour.points.length; k += 2) assert.equal(contour.points[k], 3);
+  assert.deepEqual([contour.points[1], contour.points.at(-1)].sort(), [0.5, 3.5]);
+});
+
+test('simplify drops collinear points and smoothing keeps open ends', () => {
+  const line = { points: [0, 0, 1, 0, 2, 0, 3, 0, 3, 3], closed: false };
+  assert.deepEqual(simplifyContour(line, 0.1).points, [0, 0, 3, 0, 3, 3]);
+  const smooth = smoothContour(simplifyContour(line, 0.1), 2);
+  assert.deepEqual(smooth.points.slice(0, 2), [0, 0]);
+  assert.deepEqual(smooth.points.slice(-2), [3, 3]);
+  assert.ok(smooth.points.length > 6);
+});
+
+test('outline svg keeps the background, line color and echoes', () => {
+  const settings = { ...getEffectDefaults('outline'), outlineOffsetCount: 2, outlineOffsetX: 3, outlineOffsetY: -2 };
+  const svg = outlineToSvg(split(20, 10), settings);
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="20" height="10" viewBox="0 0 20 10">/);
+  assert.match(svg, /<rect width="20" height="10" fill="#1a1a1a"\/>/);
+  assert.match(svg, /<g stroke="#ffffff">\n<path d="M/);
+  assert.equal(svg.match(/stroke="#ff0055" stroke-opacity="0.6"/g).length, 2);
+  assert.match(svg, /translate\(6 -4\)[\s\S]*translate\(3 -2\)/);
+  assert.doesNotMatch(outlineToSvg(solid(20, 10, [90, 90, 90]), settings), /<path/);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bayerMatrix, clusteredDotMatrix, blueNoiseMatrix } from '../src/effects/utils/ditherMatrices.js';
+
+// Every threshold rank appears exactly once
+const assertPermutation = ({ levels, values }) => {
+  assert.equal(values.length, levels);
+  assert.deepEqual([...values].sort((a, b) => a - b), Array.from({ length: levels }, (_, i) => i));
+};
+
+test('bayer matrices are permutations and 4x4 matches the classic table', () => {
+  for (const size of [2, 4, 8, 16]) assertPermutation(bayerMatrix(size));
+  assert.deepEqual([...bayerMatrix(2).values], [0, 2, 3, 1]);
+  assert.deepEqual([...bayerMatrix(4).values], [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5]);
+});
+
+test('clustered-dot matrix grows from the center', () => {
+  const matrix = clusteredDotMatrix(8);
+  assertPermutation(matrix);
+  assert.ok(matrix.values[3 * 8 + 3] < 4);
+  assert.ok(matrix.values[0] >= 60);
+});
+
+test('blue noise spreads the first points apart', () => {
+  const { size, values } = blueNoiseMatrix(16);
+  assertPermutation({ levels: size * size, values });
+  // The lowest ranks never touch each other, not even across the wrap-around
+  const first = [];
+  values.forEach((rank, i) => { if (rank < 16) first.push([i % size, Math.floor(i / size)]); });
+  for (const [ax, ay] of first) {
+    for (const [bx, by] of first) {
+      if (ax === bx && ay === by) continue;
+      const dx = Math.min(Math.abs(ax - bx), size - Math.abs(ax - bx));
+      const dy = Math.min(Math.abs(ay - by), size - Math.abs(ay - by));
+      assert.ok(dx > 1 || dy > 1);
+    }
+  }
+});
@@ -0,0 +1,420 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { effects, effectRegistry, getEffectDefaults, encodeJpeg, decodeJpeg, corruptJpeg, createRandom, curveLut, asciiGrid, asciiToText, asciiToAnsi } from '../src/effects/index.js';
+import { solid, gradient, split, pixelAt } from './fixtures.js';
+
+const apply = (type, image, overrides = {}) =>
+  effectRegistry[type].apply(image, { ...getEffectDefaults(type), ...overrides });
+
+test('every effect declares an id, label and defaults for each param', () => {
+  for (const effect of effects) {
+    assert.ok(effect.id && effect.label);
+    for (const param of effect.params) {
+      assert.ok(param.key && param.type, `${effect.id} has an incomplete param`);
+      assert.notEqual(param.default, undefined, `${effect.id}.${param.key} has no default`);
+    }
+  }
+});
+
+test('every effect keeps the size, leaves its input untouched and returns opaque pixels', () => {
+  const input = gradient(17, 9);
+  const before = new Uint8ClampedArray(input.data);
+  for (const effect of effects) {
+    const output = apply(effect.id, input);
+    assert.equal(output.width, 17, effect.id);
+    assert.equal(output.height, 9, effect.id);
+    assert.equal(output.data.length, input.data.length, effect.id);
+    assert.deepEqual(input.data, before, `${effect.id} mutated its input`);
+    for (let i = 3; i < output.data.length; i += 4) assert.equal(output.data[i], 255, effect.id);
+  }
+});
+
+test('pixel: every block is a single color', () => {
+  const output = apply('pixel', gradient(16, 4), { pixelSize: 4 });
+  for (let x = 0; x < 16; x++) {
+    assert.deepEqual(pixelAt(output, x, 3), pixelAt(output, x - (x % 4), 0));
+  }
+});
+
+test('pixel: a size larger than the image does not produce empty output', () => {
+  const output = apply('pixel', solid(3, 3, [10, 20, 30]), { pixelSize: 64 });
+  assert.deepEqual(pixelAt(output, 2, 2), [10, 20, 30, 255]);
+});
+
+test('bw: output is grayscale', () => {
+  const output = apply('bw', solid(4, 4, [255, 0, 0]));
+  const [r, g, b] = pixelAt(output, 1, 1);
+  assert.equal(r, g);
+  assert.equal(g, b);
+});
+
+test('dither: black & white only produces pure black or white', () => {
+  const algos = effectRegistry.dither.params.find(p => p.key === 'ditherAlgo').options.map(o => o.value);
+  for (const ditherAlgo of algos) {
+    const output = apply('dither', gradient(32, 8), { ditherAlgo });
+    for (let i = 0; i < output.data.length; i += 4) {
+      assert.ok(output.data[i] === 0 || output.data[i] === 255, ditherAlgo);
+    }
+  }
+});
+
+test('dither: serpentine scanning changes the error diffusion pattern', () => {
+  const input = gradient(32, 8);
+  const plain = apply('dither', input, { ditherAlgo: 'floyd' });
+  assert.notDeepEqual(apply('dither', input, { ditherAlgo: 'floyd', serpentine: true }).data, plain.data);
+  // Ordered dithering ignores scan order
+  assert.deepEqual(apply('dither', input, { ditherAlgo: 'bayer', serpentine: true }).data, apply('dither', input, { ditherAlgo: 'bayer' }).data);
+});
+
+test('dither: cell size dithers whole blocks', () => {
+  const output = apply('dither', gradient(32, 8), { ditherAlgo: 'bayer', ditherPixelSize: 4 });
+  for (let x = 0; x < 32; x++) assert.deepEqual(pixelAt(output, x, 3), pixelAt(output, x - (x % 4), 0));
+});
+
+test('dither: palette mode only produces palette colors', () => {
+  const palette = ['15,56,15', '48,98,48', '139,172,15', '155,188,15']; // Game Boy
+  for (const ditherAlgo of ['floyd', 'atkinson', 'bayer', 'threshold']) {
+    const output = apply('dither', gradient(32, 8), { ditherType: 'palette', palette: 'gameboy', ditherAlgo });
+    for (let i = 0; i < output.data.length; i += 4) {
+      assert.ok(palette.includes(Array.from(output.data.subarray(i, i + 3)).join()), ditherAlgo);
+    }
+  }
+});
+
+test('dither: RGB error diffusion keeps the average color', () => {
+  const output = apply('dither', solid(32, 32, [255, 0, 0]), { ditherType: 'palette', palette: 'custom', customPalette: ['#000000', '#ff0000', '#0000ff'] });
+  assert.deepEqual(pixelAt(output, 5, 5), [255, 0, 0, 255]);
+  const mixed = apply('dither', solid(32, 32, [128, 0, 128]), { ditherType: 'palette', palette: 'custom', customPalette: ['#000000', '#ff0000', '#0000ff'] });
+  let r = 0, b = 0;
+  for (let i = 0; i < mixed.data.length; i += 4) { r += mixed.data[i]; b += mixed.data[i + 2]; }
+  assert.ok(Math.abs(r / 1024 - 128) < 8 && Math.abs(b / 1024 - 128) < 8);
+});
+
+test('chromatic: zero offset is the identity', () => {
+  const input = gradient(8, 8);
+  assert.deepEqual(apply('chromatic', input, { offset: 0 }).data, input.data);
+});
+
+test('sort: bright spans come out ordered by luminance', () => {
+  const input = gradient(10, 1);
+  input.data.set([255, 255, 255, 255], 1 * 4); // a white pixel out of order at x = 1
+  const output = apply('sort', input, { sortThreshold: 10 });
+  const lums = [];
+  for (let x = 1; x < 10; x++) lums.push(pixelAt(output, x, 0)[0]);
+  assert.deepEqual(lums, [...lums].sort((a, b) => a - b));
+});
+
+test('sort: whole rows sort descending along the chosen key', () => {
+  const output = apply('sort', gradient(10, 1), { sortMode: 'row', sortOrder: 'desc', sortKey: 'red' });
+  const reds = [];
+  for (let x = 0; x < 10; x++) reds.push(pixelAt(output, x, 0)[0]);
+  assert.deepEqual(reds, [...reds].sort((a, b) => b - a));
+});
+
+test('sort: vertical and angled sorting only move pixels along their line', () => {
+  const input = gradient(12, 12);
+  // Columns of a horizontal gradient are flat, so vertical sorting changes nothing
+  assert.deepEqual(apply('sort', input, { sortMode: 'row', sortDirection: 'vertical' }).data, input.data);
+  const angled = apply('sort', input, { sortMode: 'row', sortDirection: 'angle', sortAngle: 30, sortOrder: 'desc' });
+  const values = (image) => Array.from(new Uint32Array(image.data.buffer)).sort();
+  assert.deepEqual(values(angled), values(input));
+  assert.notDeepEqual(angled.data, input.data);
+});
+
+test('sort: pixels outside the mask stay in place', () => {
+  const input = gradient(10, 1);
+  const mask = new Uint8Array(10).fill(255);
+  mask[4] = 0;
+  const output = effectRegistry.sort.apply(input, { ...getEffectDefaults('sort'), sortMode: 'row', sortOrder: 'desc' }, { mask });
+  assert.deepEqual(pixelAt(output, 4, 0), pixelAt(input, 4, 0));
+  assert.deepEqual(pixelAt(output, 0, 0), pixelAt(input, 3, 0));
+  assert.deepEqual(pixelAt(output, 5, 0), pixelAt(input, 9, 0));
+});
+
+test('edge: a flat image has no edges, not even at the border', () => {
+  const output = apply('edge', solid(6, 6, [200, 200, 200]));
+  for (let i = 0; i < output.data.length; i += 4) assert.equal(output.data[i + 1], 0);
+});
+
+test('edge: a vertical step is only detected next to the step', () => {
+  const output = apply('edge', split(8, 4), { edgeMode: 'white' });
+  for (let x = 0; x < 8; x++) {
+    const isEdge = pixelAt(output, x, 2)[0] === 255;
+    assert.equal(isEdge, x === 3 || x === 4, `x = ${x}`);
+  }
+});
+
+test('outline: thick lines on the right border do not wrap onto the next row', () => {
+  const input = solid(8, 4, [0, 0, 0]);
+  for (let y = 0; y < 4; y++) input.data.set([255, 255, 255, 255], (y * 8 + 7) * 4);
+  const output = apply('outline', input, { outlineThickness: 4, outlineColor: '#ffffff', outlineBg: '#000000' });
+  assert.deepEqual(pixelAt(output, 0, 2), [0, 0, 0, 255]);
+});
+
+test('halftone: white paper stays white, black fills with ink', () => {
+  assert.deepEqual(pixelAt(apply('halftone', solid(16, 16, [255, 255, 255])), 4, 4), [255, 255, 255, 255]);
+  assert.deepEqual(pixelAt(apply('halftone', solid(16, 16, [0, 0, 0]), { dotSize: 8 }), 4, 4), [0, 0, 0, 255]);
+});
+
+test('jpeg: a clean round trip stays close to the source', () => {
+  const input = gradient(40, 24);
+  const output = apply('jpeg', input, { jpegQuality: 95, jpegCorruption: 0 });
+  for (let i = 0; i < input.data.length; i += 4) assert.ok(Math.abs(output.data[i] - input.data[i]) <= 4, `pixel ${i / 4}`);
+});
+
+test('jpeg: quality 100 encodes hard black and white edges', () => {
+  // A one-pixel checkerboard pushes coefficients past the baseline Huffman range unless clamped
+  const input = solid(16, 16, [0, 0, 0]);
+  for (let i = 0; i < 16 * 16; i++) if (((i % 16) + (i >> 4)) % 2) input.data.fill(255, i * 4, i * 4 + 3);
+  const settings = { jpegQuality: 100, jpegGenerations: 2, jpegCorruption: 0, jpegSubsample: false };
+  const output = apply('jpeg', input, settings);
+  for (let i = 0; i < input.data.length; i += 4) assert.ok(Math.abs(output.data[i] - input.data[i]) <= 64, `pixel ${i / 4}`);
+  const decoded = decodeJpeg(encodeJpeg(input, { quality: 100, subsample: false }));
+  assert.deepEqual([decoded.width, decoded.height], [16, 16]);
+});
+
+test('jpeg: corruption always decodes and follows the seed', () => {
+  const input = gradient(64, 48);
+  const settings = { ...getEffectDefaults('jpeg'), jpegCorruption: 100, jpegSpread: 'image' };
+  const a = effectRegistry.jpeg.apply(input, settings, { seed: 1 });
+  const b = effectRegistry.jpeg.apply(input, settings, { seed: 1 });
+  assert.deepEqual(a.data, b.data);
+  assert.equal(a.width, 64);
+  assert.equal(a.height, 48);
+});
+
+test('jpeg codec: corrupted streams keep their markers', () => {
+  const bytes = encodeJpeg(gradient(32, 32), { quality: 50, restartInterval: 2 });
+  const corrupted = corruptJpeg(bytes, 0.5, createRandom(3));
+  assert.notDeepEqual(corrupted, bytes);
+  const markers = (b) => b.filter((v, i) => b[i - 1] === 0xFF && v !== 0).join();
+  assert.equal(markers(corrupted), markers(bytes));
+  assert.equal(decodeJpeg(corrupted).width, 32);
+});
+
+test('tear: whole slices shift together and untouched rows stay put', () => {
+  const input = gradient(20, 40);
+  const output = effectRegistry.tear.apply(input, { ...getEffectDefaults('tear'), tearDensity: 50, tearShift: 5, tearHeight: 4 }, { random: createRandom(2) });
+  let torn = 0;
+  for (let y = 0; y < 40; y++) {
+    const shift = [...Array(11).keys()].map(s => s - 5).find(s => pixelAt(output, 10, y)[0] === pixelAt(input, 10 - s, y)[0]);
+    assert.notEqual(shift, undefined, `row ${y}`);
+    if (shift !== 0) torn++;
+  }
+  assert.ok(torn > 0);
+});
+
+test('blocks: swapping only rearranges pixels', () => {
+  const input = gradient(32, 32);
+  for (let i = 1; i < input.data.length; i += 4) input.data[i] = Math.floor(i / 128);
+  const output = effectRegistry.blocks.apply(input, { ...getEffectDefaults('blocks'), blockSize: 8, blockAmount: 100 }, { random: createRandom(5) });
+  const sorted = (image) => Array.from(new Uint32Array(image.data.buffer)).sort((a, b) => a - b);
+  assert.deepEqual(sorted(output), sorted(input));
+  assert.notDeepEqual(output.data, input.data);
+});
+
+test('blocks: a drifted block is replaced in full, even near the edges', () => {
+  // Red and green hold each pixel's coordinates, so every block must show one consistent offset
+  const input = solid(32, 32, [0, 0, 0]);
+  for (let i = 0; i < 32 * 32; i++) input.data.set([i % 32, i >> 5], i * 4);
+  const output = effectRegistry.blocks.apply(input, { ...getEffectDefaults('blocks'), blockMode: 'drift', blockSize: 8, blockAmount: 100, blockDistance: 400 }, { random: createRandom(3) });
+  for (let by = 0; by < 32; by += 8) {
+    for (let bx = 0; bx < 32; bx += 8) {
+      const [ox, oy] = pixelAt(output, bx, by);
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) assert.deepEqual(pixelAt(output, bx + x, by + y).slice(0, 2), [ox + x, oy + y], `block ${bx},${by}`);
+      }
+    }
+  }
+  assert.notDeepEqual(output.data, input.data);
+});
+
+test('channels: rotation moves each channel along', () => {
+  const output = apply('channels', solid(2, 2, [10, 20, 30]), { channelOrder: 'gbr' });
+  assert.deepEqual(pixelAt(output, 1, 1), [20, 30, 10, 255]);
+});
+
+test('crt: with the analog stages off it only applies scanlines and vignette', () => {
+  const output = apply('crt', solid(4, 4, [200, 200, 200]), { scanlineIntensity: 50, scanlineThickness: 2, vignette: 0 });
+  assert.deepEqual(pixelAt(output, 1, 0), [100, 100, 100, 255]);
+  assert.deepEqual(pixelAt(output, 1, 1), [200, 200, 200, 255]);
+});
+
+test('crt: an aperture grille lights one phosphor per column', () => {
+  const output = apply('crt', solid(6, 2, [200, 200, 200]), { scanlineIntensity: 0, vignette: 0, crtMask: 'aperture', crtMaskStrength: 100 });
+  assert.deepEqual(pixelAt(output, 0, 0), [200, 0, 0, 255]);
+  assert.deepEqual(pixelAt(output, 1, 1), [0, 200, 0, 255]);
+  assert.deepEqual(pixelAt(output, 5, 0), [0, 0, 200, 255]);
+});
+
+test('crt: barrel curvature blacks out the corners but keeps the center', () => {
+  const output = apply('crt', solid(40, 30, [200, 200, 200]), { scanlineIntensity: 0, vignette: 0, crtCurvature: 100 });
+  assert.deepEqual(pixelAt(output, 0, 0), [0, 0, 0, 255]);
+  assert.deepEqual(pixelAt(output, 20, 15), [200, 200, 200, 255]);
+});
+
+test('crt: alpha follows the source with or without curvature', () => {
+  const input = solid(40, 30, [200, 200, 200, 128]);
+  assert.equal(apply('crt', input, { crtCurvature: 0 }).data[(15 * 40 + 20) * 4 + 3], 128);
+  const curved = apply('crt', input, { crtCurvature: 20 });
+  assert.equal(curved.data[(15 * 40 + 20) * 4 + 3], 128);
+  assert.equal(pixelAt(apply('crt', input, { crtCurvature: 100 }), 0, 0)[3], 255);
+});
+
+test('crt: chroma bleed leaves gray untouched and smears color edges', () => {
+  const gray = apply('crt', gradient(16, 2), { scanlineIntensity: 0, vignette: 0, crtChromaBleed: 8, crtChromaShift: 3 });
+  for (let x = 0; x < 16; x++) assert.ok(Math.abs(pixelAt(gray, x, 0)[0] - pixelAt(gradient(16, 2), x, 0)[0]) <= 1);
+  const edge = solid(16, 1, [0, 0, 255]);
+  for (let x = 0; x < 8; x++) edge.data.set([255, 0, 0], x * 4);
+  const smeared = apply('crt', edge, { scanlineIntensity: 0, vignette: 0, crtChromaBleed: 8 });
+  assert.ok(pixelAt(smeared, 7, 0)[2] > 40);
+});
+
+test('crt: jitter and tracking noise follow the seed', () => {
+  const settings = { ...getEffectDefaults('crt'), crtJitter: 4, crtTracking: 80 };
+  const a = effectRegistry.crt.apply(gradient(32, 32), settings, { random: createRandom(9), seed: 9 });
+  const b = effectRegistry.crt.apply(gradient(32, 32), settings, { random: createRandom(9), seed: 9 });
+  assert.deepEqual(a.data, b.data);
+  assert.notDeepEqual(a.data, apply('crt', gradient(32, 32)).data);
+});
+
+test('halftone: cells print their average, not a single sample', () => {
+  // A fine checkerboard averages to mid gray, so every cell carries a mid-sized dot
+  const checker = solid(32, 32, [0, 0, 0]);
+  for (let i = 0; i < 32 * 32; i++) if (((i % 32) + Math.floor(i / 32)) % 2) checker.data.set([255, 255, 255], i * 4);
+  const output = apply('halftone', checker, { dotSize: 8, halftoneAngle: 0 });
+  let ink = 0;
+  for (let i = 0; i < output.data.length; i += 4) ink += 1 - output.data[i] / 255;
+  assert.ok(Math.abs(ink / (32 * 32) - 0.5) < 0.08, `ink coverage ${ink / 1024}`);
+});
+
+test('halftone: every dot shape tracks the ink amount', () => {
+  for (const dotShape of ['circle', 'ellipse', 'square', 'diamond', 'line']) {
+    const output = apply('halftone', solid(40, 40, [191, 191, 191]), { dotSize: 10, dotShape, halftoneAngle: 30 });
+    let ink = 0;
+    for (let i = 0; i < output.data.length; i += 4) ink += 1 - output.data[i] / 255;
+    assert.ok(Math.abs(ink / 1600 - 0.25) < 0.06, `${dotShape}: ${ink / 1600}`);
+  }
+});
+
+test('halftone: cmyk prints custom inks on the paper color', () => {
+  const settings = { halftoneMode: 'cmyk', halftonePaper: '#f0e8d0', inkCyan: '#0000ff' };
+  assert.deepEqual(pixelAt(apply('halftone', solid(16, 16, [255, 255, 255]), settings), 5, 5), [240, 232, 208, 255]);
+  // Pure cyan only runs the cyan plate, here a blue ink that removes red and green
+  const cyan = apply('halftone', solid(16, 16, [0, 255, 255]), settings);
+  const center = pixelAt(cyan, 8, 8);
+  assert.ok(center[0] < 120 && center[2] === 208, `${center}`);
+});
+
+test('halftone: misregistration follows the seed', () => {
+  const settings = { ...getEffectDefaults('halftone'), halftoneMode: 'cmyk', halftoneRegistration: 6 };
+  const a = effectRegistry.halftone.apply(gradient(24, 24), settings, { random: createRandom(4) });
+  const b = effectRegistry.halftone.apply(gradient(24, 24), settings, { random: createRandom(4) });
+  const c = effectRegistry.halftone.apply(gradient(24, 24), settings, { random: createRandom(8) });
+  assert.deepEqual(a.data, b.data);
+  assert.notDeepEqual(a.data, c.data);
+});
+
+test('grade: defaults leave the image untouched', () => {
+  const input = gradient(32, 4);
+  input.data[1] = 90;
+  assert.deepEqual(apply('grade', input).data, input.data);
+});
+
+test('grade: levels stretch the range between the black and white points', () => {
+  const output = apply('grade', gradient(256, 1), { levelsBlack: 50, levelsWhite: 200 });
+  assert.equal(pixelAt(output, 40, 0)[0], 0);
+  assert.equal(pixelAt(output, 125, 0)[0], 128);
+  assert.equal(pixelAt(output, 220, 0)[0], 255);
+});
+
+test('grade: curves are monotone through their points', () => {
+  const lut = curveLut([[0, 0], [64, 128], [128, 140], [255, 255]]);
+  assert.equal(lut[64], 128);
+  assert.equal(lut[128], 140);
+  for (let i = 1; i < 256; i++) assert.ok(lut[i] >= lut[i - 1], `step ${i}`);
+  const output = apply('grade', solid(2, 2, [64, 64, 64]), { curves: { rgb: [[0, 0], [255, 255]], r: [[0, 0], [64, 128], [255, 255]] } });
+  assert.deepEqual(pixelAt(output, 0, 0), [128, 64, 64, 255]);
+});
+
+test('grade: hue, saturation and invert', () => {
+  assert.deepEqual(pixelAt(apply('grade', solid(2, 2, [255, 0, 0]), { hue: 120 }), 0, 0), [0, 255, 0, 255]);
+  assert.deepEqual(pixelAt(apply('grade', solid(2, 2, [200, 100, 50]), { saturation: -100 }), 0, 0), [125, 125, 125, 255]);
+  assert.deepEqual(pixelAt(apply('grade', solid(2, 2, [200, 100, 50]), { gradeInvert: true }), 0, 0), [55, 155, 205, 255]);
+});
+
+test('grade: color maps remap luminance to the ramp', () => {
+  const duotone = apply('grade', gradient(256, 1), { gradeMap: 'duotone', mapShadow: '#ff0000', mapHighlight: '#0000ff' });
+  assert.deepEqual(pixelAt(duotone, 0, 0), [255, 0, 0, 255]);
+  assert.deepEqual(pixelAt(duotone, 255, 0), [0, 0, 255, 255]);
+  const map = apply('grade', gradient(256, 1), { gradeMap: 'gradient', mapGradient: [{ at: 100, color: '#ffffff' }, { at: 0, color: '#000000' }, { at: 50, color: '#00ff00' }] });
+  const [r, g, b] = pixelAt(map, 128, 0);
+  assert.ok(r <= 2 && g >= 253 && b <= 2, `${[r, g, b]}`);
+});
+
+test('grade: posterize snaps to evenly spaced levels', () => {
+  const output = apply('grade', gradient(256, 1), { posterize: 2 });
+  const values = new Set(Array.from({ length: 256 }, (_, x) => pixelAt(output, x, 0)[0]));
+  assert.deepEqual([...values].sort((a, b) => a - b), [0, 255]);
+});
+
+test('edge: every operator finds a step and ignores flat areas', () => {
+  for (const edgeOperator of ['sobel', 'prewitt', 'scharr', 'log', 'canny']) {
+    const output = apply('edge', split(24, 8), { edgeOperator, edgeMode: 'white' });
+    const row = Array.from({ length: 24 }, (_, x) => pixelAt(output, x, 4)[0] > 0);
+    assert.ok(row.slice(10, 14).some(Boolean), `${edgeOperator} misses the step`);
+    assert.ok(!row.slice(0, 9).some(Boolean) && !row.slice(15).some(Boolean), `${edgeOperator} marks flat pixels`);
+  }
+});
+
+test('edge: canny thins the step to a single line', () => {
+  const output = apply('edge', split(24, 8), { edgeOperator: 'canny', edgeMode: 'white' });
+  assert.equal(Array.from({ length: 24 }, (_, x) => pixelAt(output, x, 4)[0]).filter(Boolean).length, 1);
+});
+
+test('edge: line weight widens lines and overlay keeps the source', () => {
+  const thin = apply('edge', split(24, 8), { edgeOperator: 'canny', edgeMode: 'white', edgeThickness: 3, edgeComposite: 'overlay' });
+  const row = Array.from({ length: 24 }, (_, x) => pixelAt(thin, x, 4)[1]);
+  assert.deepEqual(row.slice(0, 10), Array(10).fill(0));
+  assert.deepEqual(row.slice(15), Array(9).fill(255));
+  assert.equal(row.filter((v, x) => v === 255 && x < 12).length, 1);
+});
+
+test('edge: direction hue colors opposite slopes differently', () => {
+  const ramp = split(24, 8);
+  for (let x = 18; x < 24; x++) for (let y = 0; y < 8; y++) ramp.data.fill(0, (y * 24 + x) * 4, (y * 24 + x) * 4 + 3);
+  const output = apply('edge', ramp, { edgeMode: 'direction' });
+  assert.notDeepEqual(pixelAt(output, 12, 4), pixelAt(output, 18, 4));
+});
+
+test('outline: contours are drawn as smooth lines over the background', () => {
+  const output = apply('outline', split(20, 10), { outlineThickness: 2 });
+  // The boundary between the halves sits at x = 10
+  assert.deepEqual(pixelAt(output, 9, 5), [255, 255, 255, 255]);
+  assert.deepEqual(pixelAt(output, 10, 5), [255, 255, 255, 255]);
+  assert.deepEqual(pixelAt(output, 2, 5), [26, 26, 26, 255]);
+  assert.deepEqual(pixelAt(output, 16, 5), [26, 26, 26, 255]);
+});
+
+test('ascii: cell luminance picks from the ramp', () => {
+  const settings = { ...getEffectDefaults('ascii'), asciiCellSize: 10, asciiCharset: 'custom', asciiCustom: ' .#' };
+  // Cells are 6 px wide for a 10 px cell size
+  assert.equal(asciiToText(split(24, 20), settings), '  ##\n  ##\n');
+  assert.equal(asciiToText(split(24, 20), { ...settings, asciiInvert: true }), '##\n##\n');
+});
+
+test('ascii: glyphs draw in the ink over the background', () => {
+  const output = apply('ascii', solid(12, 16, [255, 255, 255]), { asciiCellSize: 16, asciiCharset: 'custom', asciiCustom: '#', asciiInk: '#ff0000', asciiBg: '#0000ff' });
+  const colors = new Set();
+  for (let i = 0; i < output.data.length; i += 4) colors.add(output.data.slice(i, i + 3).join());
+  assert.ok(colors.has('255,0,0') && colors.has('0,0,255'), [...colors].join(' '));
+});
+
+test('ascii: ansi output carries the source colors', () => {
+  // Luminance 72 lands on ':' in the classic ramp
+  const image = solid(12, 10, [200, 40, 10]);
+  const ansi = asciiToAnsi(image, { ...getEffectDefaults('ascii'), asciiCellSize: 10, asciiColor: 'source' });
+  assert.equal(ansi, '\x1b[48;2;0;0;0m\x1b[38;2;200;40;10m::\x1b[0m\n');
+  const palette = asciiGrid(solid(12, 10, [230, 60, 220]), { ...getEffectDefaults('ascii'), asciiCellSize: 10, asciiColor: 'palette', asciiPalette: 'cga' });
+  assert.deepEqual(Array.from(palette.inks.slice(0, 3)), [255, 85, 255]);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, createZipWriter } from '../src/export/zip.js';
+import { formatOutputName, uniqueName } from '../src/export/naming.js';
+
+test('crc32 matches the standard check values', () => {
+  assert.equal(crc32(new TextEncoder().encode('hello')), 0x3610a686);
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('zip writer stores files with a central directory', async () => {
+  const zip = createZipWriter();
+  const first = new TextEncoder().encode('first file');
+  zip.addFile('a.png', first);
+  zip.addFile('folder/b.png', new Uint8Array([1, 2, 3]));
+  const bytes = new Uint8Array(await zip.finish().arrayBuffer());
+  const view = new DataView(bytes.buffer);
+
+  assert.equal(view.getUint32(0, true), 0x04034B50);
+  assert.equal(view.getUint32(14, true), crc32(first));
+  assert.deepEqual(bytes.subarray(30 + 5, 30 + 5 + first.length), first);
+
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  const directory = view.getUint32(end + 16, true);
+  assert.equal(view.getUint32(directory, true), 0x02014B50);
+  assert.equal(new TextDecoder().decode(bytes.subarray(directory + 46, directory + 46 + 5)), 'a.png');
+});
+
+test('output names fill tokens and avoid collisions', () => {
+  const date = new Date(2024, 2, 5, 9, 7, 3);
+  assert.equal(formatOutputName('{name}_{index}_{date}_{time}', { name: 'cat.photo.jpg', index: 3, count: 120, date }), 'cat.photo_003_2024-03-05_090703');
+  assert.equal(formatOutputName('{name}: {unknown}', { name: 'a/b.png' }), 'a_b_ {unknown}');
+
+  const used = new Set();
+  assert.equal(uniqueName('out.png', used), 'out.png');
+  assert.equal(uniqueName('OUT.png', used), 'OUT (2).png');
+  assert.equal(uniqueName('out.png', used), 'out (3).png');
+});
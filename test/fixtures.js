@@ -0,0 +1,41 @@
+// Small synthetic ImageData buffers for running effects under Node
+import { createImageData } from '../src/effects/index.js';
+
+export const solid = (width, height, [r, g, b, a = 255]) => {
+  const image = createImageData(width, height);
+  for (let i = 0; i < image.data.length; i += 4) {
+    image.data[i] = r; image.data[i+1] = g; image.data[i+2] = b; image.data[i+3] = a;
+  }
+  return image;
+};
+
+// Left-to-right grayscale ramp from 0 to 255
+export const gradient = (width, height) => {
+  const image = createImageData(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const v = Math.round((x / Math.max(1, width - 1)) * 255);
+      image.data[i] = image.data[i+1] = image.data[i+2] = v;
+      image.data[i+3] = 255;
+    }
+  }
+  return image;
+};
+
+// Black left half, white right half
+export const split = (width, height) => {
+  const image = solid(width, height, [0, 0, 0]);
+  for (let y = 0; y < height; y++) {
+    for (let x = Math.floor(width / 2); x < width; x++) {
+      const i = (y * width + x) * 4;
+      image.data[i] = image.data[i+1] = image.data[i+2] = 255;
+    }
+  }
+  return image;
+};
+
+export const pixelAt = (image, x, y) => {
+  const i = (y * image.width + x) * 4;
+  return Array.from(image.data.slice(i, i + 4));
+};
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lzwEncode, createGifEncoder } from '../src/export/gif.js';
+import { medianCut, createNearestColor } from '../src/effects/index.js';
+import { gradient, solid } from './fixtures.js';
+
+// Reference GIF LZW decoder, written straight from the spec
+const lzwDecode = (bytes, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  const reset = () => {
+    table = [];
+    for (let i = 0; i < clearCode; i++) table.push([i]);
+    table.push(null, null);
+    codeSize = minCodeSize + 1;
+  };
+  reset();
+  const out = [];
+  let bitPos = 0, prev = null;
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bitPos++) {
+      code |= ((bytes[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+    }
+    return code;
+  };
+  for (;;) {
+    const code = read();
+    if (code === clearCode) { reset(); prev = null; continue; }
+    if (code === eoiCode) break;
+    let entry;
+    if (code < table.length) entry = table[code];
+    else entry = [...table[prev], table[prev][0]];
+    out.push(...entry);
+    if (prev !== null) table.push([...table[prev], entry[0]]);
+    prev = code;
+    if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+  }
+  return out;
+};
+
+test('LZW output decodes back to the same indices', () => {
+  const indices = new Uint8Array(5000);
+  for (let i = 0; i < indices.length; i++) indices[i] = (i * 7 + (i >> 5)) % 16;
+  assert.deepEqual(lzwDecode(lzwEncode(indices, 4), 4), Array.from(indices));
+});
+
+test('LZW survives a full code table and the clear that follows', () => {
+  const indices = new Uint8Array(40000);
+  for (let i = 0; i < indices.length; i++) indices[i] = (i * 2654435761 >>> 24) & 255;
+  assert.deepEqual(lzwDecode(lzwEncode(indices, 8), 8), Array.from(indices));
+});
+
+test('median cut returns at most the requested colors', () => {
+  const palette = medianCut(gradient(64, 4).data, 8);
+  assert.equal(palette.length, 8);
+  assert.equal(medianCut(solid(4, 4, [9, 9, 9]).data, 8).length, 1);
+});
+
+test('nearest color picks the closest palette entry', () => {
+  const nearest = createNearestColor([[0, 0, 0], [255, 255, 255], [255, 0, 0]]);
+  assert.equal(nearest(250, 10, 10), 2);
+  assert.equal(nearest(200, 200, 200), 1);
+});
+
+test('encoder writes a looping GIF89a with one image per frame', () => {
+  const gif = createGifEncoder(8, 4);
+  gif.addFrame(gradient(8, 4), 10);
+  gif.addFrame(solid(8, 4, [255, 0, 0]), 10);
+  const bytes = gif.finish();
+  assert.equal(String.fromCharCode(...bytes.slice(0, 6)), 'GIF89a');
+  assert.equal(bytes[6] | (bytes[7] << 8), 8);
+  assert.equal(bytes[8] | (bytes[9] << 8), 4);
+  assert.ok(String.fromCharCode(...bytes.slice(0, 40)).includes('NETSCAPE2.0'));
+  assert.equal(bytes.filter(b => b === 0x2C).length >= 2, true);
+  assert.equal(bytes[bytes.length - 1], 0x3B);
+});
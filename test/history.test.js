@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordHistory, describeChange, canUndo, canRedo, maxHistory } from '../src/history.js';
+import { getEffectDefaults, defaultTransform } from '../src/effects/index.js';
+
+const pixel = { id: 'a', type: 'pixel', enabled: true, opacity: 100, blend: 'normal', settings: getEffectDefaults('pixel'), animation: {}, mask: null };
+const start = { originalImage: null, layers: [pixel], masks: [], transform: defaultTransform, seed: 1, timeline: { fps: 12, duration: 2 } };
+
+test('recording starts a history and skips unchanged documents', () => {
+  const history = recordHistory(null, start);
+  assert.equal(history.entries.length, 1);
+  assert.ok(!canUndo(history) && !canRedo(history));
+  assert.equal(recordHistory(history, { ...start }), history);
+});
+
+test('recording after an undo drops the redo branch', () => {
+  let history = recordHistory(null, start);
+  history = recordHistory(history, { ...start, transform: { ...defaultTransform, flipH: true } });
+  history = recordHistory(history, { ...start, transform: { ...defaultTransform, flipH: true }, seed: 2 });
+  history = { ...history, index: 0 };
+  assert.ok(canRedo(history));
+  history = recordHistory(history, { ...start, seed: 3 });
+  assert.deepEqual(history.entries.map(e => e.label), ['Open', 'Seed 3']);
+  assert.ok(!canRedo(history));
+});
+
+test('history is capped', () => {
+  let history = recordHistory(null, start);
+  for (let seed = 2; seed < maxHistory + 20; seed++) history = recordHistory(history, { ...start, seed });
+  assert.equal(history.entries.length, maxHistory);
+  assert.equal(history.index, maxHistory - 1);
+  assert.equal(history.entries[history.index].doc.seed, maxHistory + 19);
+});
+
+test('changes are described by what changed', () => {
+  const edited = { ...pixel, settings: { ...pixel.settings, pixelSize: 12 } };
+  assert.equal(describeChange(start, { ...start, layers: [edited] }), 'Pixel: Size');
+  assert.equal(describeChange(start, { ...start, layers: [{ ...pixel, enabled: false }] }), 'Hide Pixel');
+  assert.equal(describeChange(start, { ...start, layers: [pixel, { ...pixel, id: 'b', type: 'sort' }] }), 'Add Sort');
+  assert.equal(describeChange(start, { ...start, layers: [] }), 'Clear all effects');
+  assert.equal(describeChange(start, { ...start, transform: { ...defaultTransform, cropAspect: '1:1' } }), 'Crop');
+  assert.equal(describeChange(start, { ...start, originalImage: {} }), 'Load image');
+  assert.equal(recordHistory(recordHistory(null, start), { ...start, seed: 9 }, 'Load preset 1').entries[1].label, 'Load preset 1');
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  runPipeline, createMask, invertMask, featherMask, paintStroke, maskFromLuminance, maskFromEdges, resampleMask, encodeMask, decodeMask
+} from '../src/effects/index.js';
+import { gradient, split, pixelAt } from './fixtures.js';
+
+test('masks survive an encode / decode round trip', () => {
+  const mask = createMask(200, 150);
+  paintStroke(mask, 20, 20, 160, 100, { radius: 12, hardness: 0.8 });
+  const encoded = JSON.parse(JSON.stringify(encodeMask(mask)));
+  assert.deepEqual(decodeMask(encoded), mask);
+  assert.ok(encoded.rle.length < mask.data.length / 2);
+});
+
+test('brush strokes paint, erase and fade at the edge', () => {
+  const mask = createMask(20, 20);
+  paintStroke(mask, 10, 10, 10, 10, { radius: 5, hardness: 0.5 });
+  assert.equal(mask.data[10 * 20 + 10], 255);
+  assert.ok(mask.data[10 * 20 + 14] > 0 && mask.data[10 * 20 + 14] < 255);
+  assert.equal(mask.data[0], 0);
+  paintStroke(mask, 10, 10, 10, 10, { radius: 5, hardness: 1, value: 0 });
+  assert.equal(mask.data[10 * 20 + 10], 0);
+});
+
+test('invert and feather', () => {
+  const mask = createMask(16, 16, 255);
+  assert.ok(invertMask(mask).data.every(v => v === 0));
+  // A flat mask stays flat; a hard edge becomes a ramp
+  assert.ok(featherMask(mask, 6).data.every(v => v === 255));
+  const edge = createMask(40, 1);
+  edge.data.fill(255, 20);
+  const soft = featherMask(edge, 6).data;
+  assert.ok(soft[19] > 0 && soft[20] < 255 && soft[0] === 0 && soft[39] === 255);
+});
+
+test('luminance and edge masks follow the image', () => {
+  const lum = maskFromLuminance(gradient(11, 1), 100, 200);
+  assert.deepEqual(Array.from(lum.data), [0, 0, 0, 0, 255, 255, 255, 255, 0, 0, 0]);
+  const edges = maskFromEdges(split(8, 4), 30);
+  assert.equal(edges.data[2 * 8 + 0], 0);
+  assert.ok(edges.data[2 * 8 + 4] === 255 || edges.data[2 * 8 + 3] === 255);
+});
+
+test('resampling keeps a mask aligned at another resolution', () => {
+  const mask = createMask(4, 2);
+  mask.data.fill(255, 0, 2).fill(255, 4, 6); // left half
+  const big = resampleMask(mask, 8, 4);
+  assert.equal(big.data[0], 255);
+  assert.equal(big.data[7], 0);
+});
+
+test('a masked layer only changes pixels inside its mask', () => {
+  const mask = createMask(4, 4);
+  mask.data.fill(255, 0, 8); // top half
+  const layers = [{ type: 'bw', enabled: true, opacity: 100, blend: 'normal', mask: 'sky', settings: { contrast: 0, grain: 0 } }];
+  const input = split(4, 4);
+  input.data.set([200, 40, 40, 255], 0);
+  input.data.set([200, 40, 40, 255], 12 * 4);
+  const output = runPipeline(input, layers, { masks: { sky: mask } });
+  const [r, g] = pixelAt(output, 0, 0);
+  assert.equal(r, g);
+  assert.deepEqual(pixelAt(output, 0, 3), [200, 40, 40, 255]);
+  // Without the mask registered the layer covers everything
+  assert.equal(pixelAt(runPipeline(input, layers), 0, 3)[0], pixelAt(runPipeline(input, layers), 0, 3)[1]);
+});
+
+test('sort invert only flips its luminance mask, never the painted layer mask', () => {
+  // Left half painted; a stale invert from luminance mode must not empty the layer
+  const mask = createMask(10, 1);
+  mask.data.fill(255, 0, 5);
+  const input = gradient(10, 1);
+  const layers = [{ type: 'sort', enabled: true, mask: 'left', settings: { sortMode: 'row', sortOrder: 'desc', sortMask: 'none', sortMaskInvert: true } }];
+  const output = runPipeline(input, layers, { masks: { left: mask } });
+  assert.deepEqual(pixelAt(output, 0, 0), pixelAt(input, 4, 0));
+  assert.deepEqual(pixelAt(output, 4, 0), pixelAt(input, 0, 0));
+  assert.deepEqual(pixelAt(output, 7, 0), pixelAt(input, 7, 0));
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePaletteFile, builtinPalettes, kMeans } from '../src/effects/index.js';
+import { split } from './fixtures.js';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+test('built-in palettes are valid hex colors', () => {
+  for (const [id, { colors }] of Object.entries(builtinPalettes)) {
+    assert.ok(colors.length >= 4, id);
+    for (const color of colors) assert.match(color, /^#[0-9a-f]{6}$/, id);
+  }
+});
+
+test('parses GIMP palettes, skipping header and comments', () => {
+  const gpl = 'GIMP Palette\nName: Test\nColumns: 2\n# comment\n255   0   0\tRed\n  0 128 255 Blue\n';
+  assert.deepEqual(parsePaletteFile('test.gpl', bytes(gpl)), ['#ff0000', '#0080ff']);
+  assert.throws(() => parsePaletteFile('test.gpl', bytes('255 0 0\n')), /GIMP Palette/);
+});
+
+test('parses plain hex lists', () => {
+  assert.deepEqual(parsePaletteFile('test.hex', bytes('FF0000\r\n#00ff00\n\n0000ff\n')), ['#ff0000', '#00ff00', '#0000ff']);
+});
+
+test('parses Adobe Swatch Exchange color entries', () => {
+  // One RGB and one Gray swatch, each named "A"
+  const entry = (model, values) => {
+    const body = new DataView(new ArrayBuffer(2 + 4 + 4 + values.length * 4 + 2));
+    body.setUint16(0, 2);
+    body.setUint16(2, 0x41);
+    for (let i = 0; i < 4; i++) body.setUint8(6 + i, model.charCodeAt(i));
+    values.forEach((v, i) => body.setFloat32(10 + i * 4, v));
+    const block = new Uint8Array(6 + body.byteLength);
+    const header = new DataView(block.buffer);
+    header.setUint16(0, 0x0001);
+    header.setUint32(2, body.byteLength);
+    block.set(new Uint8Array(body.buffer), 6);
+    return block;
+  };
+  const blocks = [entry('RGB ', [1, 0.5, 0]), entry('Gray', [0.2])];
+  const file = new Uint8Array(12 + blocks.reduce((n, b) => n + b.length, 0));
+  const view = new DataView(file.buffer);
+  file.set(bytes('ASEF'));
+  view.setUint16(4, 1);
+  view.setUint32(8, blocks.length);
+  let offset = 12;
+  for (const block of blocks) { file.set(block, offset); offset += block.length; }
+
+  assert.deepEqual(parsePaletteFile('swatches.ase', file), ['#ff8000', '#333333']);
+});
+
+test('rejects unknown formats and empty palettes', () => {
+  assert.throws(() => parsePaletteFile('test.act', bytes('')), /Unsupported/);
+  assert.throws(() => parsePaletteFile('test.hex', bytes('nothing here')), /no colors/);
+});
+
+test('k-means finds the two colors of a split image', () => {
+  const centers = kMeans(split(16, 16).data, 2);
+  assert.deepEqual(centers.map(c => c.join()).sort(), ['0,0,0', '255,255,255']);
+});
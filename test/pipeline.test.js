@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPipeline, blendPixels, scaleSettings } from '../src/effects/index.js';
+import { solid, gradient, pixelAt } from './fixtures.js';
+
+const layer = (type, settings = {}, extra = {}) => ({ type, enabled: true, opacity: 100, blend: 'normal', settings, ...extra });
+
+test('an empty stack returns a copy of the source', () => {
+  const source = gradient(5, 5);
+  const output = runPipeline(source, []);
+  assert.notEqual(output.data, source.data);
+  assert.deepEqual(output.data, source.data);
+});
+
+test('flip mirrors the source horizontally', () => {
+  const source = gradient(5, 1);
+  const output = runPipeline(source, [], { isFlipped: true });
+  assert.deepEqual(pixelAt(output, 0, 0), pixelAt(source, 4, 0));
+});
+
+test('layers run in stack order', () => {
+  const source = gradient(16, 16);
+  const a = runPipeline(source, [layer('dither'), layer('pixel', { pixelSize: 8 })]);
+  const b = runPipeline(source, [layer('pixel', { pixelSize: 8 }), layer('dither')]);
+  assert.notDeepEqual(a.data, b.data);
+});
+
+test('disabled layers are skipped', () => {
+  const source = gradient(8, 8);
+  const output = runPipeline(source, [layer('dither', {}, { enabled: false })]);
+  assert.deepEqual(output.data, source.data);
+});
+
+test('the same effect can run twice with its own settings', () => {
+  const source = gradient(16, 4);
+  const twice = runPipeline(source, [layer('chromatic', { offset: 2 }), layer('chromatic', { offset: 3 })]);
+  const once = runPipeline(source, [layer('chromatic', { offset: 2 })]);
+  assert.notDeepEqual(twice.data, once.data);
+});
+
+test('zero opacity leaves the layer input unchanged', () => {
+  const source = gradient(8, 8);
+  const output = runPipeline(source, [layer('bw', { brightness: 100 }, { opacity: 0 })]);
+  assert.deepEqual(output.data, source.data);
+});
+
+test('blend modes mix per channel', () => {
+  const base = solid(1, 1, [200, 100, 50]).data;
+  const white = () => solid(1, 1, [255, 255, 255]).data;
+
+  const multiplied = white();
+  blendPixels(base, multiplied, 'multiply', 1);
+  assert.deepEqual(Array.from(multiplied), [200, 100, 50, 255]);
+
+  const screened = white();
+  blendPixels(base, screened, 'screen', 1);
+  assert.deepEqual(Array.from(screened), [255, 255, 255, 255]);
+
+  const half = white();
+  blendPixels(base, half, 'normal', 0.5);
+  assert.deepEqual(Array.from(half), [228, 178, 152, 255]);
+});
+
+test('pixel-length settings scale with the render resolution', () => {
+  assert.equal(scaleSettings('pixel', { pixelSize: 4 }, 2.5).pixelSize, 10);
+  assert.equal(scaleSettings('outline', { outlineOffsetX: -10, outlineOffsetCount: 3 }, 2).outlineOffsetX, -20);
+  assert.equal(scaleSettings('outline', { outlineOffsetX: -10, outlineOffsetCount: 3 }, 2).outlineOffsetCount, 3);
+  assert.equal(scaleSettings('crt', { scanlineThickness: 1 }, 0.25).scanlineThickness, 1);
+});
+
+test('a 2x render keeps the preview block grid', () => {
+  const full = runPipeline(gradient(16, 16), [layer('pixel', { pixelSize: 4 })], { scale: 2 });
+  // Block boundaries line up: an 8px block at 2x covers what a 4px block did in the preview
+  for (let x = 0; x < 16; x++) assert.deepEqual(pixelAt(full, x, 0), pixelAt(full, x - (x % 8), 7));
+});
+
+test('random dither is fixed by the seed and varies with seed and frame', () => {
+  const stack = [layer('dither', { ditherType: 'random', ditherAlgo: 'threshold', ditherThreshold: 0 })];
+  const render = (options) => runPipeline(gradient(16, 16), stack, options).data;
+  assert.deepEqual(render({ seed: 7 }), render({ seed: 7 }));
+  assert.notDeepEqual(render({ seed: 7 }), render({ seed: 8 }));
+  assert.notDeepEqual(render({ seed: 7, frame: 0 }), render({ seed: 7, frame: 1 }));
+});
+
+test('hiding a layer keeps the seeds of the layers below it', () => {
+  // The upper layer is invisible either way, so only the lower layer's seed could change the output
+  const stack = (enabled) => [
+    layer('bw', {}, { opacity: 0, enabled }),
+    layer('dither', { ditherType: 'random', ditherAlgo: 'threshold', ditherThreshold: 0 })
+  ];
+  const render = (enabled) => runPipeline(gradient(16, 16), stack(enabled), { seed: 7 }).data;
+  assert.deepEqual(render(false), render(true));
+});
+
+test('transforms rotate, crop and pad before the stack', () => {
+  const source = gradient(6, 4);
+  const rotated = runPipeline(source, [], { transform: { rotation: 90 } });
+  assert.deepEqual([rotated.width, rotated.height], [4, 6]);
+  // A clockwise turn makes the left column the top row
+  assert.deepEqual(pixelAt(rotated, 3, 0), pixelAt(source, 0, 0));
+  assert.deepEqual(pixelAt(rotated, 0, 5), pixelAt(source, 5, 3));
+
+  const cropped = runPipeline(source, [], { transform: { cropAspect: '1:1', cropX: 100 } });
+  assert.deepEqual([cropped.width, cropped.height], [4, 4]);
+  assert.deepEqual(pixelAt(cropped, 0, 0), pixelAt(source, 2, 0));
+
+  const padded = runPipeline(source, [], { transform: { canvasAspect: '1:1', canvasColor: '#ff0000' } });
+  assert.deepEqual([padded.width, padded.height], [6, 6]);
+  assert.deepEqual(pixelAt(padded, 0, 0), [255, 0, 0, 255]);
+  assert.deepEqual(pixelAt(padded, 0, 1), pixelAt(source, 0, 0));
+});
+
+test('free rotation grows the canvas to fit', () => {
+  const output = runPipeline(solid(10, 10, [0, 255, 0, 255]), [], { transform: { angle: 45, canvasColor: '#0000ff' } });
+  assert.deepEqual([output.width, output.height], [14, 14]);
+  assert.deepEqual(pixelAt(output, 0, 0), [0, 0, 255, 255]);
+  assert.deepEqual(pixelAt(output, 7, 7), [0, 255, 0, 255]);
+});
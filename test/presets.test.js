@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  presetVersion, migratePreset, searchPresets, parseTags, serializePresetFile, parsePresetFile, encodePresetHash, decodePresetHash
+} from '../src/presets.js';
+
+const legacy = {
+  activeModes: ['dither', 'pixel'],
+  settings: { pixelSize: 8, ditherAlgo: 'atkinson', ditherPixelSize: 2, grain: 40 },
+  isFlipped: true,
+  timestamp: 1700000000000
+};
+
+test('legacy flat presets migrate to layers in the old pipeline order', () => {
+  const preset = migratePreset(legacy);
+  assert.equal(preset.version, presetVersion);
+  assert.deepEqual(preset.layers.map(l => l.type), ['pixel', 'dither']);
+  assert.deepEqual(preset.layers[0].settings, { pixelSize: 8 });
+  assert.deepEqual(preset.layers[1].settings, { ditherAlgo: 'atkinson' });
+  assert.equal(preset.transform.flipH, true);
+  assert.equal(preset.transform.rotation, 0);
+  assert.equal(preset.createdAt, 1700000000000);
+});
+
+test('slot presets migrate with layer defaults filled in', () => {
+  const preset = migratePreset({ layers: [{ type: 'bw', settings: { grain: 10 } }, { type: 'nope', settings: {} }], seed: 4, timestamp: 5 });
+  assert.deepEqual(preset.layers, [{ type: 'bw', enabled: true, opacity: 100, blend: 'normal', settings: { grain: 10 }, animation: {}, mask: null }]);
+  assert.equal(preset.seed, 4);
+  assert.equal(preset.name, 'Untitled');
+  assert.ok(preset.id);
+});
+
+test('halftone layers from before screen angles keep their axis-aligned grid', () => {
+  const preset = migratePreset({ version: 3, layers: [{ type: 'halftone', settings: { dotSize: 10 } }, { type: 'halftone', settings: { halftoneAngle: 30 } }] });
+  assert.deepEqual(preset.layers.map(l => l.settings.halftoneAngle), [0, 30]);
+  assert.equal(migratePreset({ activeModes: ['halftone'], settings: { dotSize: 8 } }).layers[0].settings.halftoneAngle, 0);
+});
+
+test('presets from a newer version are rejected', () => {
+  assert.throws(() => migratePreset({ version: presetVersion + 1, layers: [] }), /newer/);
+});
+
+test('preset files round trip and accept older shapes', () => {
+  const presets = [migratePreset({ name: 'A', ...legacy }), migratePreset({ name: 'B', layers: [] })];
+  assert.deepEqual(parsePresetFile(serializePresetFile(presets)), presets);
+  // The old three-slot array, with an empty slot
+  assert.equal(parsePresetFile(JSON.stringify([legacy, null, { layers: [] }])).length, 2);
+  assert.throws(() => parsePresetFile('{oops'), /JSON/);
+});
+
+test('search matches every word against names and tags', () => {
+  const presets = [
+    { name: 'Neon Sort', tags: ['sort', 'vivid'] },
+    { name: 'Game Boy', tags: ['retro', 'dither'] }
+  ];
+  assert.deepEqual(searchPresets(presets, 'boy #retro').map(p => p.name), ['Game Boy']);
+  assert.deepEqual(searchPresets(presets, 'VIVID').map(p => p.name), ['Neon Sort']);
+  assert.equal(searchPresets(presets, '  ').length, 2);
+  assert.deepEqual(parseTags(' retro, #dither,, retro '), ['retro', 'dither']);
+});
+
+test('share hashes are url-safe and restore the look', async () => {
+  const preset = migratePreset({ layers: [{ type: 'pixel', opacity: 50, settings: { pixelSize: 16 } }], seed: 77, timeline: { fps: 8, duration: 3 } });
+  const code = await encodePresetHash(preset);
+  assert.match(code, /^[\w-]+$/);
+  const shared = await decodePresetHash(code);
+  assert.deepEqual(shared.layers[0].settings, { pixelSize: 16 });
+  assert.equal(shared.layers[0].opacity, 50);
+  assert.equal(shared.seed, 77);
+  assert.deepEqual(shared.timeline, { fps: 8, duration: 3 });
+});